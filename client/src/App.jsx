@@ -17,6 +17,7 @@ import SellerRegistration from './components/SellerRegistration';
 import SellerDashboard from './components/SellerDashboard';
 import CustomerOrders from './components/CustomerOrders';
 import AdminPanel from './components/AdminPanel';
+import TrackOrder from './components/TrackOrder';
 import { CartProvider } from './context/CartContext';
 
 function App() {
@@ -54,6 +55,8 @@ function App() {
         return <CustomerOrders onBack={() => setCurrentPage('home')} />;
       case 'admin-panel':
         return <AdminPanel onBack={() => setCurrentPage('home')} />;
+      case 'track-order':
+        return <TrackOrder onBack={() => setCurrentPage('home')} />;
       default:
         return (
           <main>
@@ -81,7 +84,7 @@ function App() {
           user={user}
         />
         {renderCurrentPage()}
-        {currentPage === 'home' && <Footer />}
+        {currentPage === 'home' && <Footer onNavigate={handleNavigation} />}
         
         {showLoginModal && (
           <LoginModal 
@@ -61,7 +61,7 @@ const AdminPanel = ({ onBack }) => {
       const data = await response.json();
 
       if (response.ok) {
-        alert(`Seller approved successfully! Login credentials sent to ${data.data.email}`);
+        alert(`Seller approved successfully! Approval notice sent to ${data.data.email}`);
         fetchApplications(); // Refresh the list
       } else {
         alert(`Error: ${data.message}`);
@@ -106,6 +106,79 @@ const AdminPanel = ({ onBack }) => {
     }
   };
 
+  // Verify a document, or send it back to the seller for re-upload
+  const handleReviewDocument = async (applicationId, documentType, status) => {
+    let comment;
+    if (status === 'reupload_requested') {
+      comment = prompt('What should the seller fix in this document?');
+      if (!comment) return;
+    }
+
+    setProcessingId(applicationId);
+    try {
+      const response = await fetch(`/api/admin/seller-applications/${applicationId}/documents/${documentType}/review`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('adminToken')}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ status, comment })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setSelectedApplication(data.data.application);
+        fetchApplications(); // Refresh the list
+      } else {
+        alert(`Error: ${data.message}`);
+      }
+    } catch (error) {
+      console.error('Error reviewing document:', error);
+      alert('Error reviewing document');
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  // Documents are private: fetch a short-lived signed link, then open it
+  const handleViewDocument = async (doc) => {
+    // Open the tab straight away so the browser doesn't block it as a popup
+    const viewer = window.open('', '_blank');
+    try {
+      const response = await fetch(doc.url, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        viewer.location.href = data.data.url;
+      } else {
+        viewer?.close();
+        alert(`Error: ${data.message}`);
+      }
+    } catch (error) {
+      viewer?.close();
+      console.error('Error opening document:', error);
+      alert('Error opening document');
+    }
+  };
+
+  // Get document review badge color
+  const getDocumentBadge = (status) => {
+    switch (status) {
+      case 'verified':
+        return 'bg-green-100 text-green-800';
+      case 'reupload_requested':
+        return 'bg-red-100 text-red-800';
+      default:
+        return 'bg-yellow-100 text-yellow-800';
+    }
+  };
+
   // Get status badge color
   const getStatusBadge = (status) => {
     switch (status) {
@@ -409,18 +482,49 @@ const AdminPanel = ({ onBack }) => {
               {/* Documents */}
               <div className="bg-gray-50 rounded-lg p-4">
                 <h4 className="font-medium text-gray-900 mb-3">Uploaded Documents</h4>
+                {selectedApplication.kycIssues?.length > 0 && (
+                  <div className="mb-3 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+                    {selectedApplication.kycIssues.map((issue) => issue.msg).join('. ')}
+                  </div>
+                )}
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   {selectedApplication.documents?.map((doc, index) => (
-                    <div key={index} className="flex items-center justify-between p-2 bg-white rounded border">
-                      <span className="text-sm">{doc.name}</span>
-                      <a
-                        href={doc.url}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="text-blue-600 hover:text-blue-800 text-sm"
-                      >
-                        View
-                      </a>
+                    <div key={index} className="p-2 bg-white rounded border">
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm">{doc.name}</span>
+                        <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${getDocumentBadge(doc.status)}`}>
+                          {doc.status?.replace('_', ' ')}
+                        </span>
+                      </div>
+                      {doc.comments?.length > 0 && (
+                        <p className="text-xs text-gray-500 mt-1">{doc.comments[doc.comments.length - 1].text}</p>
+                      )}
+                      <div className="flex justify-end gap-3 mt-2">
+                        <button
+                          onClick={() => handleViewDocument(doc)}
+                          className="text-blue-600 hover:text-blue-800 text-sm"
+                        >
+                          View
+                        </button>
+                        {selectedApplication.status === 'pending' && doc.status === 'pending' && (
+                          <>
+                            <button
+                              onClick={() => handleReviewDocument(selectedApplication._id, doc.type, 'verified')}
+                              disabled={processingId === selectedApplication._id}
+                              className="text-green-600 hover:text-green-800 text-sm disabled:opacity-50"
+                            >
+                              Verify
+                            </button>
+                            <button
+                              onClick={() => handleReviewDocument(selectedApplication._id, doc.type, 'reupload_requested')}
+                              disabled={processingId === selectedApplication._id}
+                              className="text-red-600 hover:text-red-800 text-sm disabled:opacity-50"
+                            >
+                              Request re-upload
+                            </button>
+                          </>
+                        )}
+                      </div>
                     </div>
                   ))}
                 </div>
@@ -443,9 +547,11 @@ const AdminPanel = ({ onBack }) => {
                       handleApproveApplication(selectedApplication._id);
                       setShowApplicationModal(false);
                     }}
-                    className="px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                    disabled={selectedApplication.unverifiedDocuments?.length > 0}
+                    title={selectedApplication.unverifiedDocuments?.length > 0 ? 'Verify every required document first' : undefined}
+                    className="px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                   >
-                    Approve & Create Account
+                    Approve Seller
                   </button>
                 </div>
               )}
@@ -6,6 +6,8 @@ const CustomerOrders = ({ onBack }) => {
   const [loading, setLoading] = useState(true);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [showOrderDetails, setShowOrderDetails] = useState(false);
+  // Item ids picked for a return (an order has one return covering all of them)
+  const [returnItemIds, setReturnItemIds] = useState([]);
 
   useEffect(() => {
     fetchOrders();
@@ -68,9 +70,14 @@ const CustomerOrders = ({ onBack }) => {
 
   const handleViewOrder = (order) => {
     setSelectedOrder(order);
+    setReturnItemIds([]);
     setShowOrderDetails(true);
   };
 
+  const toggleReturnItem = (itemId) => {
+    setReturnItemIds(ids => (ids.includes(itemId) ? ids.filter(id => id !== itemId) : [...ids, itemId]));
+  };
+
   const handleCancelOrder = async (orderId) => {
     if (window.confirm('Are you sure you want to cancel this order?')) {
       try {
@@ -99,6 +106,66 @@ const CustomerOrders = ({ onBack }) => {
     }
   };
 
+  const handleReturnItems = async (order) => {
+    const items = order.items.filter(item => returnItemIds.includes(item._id));
+    if (items.length === 0) return;
+
+    const names = items.map(item => `"${item.name}"`).join(', ');
+    const reason = window.prompt(`Why are you returning ${names}? Items not selected now cannot be returned later.`);
+    if (!reason || !reason.trim()) return;
+
+    try {
+      const response = await fetch(`/api/orders/${order._id}/return`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          reason: reason.trim(),
+          items: items.map(item => ({ item: item._id, quantity: item.quantity }))
+        })
+      });
+
+      if (response.ok) {
+        alert('Return requested successfully');
+        setShowOrderDetails(false);
+        fetchOrders(); // Refresh orders
+      } else {
+        const error = await response.json();
+        alert(`Error: ${error.message}`);
+      }
+    } catch (error) {
+      console.error('Error requesting return:', error);
+      alert('Error requesting return');
+    }
+  };
+
+  const handleDownloadInvoice = async (order) => {
+    try {
+      const response = await fetch(`/api/orders/${order._id}/invoice`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      if (response.ok) {
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `invoice-${order.orderNumber}.pdf`;
+        link.click();
+        URL.revokeObjectURL(url);
+      } else {
+        const error = await response.json();
+        alert(`Error: ${error.message}`);
+      }
+    } catch (error) {
+      console.error('Error downloading invoice:', error);
+      alert('Error downloading invoice');
+    }
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 pt-16 flex items-center justify-center">
@@ -218,10 +285,22 @@ const CustomerOrders = ({ onBack }) => {
                           <span className="text-gray-600">Shipping:</span>
                           <span>₹{order.shippingCost}</span>
                         </div>
+                        {order.discount > 0 && (
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Discount{order.coupon?.code ? ` (${order.coupon.code})` : ''}:</span>
+                            <span>-₹{order.discount}</span>
+                          </div>
+                        )}
                         <div className="flex justify-between">
                           <span className="text-gray-600">Tax:</span>
                           <span>₹{order.tax}</span>
                         </div>
+                        {['cgst', 'sgst', 'igst'].filter(component => order.taxBreakdown?.[component] > 0).map(component => (
+                          <div key={component} className="flex justify-between text-xs text-gray-500 pl-2">
+                            <span>{component.toUpperCase()}:</span>
+                            <span>₹{order.taxBreakdown[component]}</span>
+                          </div>
+                        ))}
                         <div className="flex justify-between font-semibold text-gray-900 pt-1 border-t">
                           <span>Total:</span>
                           <span>₹{order.total}</span>
@@ -232,11 +311,11 @@ const CustomerOrders = ({ onBack }) => {
 
                   <div className="mt-6 flex justify-between items-center">
                     <div className="flex items-center gap-4">
-                      {order.shipping?.trackingNumber && (
-                        <p className="text-sm text-gray-600">
-                          Tracking: <span className="font-medium">{order.shipping.trackingNumber}</span>
+                      {order.fulfilments?.filter(fulfilment => fulfilment.shipping?.trackingNumber).map(fulfilment => (
+                        <p key={fulfilment._id} className="text-sm text-gray-600">
+                          Tracking{fulfilment.shipping.carrier ? ` (${fulfilment.shipping.carrier})` : ''}: <span className="font-medium">{fulfilment.shipping.trackingNumber}</span>
                         </p>
-                      )}
+                      ))}
                     </div>
                     <div className="flex gap-2">
                       {(order.status === 'pending' || order.status === 'confirmed') && (
@@ -247,6 +326,14 @@ const CustomerOrders = ({ onBack }) => {
                           Cancel Order
                         </button>
                       )}
+                      {!['pending', 'payment_expired', 'cancelled'].includes(order.status) && (
+                        <button
+                          onClick={() => handleDownloadInvoice(order)}
+                          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                        >
+                          Invoice
+                        </button>
+                      )}
                       {order.status === 'delivered' && (
                         <button className="px-4 py-2 bg-[#FF4C4C] text-white rounded-lg hover:bg-[#FF4C4C]/90 transition-colors">
                           Rate & Review
@@ -304,6 +391,15 @@ const CustomerOrders = ({ onBack }) => {
                 <div className="space-y-4">
                   {selectedOrder.items.map((item, index) => (
                     <div key={index} className="flex items-center gap-4 p-4 bg-gray-50 rounded-lg">
+                      {selectedOrder.status === 'delivered' && !selectedOrder.return?.status && (
+                        <input
+                          type="checkbox"
+                          checked={returnItemIds.includes(item._id)}
+                          onChange={() => toggleReturnItem(item._id)}
+                          aria-label={`Return ${item.name}`}
+                          className="h-4 w-4"
+                        />
+                      )}
                       <img
                         src={item.image || '/placeholder-image.jpg'}
                         alt={item.name}
@@ -320,6 +416,27 @@ const CustomerOrders = ({ onBack }) => {
                     </div>
                   ))}
                 </div>
+                {selectedOrder.status === 'delivered' && !selectedOrder.return?.status && (
+                  <div className="mt-4 flex items-center justify-between">
+                    <p className="text-sm text-gray-600">
+                      Select every item you want to return; an order can be returned once.
+                    </p>
+                    <button
+                      onClick={() => handleReturnItems(selectedOrder)}
+                      disabled={returnItemIds.length === 0}
+                      className="px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Return items
+                    </button>
+                  </div>
+                )}
+                {selectedOrder.return?.status && (
+                  <p className="mt-4 text-sm text-gray-600">
+                    Return status: <span className="font-medium capitalize">{selectedOrder.return.status}</span>
+                    {selectedOrder.return.sellers?.some(part => part.returnTrackingNumber) &&
+                      ` (Tracking: ${selectedOrder.return.sellers.map(part => part.returnTrackingNumber).filter(Boolean).join(', ')})`}
+                  </p>
+                )}
               </div>
 
               {/* Shipping Information */}
@@ -1,7 +1,7 @@
 import React from 'react';
 import { Facebook, Twitter, Instagram, CreditCard } from 'lucide-react';
 
-const Footer = () => {
+const Footer = ({ onNavigate }) => {
   const currentYear = new Date().getFullYear();
 
   return (
@@ -42,7 +42,18 @@ const Footer = () => {
               <li><a href="#" className="hover:text-white transition-colors">FAQ</a></li>
               <li><a href="#" className="hover:text-white transition-colors">Shipping Info</a></li>
               <li><a href="#" className="hover:text-white transition-colors">Returns</a></li>
-              <li><a href="#" className="hover:text-white transition-colors">Order Status</a></li>
+              <li>
+                <a
+                  href="#"
+                  onClick={(e) => {
+                    e.preventDefault();
+                    onNavigate?.('track-order');
+                  }}
+                  className="hover:text-white transition-colors"
+                >
+                  Track Order
+                </a>
+              </li>
             </ul>
           </div>
           
@@ -284,10 +284,12 @@ const SellerDashboard = ({ onBack }) => {
                 <div key={index} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
                   <div>
                     <p className="font-medium text-gray-900">{transaction.productName}</p>
-                    <p className="text-sm text-gray-600">Order #{transaction.orderId}</p>
+                    <p className="text-sm text-gray-600">Order #{transaction.orderNumber}</p>
                   </div>
                   <div className="text-right">
-                    <p className="font-medium text-gray-900">₹{transaction.amount}</p>
+                    <p className={`font-medium ${transaction.amount < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                      {transaction.amount < 0 ? '-' : ''}₹{Math.abs(transaction.amount)}
+                    </p>
                     <p className="text-sm text-gray-600">{new Date(transaction.date).toLocaleDateString()}</p>
                   </div>
                 </div>
@@ -399,13 +401,13 @@ const SellerDashboard = ({ onBack }) => {
             {transactions.map((transaction, index) => (
               <tr key={index}>
                 <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                  #{transaction.orderId}
+                  #{transaction.orderNumber}
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                   {transaction.productName}
                 </td>
-                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                  ₹{transaction.amount}
+                <td className={`px-6 py-4 whitespace-nowrap text-sm ${transaction.amount < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                  {transaction.amount < 0 ? '-' : ''}₹{Math.abs(transaction.amount)}
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                   {new Date(transaction.date).toLocaleDateString()}
@@ -158,8 +158,11 @@ const SellerRegistration = ({ onBack }) => {
         }
       });
 
-      const res = await fetch('/api/seller/register', {
+      const res = await fetch('/api/sellers/register', {
         method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
         body: payload
       });
 
@@ -179,7 +182,7 @@ const SellerRegistration = ({ onBack }) => {
       }
 
       // Success
-      setApplicationId(data.applicationId || null);
+      setApplicationId(data.data?.sellerId || null);
       setIsSubmitted(true);
     } catch (err) {
       console.error(err);
@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { ArrowLeft, Package, Truck, CheckCircle, XCircle, MapPin, Search } from 'lucide-react';
+
+const TrackOrder = ({ onBack }) => {
+  const [orderNumber, setOrderNumber] = useState('');
+  const [contact, setContact] = useState('');
+  const [tracking, setTracking] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleTrack = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    setTracking(null);
+
+    try {
+      const response = await fetch('/api/orders/track', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          orderNumber: orderNumber.trim(),
+          contact: contact.trim()
+        })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setTracking(data.data.tracking);
+      } else {
+        setError(data.message || 'Unable to track this order');
+      }
+    } catch (error) {
+      console.error('Error tracking order:', error);
+      setError('Unable to track this order. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getStatusIcon = (status) => {
+    switch (status) {
+      case 'shipped':
+      case 'out_for_delivery':
+        return <Truck className="h-5 w-5 text-purple-600" />;
+      case 'delivered':
+        return <CheckCircle className="h-5 w-5 text-green-600" />;
+      case 'cancelled':
+        return <XCircle className="h-5 w-5 text-red-600" />;
+      default:
+        return <Package className="h-5 w-5 text-blue-600" />;
+    }
+  };
+
+  const formatStatus = (status) => {
+    const label = status.replace(/_/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  };
+
+  const formatDateTime = (date) => new Date(date).toLocaleString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  return (
+    <div className="min-h-screen bg-gray-50 pt-16">
+      {/* Header */}
+      <div className="bg-white shadow-sm">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex items-center gap-4">
+            <button
+              onClick={onBack}
+              className="flex items-center gap-2 text-gray-600 hover:text-[#FF4C4C] transition-colors"
+            >
+              <ArrowLeft className="h-5 w-5" />
+              <span>Back</span>
+            </button>
+            <div className="h-6 w-px bg-gray-300"></div>
+            <h1 className="text-2xl font-bold text-gray-900">Track Your Order</h1>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <form onSubmit={handleTrack} className="bg-white rounded-lg shadow-sm border p-6 space-y-4">
+          <p className="text-sm text-gray-600">
+            Enter your order number and the email address or phone number used when ordering.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input
+              type="text"
+              value={orderNumber}
+              onChange={(e) => setOrderNumber(e.target.value)}
+              placeholder="Order number"
+              required
+              className="w-full border border-gray-300 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-[#FF4C4C]"
+            />
+            <input
+              type="text"
+              value={contact}
+              onChange={(e) => setContact(e.target.value)}
+              placeholder="Email or phone number"
+              required
+              className="w-full border border-gray-300 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-[#FF4C4C]"
+            />
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <button
+            type="submit"
+            disabled={loading}
+            className="flex items-center gap-2 bg-[#FF4C4C] text-white px-6 py-2 rounded-lg hover:bg-[#FF4C4C]/90 transition-colors disabled:opacity-50"
+          >
+            <Search className="h-4 w-4" />
+            {loading ? 'Tracking...' : 'Track Order'}
+          </button>
+        </form>
+
+        {tracking && (
+          <div className="mt-8 space-y-6">
+            <div className="bg-white rounded-lg shadow-sm border p-6">
+              <div className="flex items-center justify-between mb-2">
+                <h2 className="text-lg font-semibold text-gray-900">Order #{tracking.orderNumber}</h2>
+                <div className="flex items-center gap-2">
+                  {getStatusIcon(tracking.status)}
+                  <span className="font-medium">{formatStatus(tracking.status)}</span>
+                </div>
+              </div>
+              <p className="text-sm text-gray-600">
+                Placed on {new Date(tracking.placedAt).toLocaleDateString()}
+                {' · '}
+                <MapPin className="inline h-4 w-4" /> {tracking.destination.city}, {tracking.destination.state}
+              </p>
+              {tracking.estimatedDelivery && !['delivered', 'cancelled', 'returned', 'refunded'].includes(tracking.status) && (
+                <p className="text-sm text-gray-900 mt-2">
+                  Expected by {new Date(tracking.estimatedDelivery).toLocaleDateString()}
+                </p>
+              )}
+            </div>
+
+            {tracking.shipments.map((shipment, index) => (
+              <div key={index} className="bg-white rounded-lg shadow-sm border p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="font-medium text-gray-900">
+                    {tracking.shipments.length > 1 ? `Shipment ${index + 1} · ` : ''}
+                    {shipment.itemCount} item{shipment.itemCount === 1 ? '' : 's'}
+                  </h3>
+                  <div className="flex items-center gap-2 text-sm">
+                    {getStatusIcon(shipment.status)}
+                    <span>{formatStatus(shipment.status)}</span>
+                  </div>
+                </div>
+                {shipment.trackingNumber && (
+                  <p className="text-sm text-gray-600 mb-4">
+                    {shipment.carrier}: {shipment.trackingNumber}
+                  </p>
+                )}
+                {shipment.events.length > 0 ? (
+                  <ol className="border-l-2 border-gray-200 space-y-4 ml-2">
+                    {[...shipment.events].reverse().map((event, eventIndex) => (
+                      <li key={eventIndex} className="pl-4 relative">
+                        <span className={`absolute -left-[7px] top-1.5 h-3 w-3 rounded-full ${eventIndex === 0 ? 'bg-[#FF4C4C]' : 'bg-gray-300'}`}></span>
+                        <p className="text-sm font-medium text-gray-900">{event.description}</p>
+                        <p className="text-xs text-gray-500">
+                          {formatDateTime(event.occurredAt)}{event.location ? ` · ${event.location}` : ''}
+                        </p>
+                      </li>
+                    ))}
+                  </ol>
+                ) : (
+                  <p className="text-sm text-gray-500">No carrier updates yet.</p>
+                )}
+              </div>
+            ))}
+
+            <div className="bg-white rounded-lg shadow-sm border p-6">
+              <h3 className="font-medium text-gray-900 mb-4">Order History</h3>
+              <ul className="space-y-2">
+                {[...tracking.timeline].reverse().map((entry, index) => (
+                  <li key={index} className="flex justify-between text-sm">
+                    <span className="text-gray-900">{entry.message || formatStatus(entry.status)}</span>
+                    <span className="text-gray-500">{formatDateTime(entry.timestamp)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrackOrder;
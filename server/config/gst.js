@@ -0,0 +1,92 @@
+/**
+ * GST Configuration
+ *
+ * GST rate slabs, the two-digit state codes used by GST (the first two
+ * characters of a GSTIN) and helpers to resolve a state name, code or
+ * GSTIN to its code
+ */
+
+// GST rate slabs (%)
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+// Other spellings seen in addresses
+const STATE_ALIASES = {
+  'orissa': '21',
+  'pondicherry': '34',
+  'new delhi': '07',
+  'nct of delhi': '07',
+  'j&k': '01',
+  'daman and diu': '26',
+  'dadra and nagar haveli': '26'
+};
+
+const normaliseStateName = (name) => String(name)
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const codesByName = new Map(
+  Object.entries(GST_STATE_CODES).map(([code, name]) => [normaliseStateName(name), code])
+);
+
+// Resolve a state name or two-digit code to its GST state code (null if unknown)
+const getStateCode = (state) => {
+  if (!state) return null;
+  if (GST_STATE_CODES[String(state).trim()]) return String(state).trim();
+
+  const name = normaliseStateName(state);
+  return codesByName.get(name) || STATE_ALIASES[name] || STATE_ALIASES[String(state).toLowerCase().trim()] || null;
+};
+
+// State code of a GSTIN (its first two digits), or null
+const getStateCodeFromGstin = (gstin) => {
+  const code = String(gstin || '').slice(0, 2);
+  return GST_STATE_CODES[code] ? code : null;
+};
+
+module.exports = {
+  GST_RATES,
+  GST_STATE_CODES,
+  getStateCode,
+  getStateCodeFromGstin
+};
@@ -0,0 +1,38 @@
+/**
+ * Shipping Rate Card
+ *
+ * Rates (₹) per delivery zone, charged on billable weight in 500 g slabs:
+ * `base` covers the first slab, `perSlab` each further slab
+ * Methods scale the standard rate and may be limited to some zones
+ */
+
+// Weight slab size in grams
+const WEIGHT_SLAB_GRAMS = 500;
+
+// Volumetric weight divisor: L x W x H (cm) / 5000 = kg, i.e. / 5 = grams
+const VOLUMETRIC_DIVISOR = 5;
+
+// Weight assumed for products with no weight set (grams)
+const DEFAULT_ITEM_WEIGHT_GRAMS = 500;
+
+// Zones, nearest first
+const SHIPPING_ZONES = {
+  local: { base: 30, perSlab: 15, transitDays: 1 },    // Same city / sorting district
+  regional: { base: 40, perSlab: 20, transitDays: 2 }, // Same postal circle (state)
+  national: { base: 55, perSlab: 30, transitDays: 4 }, // Rest of India
+  special: { base: 80, perSlab: 45, transitDays: 6 }   // North East, J&K, Ladakh, islands
+};
+
+const SHIPPING_METHODS = {
+  standard: { multiplier: 1, transitFactor: 1 },
+  express: { multiplier: 1.6, transitFactor: 0.5 },
+  overnight: { multiplier: 2.5, transitFactor: 0, zones: ['local', 'regional'] }
+};
+
+module.exports = {
+  WEIGHT_SLAB_GRAMS,
+  VOLUMETRIC_DIVISOR,
+  DEFAULT_ITEM_WEIGHT_GRAMS,
+  SHIPPING_ZONES,
+  SHIPPING_METHODS
+};
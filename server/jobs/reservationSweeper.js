@@ -0,0 +1,72 @@
+/**
+ * Reservation Sweeper Job
+ *
+ * Periodically releases stock holds whose payment window has passed
+ * and moves the matching pending orders to `payment_expired`
+ *
+ * The sweep itself is exported so tests and scripts can run it directly:
+ *   const { sweepExpiredReservations } = require('./jobs/reservationSweeper');
+ *   await sweepExpiredReservations();
+ */
+
+const Order = require('../models/Order');
+const Reservation = require('../models/Reservation');
+const { releaseHold } = require('../services/stockReservation');
+
+// How often the sweeper runs when started with the server
+const SWEEP_INTERVAL_MS = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+let sweepTimer = null;
+
+/**
+ * Release all holds that expired at or before `now`
+ * Resolves to { releasedHolds, expiredOrders }
+ */
+const sweepExpiredReservations = async (now = new Date()) => {
+  const expiredHolds = await Reservation.find({ status: 'active', expiresAt: { $lte: now } });
+
+  let releasedHolds = 0;
+  const orderIds = new Set();
+
+  for (const hold of expiredHolds) {
+    if (await releaseHold(hold, 'expired', 'Payment window expired')) {
+      releasedHolds += 1;
+      orderIds.add(hold.order.toString());
+    }
+  }
+
+  // Only orders still waiting for payment are expired
+  const orders = await Order.find({ _id: { $in: [...orderIds] }, status: 'pending' });
+  for (const order of orders) {
+    await order.addTimelineEntry('payment_expired', 'Payment not received in time. Reserved stock has been released.');
+  }
+
+  return { releasedHolds, expiredOrders: orders.length };
+};
+
+// Start running the sweep on an interval (no-op if already running)
+const startReservationSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+  if (sweepTimer) return sweepTimer;
+
+  sweepTimer = setInterval(() => {
+    sweepExpiredReservations().catch(error => {
+      console.error('Reservation sweeper error:', error);
+    });
+  }, intervalMs);
+
+  // Don't keep the process alive just for the sweeper
+  sweepTimer.unref();
+  return sweepTimer;
+};
+
+// Stop the interval started by startReservationSweeper
+const stopReservationSweeper = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+module.exports = {
+  sweepExpiredReservations,
+  startReservationSweeper,
+  stopReservationSweeper
+};
@@ -0,0 +1,87 @@
+/**
+ * Settlement Sweeper Job
+ *
+ * Periodically settles delivered shipments onto their sellers' ledgers once
+ * each shipment's own return window has closed (see services/payouts.js)
+ * Shipments with a return of their items in progress wait until the seller
+ * receives or rejects it
+ *
+ * The sweep itself is exported so tests and scripts can run it directly:
+ *   const { sweepDueSettlements } = require('./jobs/settlementSweeper');
+ *   await sweepDueSettlements();
+ */
+
+const Order = require('../models/Order');
+const { RETURN_WINDOW_DAYS } = require('../services/returns');
+const { isSettlementDue, settleFulfilment } = require('../services/payouts');
+
+// How often the sweeper runs when started with the server
+const SWEEP_INTERVAL_MS = parseInt(process.env.SETTLEMENT_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+
+let sweepTimer = null;
+
+/**
+ * Settle every delivered, unsettled shipment whose return window closed at or before `now`
+ * Resolves to { settledFulfilments, postedEntries }
+ */
+const sweepDueSettlements = async (now = new Date()) => {
+  const deliveredBefore = new Date(now.getTime() - RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const unsettled = { status: 'delivered', settledAt: null };
+  const orders = await Order.find({
+    $or: [
+      { fulfilments: { $elemMatch: { ...unsettled, 'shipping.deliveredAt': { $lte: deliveredBefore } } } },
+      // Shipments delivered before fulfilments recorded it
+      {
+        fulfilments: { $elemMatch: { ...unsettled, 'shipping.deliveredAt': null } },
+        'shipping.deliveredAt': { $lte: deliveredBefore }
+      }
+    ]
+  });
+
+  let settledFulfilments = 0;
+  let postedEntries = 0;
+
+  for (const order of orders) {
+    for (const fulfilment of order.fulfilments) {
+      if (!isSettlementDue(order, fulfilment, now)) continue;
+
+      try {
+        postedEntries += await settleFulfilment(order, fulfilment, now);
+        settledFulfilments += 1;
+      } catch (error) {
+        // Leave it for the next sweep
+        console.error(`Settlement of order ${order.orderNumber} failed:`, error);
+      }
+    }
+  }
+
+  return { settledFulfilments, postedEntries };
+};
+
+// Start running the sweep on an interval (no-op if already running)
+const startSettlementSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+  if (sweepTimer) return sweepTimer;
+
+  sweepTimer = setInterval(() => {
+    sweepDueSettlements().catch(error => {
+      console.error('Settlement sweeper error:', error);
+    });
+  }, intervalMs);
+
+  // Don't keep the process alive just for the sweeper
+  sweepTimer.unref();
+  return sweepTimer;
+};
+
+// Stop the interval started by startSettlementSweeper
+const stopSettlementSweeper = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+module.exports = {
+  sweepDueSettlements,
+  startSettlementSweeper,
+  stopSettlementSweeper
+};
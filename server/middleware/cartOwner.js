@@ -0,0 +1,40 @@
+/**
+ * Cart Owner Middleware
+ *
+ * Identifies whose cart a request operates on
+ * Signed-in users (Authorization header) get their user cart,
+ * guests get a cart keyed by the opaque token in the X-Cart-Token header
+ */
+
+const Cart = require('../models/Cart');
+const auth = require('./auth');
+
+/**
+ * Cart owner middleware
+ * Delegates to the auth middleware when a token is provided,
+ * otherwise reads (or issues) a guest cart token
+ * Attaches the cart owner filter to req.cartOwner
+ */
+const cartOwner = (req, res, next) => {
+  // Signed-in user: authenticate as usual and use the user cart
+  if (req.header('Authorization')) {
+    return auth(req, res, () => {
+      req.cartOwner = { user: req.user.userId };
+      next();
+    });
+  }
+
+  // Guest: reuse the supplied cart token or issue a new one
+  let guestToken = req.header('X-Cart-Token');
+
+  if (!guestToken || !/^[a-f0-9]{48}$/.test(guestToken)) {
+    guestToken = Cart.generateGuestToken();
+  }
+
+  // Always echo the token so the client can store it
+  res.set('X-Cart-Token', guestToken);
+  req.cartOwner = { guestToken };
+  next();
+};
+
+module.exports = cartOwner;
@@ -2,70 +2,101 @@
  * File Upload Middleware
  * 
  * Handles file uploads using multer
- * Supports image uploads for products, user avatars, and seller documents
+ * Supports image uploads for products, user avatars, product videos, and seller documents
+ * Files are saved through the storage service (services/storage), so they can
+ * live on local disk or in an S3-compatible bucket. Seller documents go to the
+ * private document store; everything else to the public store.
+ *
+ * Each uploaded file gets:
+ * - key           Where it is stored, e.g. products/shoe_1700000000000-123.jpg
+ * - storageArea   'public' or 'documents'
+ * - url           Public URL (null for seller documents)
  */
 
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
+const { SELLER_DOCUMENT_TYPES } = require('../services/sellerProfiles');
+const { getStorage } = require('../services/storage');
 
-// Create uploads directory if it doesn't exist
-const uploadDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
+// Where a form field's files are stored: { area, folder }
+const getDestination = (fieldname) => {
+  if (SELLER_DOCUMENT_TYPES.includes(fieldname)) {
+    return { area: 'documents', folder: '' };
+  }
+  if (fieldname === 'avatar') {
+    return { area: 'public', folder: 'avatars/' };
+  }
+  if (fieldname === 'images' || fieldname.includes('image') || fieldname === 'video') {
+    return { area: 'public', folder: 'products/' };
+  }
+  return { area: 'public', folder: 'general/' };
+};
 
-// Configure storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    // Create subdirectories based on file type
-    let subDir = 'general';
-    
-    if (file.fieldname === 'avatar') {
-      subDir = 'avatars';
-    } else if (file.fieldname === 'images' || file.fieldname.includes('image')) {
-      subDir = 'products';
-    } else if (['gstCertificate', 'panCard', 'companyRegistration', 'bankStatement', 'productCatalog'].includes(file.fieldname)) {
-      subDir = 'documents';
-    }
-    
-    const fullPath = path.join(uploadDir, subDir);
-    
-    // Create subdirectory if it doesn't exist
-    if (!fs.existsSync(fullPath)) {
-      fs.mkdirSync(fullPath, { recursive: true });
-    }
-    
-    cb(null, fullPath);
+// File extension for each accepted MIME type; stored files always get the
+// extension of their checked type, never the one the client sent
+const EXTENSIONS_BY_TYPE = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'video/mp4': '.mp4',
+  'video/webm': '.webm',
+  'video/quicktime': '.mov'
+};
+
+// Generate a unique, clean file name
+const generateFilename = (originalname, mimetype) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const baseName = path.basename(originalname, path.extname(originalname));
+  
+  // Clean filename
+  const cleanBaseName = baseName.replace(/[^a-zA-Z0-9]/g, '_');
+  return `${cleanBaseName}_${uniqueSuffix}${EXTENSIONS_BY_TYPE[mimetype] || ''}`;
+};
+
+// Multer storage engine that saves through the storage service
+const storage = {
+  _handleFile(req, file, cb) {
+    const { area, folder } = getDestination(file.fieldname);
+    const key = `${folder}${generateFilename(file.originalname, file.mimetype)}`;
+    const store = getStorage(area);
+
+    // Streamed straight to the store, never held in memory whole
+    store.put(key, file.stream, { contentType: file.mimetype })
+      .then(size => cb(null, { key, storageArea: area, size, url: store.url(key) }))
+      .catch(cb);
   },
-  filename: function (req, file, cb) {
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const extension = path.extname(file.originalname);
-    const baseName = path.basename(file.originalname, extension);
-    
-    // Clean filename
-    const cleanBaseName = baseName.replace(/[^a-zA-Z0-9]/g, '_');
-    const filename = `${cleanBaseName}_${uniqueSuffix}${extension}`;
-    
-    cb(null, filename);
+
+  _removeFile(req, file, cb) {
+    getStorage(file.storageArea).delete(file.key)
+      .then(() => cb(null))
+      .catch(cb);
   }
-});
+};
 
 // File filter function
 const fileFilter = (req, file, cb) => {
   // Define allowed file types based on field name
   const allowedImageTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
   const allowedDocumentTypes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'];
+  const allowedVideoTypes = ['video/mp4', 'video/webm', 'video/quicktime'];
   
-  if (file.fieldname === 'avatar' || file.fieldname === 'images' || file.fieldname.includes('image')) {
+  if (file.fieldname === 'video') {
+    // Product video
+    if (allowedVideoTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only MP4, WebM and MOV videos are allowed'), false);
+    }
+  } else if (file.fieldname === 'avatar' || file.fieldname === 'images' || file.fieldname.includes('image')) {
     // Image files
     if (allowedImageTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error('Only JPEG, JPG, PNG, and WebP images are allowed'), false);
     }
-  } else if (['gstCertificate', 'panCard', 'companyRegistration', 'bankStatement', 'productCatalog'].includes(file.fieldname)) {
+  } else if (SELLER_DOCUMENT_TYPES.includes(file.fieldname)) {
     // Document files
     if (allowedDocumentTypes.includes(file.mimetype)) {
       cb(null, true);
@@ -127,20 +158,19 @@ const handleUploadError = (error, req, res, next) => {
 };
 
 // Utility function to delete uploaded files (for cleanup on error)
+// Takes multer's req.file / req.files, or [{ key, storageArea }]
 const deleteUploadedFiles = (files) => {
-  if (!files) return;
+  if (!files) return Promise.resolve();
   
-  const filesToDelete = Array.isArray(files) ? files : Object.values(files).flat();
+  const filesToDelete = Array.isArray(files)
+    ? files
+    : files.key ? [files] : Object.values(files).flat();
   
-  filesToDelete.forEach(file => {
-    if (file && file.path) {
-      fs.unlink(file.path, (err) => {
-        if (err) {
-          console.error('Error deleting file:', file.path, err);
-        }
-      });
-    }
-  });
+  return Promise.all(filesToDelete
+    .filter(file => file && file.key)
+    .map(file => getStorage(file.storageArea).delete(file.key).catch(err => {
+      console.error('Error deleting file:', file.key, err);
+    })));
 };
 
 // Export configured upload middleware with error handling
@@ -0,0 +1,258 @@
+/**
+ * Cart Model
+ *
+ * Defines the schema for persistent shopping carts
+ * Carts belong to a user or to a guest (identified by an opaque cart token)
+ * and expire automatically when abandoned
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Maximum quantity of a single product allowed in a cart
+const MAX_QUANTITY_PER_PRODUCT = 10;
+
+// Abandoned carts are removed after this many days without activity
+const CART_TTL_DAYS = parseInt(process.env.CART_TTL_DAYS) || 30;
+
+const cartSchema = new mongoose.Schema({
+  // Cart Owner (exactly one of user or guestToken is set)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  guestToken: {
+    type: String
+  },
+
+  // Cart Items
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1'],
+      max: [MAX_QUANTITY_PER_PRODUCT, `Maximum ${MAX_QUANTITY_PER_PRODUCT} items allowed per product`]
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Applied coupon code (re-validated whenever the cart is priced)
+  couponCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+
+  // Expiry (MongoDB TTL index removes the cart once this date passes)
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+cartSchema.index({ guestToken: 1 }, { unique: true, partialFilterExpression: { guestToken: { $exists: true } } });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Build the timestamp fields that every cart write refreshes
+const touch = () => {
+  const now = new Date();
+  return {
+    updatedAt: now,
+    expiresAt: new Date(now.getTime() + CART_TTL_DAYS * 24 * 60 * 60 * 1000)
+  };
+};
+
+// Virtual for total quantity across all items
+cartSchema.virtual('totalQuantity').get(function() {
+  return this.items.reduce((sum, item) => sum + item.quantity, 0);
+});
+
+/*
+ * Cart statics take an `owner` filter identifying the cart:
+ * { user: <userId> } for signed-in users, { guestToken: <token> } for guests
+ */
+
+// Static method to generate a new opaque guest cart token
+cartSchema.statics.generateGuestToken = function() {
+  return crypto.randomBytes(24).toString('hex');
+};
+
+// Static method to get an owner's cart (or an empty unsaved one)
+cartSchema.statics.findByOwner = async function(owner) {
+  const cart = await this.findOne(owner);
+  return cart || new this({ ...owner, items: [], ...touch() });
+};
+
+/**
+ * Atomically add quantity of a product to an owner's cart
+ * The resulting quantity may not exceed `limit`
+ * Resolves to the updated cart, or null if the limit would be exceeded
+ */
+cartSchema.statics.addItem = async function(owner, productId, quantity, limit = MAX_QUANTITY_PER_PRODUCT) {
+  if (quantity > limit) return null;
+
+  // Increment an existing line, but only while it stays within the limit
+  const incremented = await this.findOneAndUpdate(
+    {
+      ...owner,
+      items: { $elemMatch: { product: productId, quantity: { $lte: limit - quantity } } }
+    },
+    { $inc: { 'items.$.quantity': quantity }, $set: touch() },
+    { new: true }
+  );
+  if (incremented) return incremented;
+
+  // Otherwise push a new line, creating the cart if needed
+  try {
+    const pushed = await this.findOneAndUpdate(
+      { ...owner, 'items.product': { $ne: productId } },
+      {
+        $push: { items: { product: productId, quantity, addedAt: new Date() } },
+        $set: touch(),
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { new: true, upsert: true }
+    );
+    return pushed;
+  } catch (error) {
+    // Duplicate key on upsert: the cart exists and already holds this product
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Static method to atomically set the quantity of a product already in the cart
+cartSchema.statics.setItemQuantity = function(owner, productId, quantity) {
+  return this.findOneAndUpdate(
+    { ...owner, 'items.product': productId },
+    { $set: { 'items.$.quantity': quantity, ...touch() } },
+    { new: true }
+  );
+};
+
+// Static method to atomically remove a product from the cart
+cartSchema.statics.removeItem = function(owner, productId) {
+  return this.findOneAndUpdate(
+    { ...owner, 'items.product': productId },
+    { $pull: { items: { product: productId } }, $set: touch() },
+    { new: true }
+  );
+};
+
+// Static method to empty an owner's cart
+cartSchema.statics.clearItems = function(owner) {
+  return this.updateOne(
+    owner,
+    { $set: { items: [], ...touch() } }
+  );
+};
+
+// Static method to set the coupon code on an owner's cart
+cartSchema.statics.setCoupon = function(owner, code) {
+  return this.findOneAndUpdate(
+    owner,
+    { $set: { couponCode: code, ...touch() } },
+    { new: true }
+  );
+};
+
+// Static method to remove the coupon code from an owner's cart
+cartSchema.statics.removeCoupon = function(owner) {
+  return this.findOneAndUpdate(
+    owner,
+    { $unset: { couponCode: 1 }, $set: touch() },
+    { new: true }
+  );
+};
+
+/**
+ * Merge a guest cart into a user's cart
+ * The guest cart is claimed (deleted) first, so two logins racing with the
+ * same token cannot merge its items twice
+ * Each line is capped by the per-product limit and current stock,
+ * exactly like adding the item through POST /api/cart/add
+ * Resolves to { merged, skipped } lists of product IDs
+ */
+cartSchema.statics.mergeGuestCart = async function(guestToken, userId) {
+  const result = { merged: [], skipped: [] };
+  if (!guestToken) return result;
+
+  const guestCart = await this.findOneAndDelete({ guestToken });
+  if (!guestCart) return result;
+
+  const Product = mongoose.model('Product');
+  const owner = { user: userId };
+
+  const [userCart, products] = await Promise.all([
+    this.findByOwner(owner),
+    Product.find({ _id: { $in: guestCart.items.map(item => item.product) } })
+  ]);
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  for (const guestItem of guestCart.items) {
+    const productId = guestItem.product.toString();
+    const product = productsById.get(productId);
+
+    if (!product || product.status !== 'active') {
+      result.skipped.push(productId);
+      continue;
+    }
+
+    const limit = Math.min(MAX_QUANTITY_PER_PRODUCT, product.stock.available);
+    const existingItem = userCart.items.find(item => item.product.toString() === productId);
+    const existingQuantity = existingItem ? existingItem.quantity : 0;
+    const quantity = Math.min(guestItem.quantity, limit - existingQuantity);
+
+    if (quantity <= 0 || !(await this.addItem(owner, product._id, quantity, limit))) {
+      result.skipped.push(productId);
+      continue;
+    }
+
+    result.merged.push(productId);
+  }
+
+  // Keep the guest's coupon unless the user already applied one
+  if (guestCart.couponCode) {
+    try {
+      await this.updateOne(
+        { ...owner, couponCode: null },
+        {
+          $set: { couponCode: guestCart.couponCode, ...touch() },
+          $setOnInsert: { items: [], createdAt: new Date() }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Duplicate key on upsert: the user's cart already has a coupon
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return result;
+};
+
+cartSchema.statics.MAX_QUANTITY_PER_PRODUCT = MAX_QUANTITY_PER_PRODUCT;
+
+// Export the model
+module.exports = mongoose.model('Cart', cartSchema);
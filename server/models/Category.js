@@ -6,6 +6,7 @@
  */
 
 const mongoose = require('mongoose');
+const { GST_RATES } = require('../config/gst');
 
 const categorySchema = new mongoose.Schema({
   // Basic Category Information
@@ -46,6 +47,22 @@ const categorySchema = new mongoose.Schema({
     default: '#FF4C4C'
   },
   
+  // Default Tax Classification (GST) for products in this category
+  tax: {
+    hsnCode: {
+      type: String,
+      trim: true,
+      match: [/^\d{4}(\d{2}){0,2}$/, 'HSN code must be 4, 6 or 8 digits']
+    },
+    gstRate: {
+      type: Number,
+      enum: {
+        values: GST_RATES,
+        message: 'GST rate must be one of ' + GST_RATES.join(', ')
+      }
+    }
+  },
+  
   // SEO and URL
   slug: {
     type: String,
@@ -0,0 +1,143 @@
+/**
+ * Commission Rule Model
+ *
+ * Defines the schema for marketplace commission rules
+ * A rule applies to a category, a seller, both, or everything, optionally
+ * only within a validity window (a promotional rate). Commission is a
+ * percentage of the pre-GST line value, a flat fee per unit, or a percentage
+ * tiered by the seller's GMV so far this month
+ * Which rule applies to a sale is decided in services/commissions.js
+ */
+
+const mongoose = require('mongoose');
+
+const commissionRuleSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+
+  // Scope (unset means every category / every seller)
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Commission
+  type: {
+    type: String,
+    enum: ['percentage', 'flat', 'tiered'],
+    required: [true, 'Commission type is required']
+  },
+  // Percentage, or ₹ per unit for flat rules (unused for tiered rules)
+  value: {
+    type: Number,
+    min: [0, 'Commission value cannot be negative']
+  },
+  // Percentage by monthly GMV (₹): the highest tier the seller has reached applies
+  // (the lowest tier also covers GMV below its threshold)
+  tiers: [{
+    _id: false,
+    minMonthlyGmv: {
+      type: Number,
+      required: true,
+      min: [0, 'Tier GMV cannot be negative']
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: [0, 'Tier rate cannot be negative'],
+      max: [100, 'Tier rate cannot exceed 100']
+    }
+  }],
+
+  // Validity window (a rule with either bound set is a promotional rate)
+  validFrom: Date,
+  validUntil: Date,
+
+  // Rule Status
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+commissionRuleSchema.index({ isActive: 1, seller: 1, category: 1 });
+
+// Pre-validate middleware to check the fields each type needs
+commissionRuleSchema.pre('validate', function(next) {
+  if (this.type === 'tiered') {
+    if (this.tiers.length === 0) {
+      this.invalidate('tiers', 'Tiered rules need at least one tier');
+    }
+    this.tiers.sort((a, b) => a.minMonthlyGmv - b.minMonthlyGmv);
+  } else if (this.value === undefined || this.value === null) {
+    this.invalidate('value', 'Commission value is required');
+  } else if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage cannot exceed 100');
+  }
+
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'Valid until must be after valid from');
+  }
+
+  next();
+});
+
+// Pre-save middleware to update timestamps
+commissionRuleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Method to check whether the rule is a promotional (time-boxed) rate
+commissionRuleSchema.methods.isPromotional = function() {
+  return Boolean(this.validFrom || this.validUntil);
+};
+
+// Method to get the percentage a tiered rule charges at a monthly GMV
+commissionRuleSchema.methods.tierRate = function(monthlyGmv) {
+  const tiers = [...this.tiers].sort((a, b) => a.minMonthlyGmv - b.minMonthlyGmv);
+  const reached = tiers.filter(tier => monthlyGmv >= tier.minMonthlyGmv);
+  return reached.length > 0 ? reached[reached.length - 1].rate : tiers[0].rate;
+};
+
+/**
+ * Method to work out the commission on a line
+ * `taxableValue` is the pre-GST line value; `monthlyGmv` is only needed for tiered rules
+ * Returns { rate, amount } where rate is the percentage (or ₹ per unit for flat
+ * rules); the amount never exceeds the line value
+ */
+commissionRuleSchema.methods.commissionFor = function({ taxableValue, quantity, monthlyGmv = 0 }) {
+  const rate = this.type === 'tiered' ? this.tierRate(monthlyGmv) : this.value;
+  const amount = this.type === 'flat' ? rate * quantity : (taxableValue * rate) / 100;
+
+  return {
+    rate,
+    amount: Math.round(Math.min(amount, taxableValue) * 100) / 100
+  };
+};
+
+// Export the model
+module.exports = mongoose.model('CommissionRule', commissionRuleSchema);
@@ -0,0 +1,35 @@
+/**
+ * Counter Model
+ *
+ * Named sequence counters (e.g. one per year for order numbers, one per
+ * seller per financial year for invoice numbers), incremented atomically so
+ * concurrent requests never receive the same value
+ * Reference numbers are built on these in services/sequences.js
+ */
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  // Counter name, e.g. "order:2026" or "invoice:<sellerId>:2025-26"
+  _id: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Static method to atomically increment a counter and return its new value (starting at 1)
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { value: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.value;
+};
+
+// Export the model
+module.exports = mongoose.model('Counter', counterSchema);
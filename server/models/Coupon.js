@@ -0,0 +1,143 @@
+/**
+ * Coupon Model
+ *
+ * Defines the schema for promo codes
+ * A coupon takes a percentage or flat amount off the eligible part of a cart,
+ * optionally limited to some categories or sellers, a validity window,
+ * a minimum cart value and global / per-user usage limits
+ */
+
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  // Coupon Identification
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+
+  // Discount
+  type: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: [true, 'Coupon type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Coupon value is required'],
+    min: [0, 'Coupon value cannot be negative']
+  },
+  // Upper bound for percentage discounts (in ₹)
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+
+  // Conditions
+  minCartValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum cart value cannot be negative']
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: Date,
+
+  // Scope (empty lists mean the coupon applies to everything)
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  sellers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // Usage Limits (unset means unlimited)
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Coupon Status
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+// Pre-save middleware to update timestamps
+couponSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Method to check whether a product falls within the coupon's scope
+couponSchema.methods.appliesTo = function(product) {
+  const sellerId = (product.seller._id || product.seller).toString();
+  const categoryId = (product.category._id || product.category).toString();
+  const inCategory = this.categories.length === 0 ||
+    this.categories.some(candidate => candidate.toString() === categoryId);
+  const bySeller = this.sellers.length === 0 ||
+    this.sellers.some(candidate => candidate.toString() === sellerId);
+
+  return inCategory && bySeller;
+};
+
+// Method to work out the discount on an eligible amount
+couponSchema.methods.discountFor = function(eligibleAmount) {
+  let discount = this.type === 'percentage'
+    ? Math.round((eligibleAmount * this.value) / 100)
+    : this.value;
+
+  if (this.type === 'percentage' && this.maxDiscount) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return Math.min(discount, eligibleAmount);
+};
+
+// Static method to find a coupon by its code (case-insensitive)
+couponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Export the model
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,32 @@
+/**
+ * Coupon Usage Model
+ *
+ * How many times each customer has used a coupon, so the per-user limit can
+ * be enforced atomically when an order redeems it (see services/coupons.js)
+ */
+
+const mongoose = require('mongoose');
+
+const couponUsageSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+});
+
+// One counter per customer and coupon
+couponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+// Export the model
+module.exports = mongoose.model('CouponUsage', couponUsageSchema);
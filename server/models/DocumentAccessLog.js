@@ -0,0 +1,50 @@
+/**
+ * Document Access Log Model
+ *
+ * Defines the schema for the audit trail of private seller documents
+ * One entry per download link issued, per download, and per refused attempt
+ * (see services/documents.js)
+ */
+
+const mongoose = require('mongoose');
+
+const documentAccessLogSchema = new mongoose.Schema({
+  // Whose document, and which one
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  documentType: {
+    type: String,
+    required: true
+  },
+  path: String, // File served, when there was one
+
+  // Who asked and what happened
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: ['link_issued', 'downloaded', 'denied'],
+    required: true
+  },
+  reason: String, // Why access was denied
+  ip: String,
+  userAgent: String,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+documentAccessLogSchema.index({ seller: 1, createdAt: -1 });
+documentAccessLogSchema.index({ user: 1, createdAt: -1 });
+
+// Export the model
+module.exports = mongoose.model('DocumentAccessLog', documentAccessLogSchema);
@@ -0,0 +1,50 @@
+/**
+ * Invoice Model
+ *
+ * Defines the schema for GST tax invoices
+ * Each seller issues one invoice for their part of an order, numbered
+ * sequentially per seller per financial year (April to March)
+ * An invoice is claimed (inserted without a number) before it is numbered,
+ * see services/invoices.js
+ * The PDF is rendered from the order when requested
+ */
+
+const mongoose = require('mongoose');
+
+const invoiceSchema = new mongoose.Schema({
+  // Invoice Identification
+  // Set once the request that claimed the invoice numbers it
+  invoiceNumber: String,
+  financialYear: String, // e.g. "2025-26"
+  sequence: Number,
+
+  // What is invoiced, and by whom
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Seller is required']
+  },
+  // Seller GSTIN at the time of issue
+  sellerGstin: String,
+
+  // Timestamps
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+invoiceSchema.index({ order: 1, seller: 1 }, { unique: true });
+invoiceSchema.index(
+  { seller: 1, invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+);
+
+// Export the model
+module.exports = mongoose.model('Invoice', invoiceSchema);
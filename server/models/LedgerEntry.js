@@ -0,0 +1,73 @@
+/**
+ * Ledger Entry Model
+ *
+ * Defines the schema for the seller settlement ledger: what the marketplace
+ * owes each seller (credits) and what it keeps back (debits)
+ * Entries are posted by services/payouts.js and settled by a payout
+ */
+
+const mongoose = require('mongoose');
+
+const ledgerEntrySchema = new mongoose.Schema({
+  // Whose ledger this entry is on
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Seller is required']
+  },
+
+  // Identifies the event the entry records (e.g. "sale:<orderId>:<itemId>"),
+  // so posting the same event twice never counts it twice
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['sale', 'commission', 'payment_fee', 'refund', 'commission_reversal'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  description: String,
+
+  // Where the entry came from
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: String,
+  orderItem: mongoose.Schema.Types.ObjectId, // Order line item _id
+  refund: mongoose.Schema.Types.ObjectId, // Order refund _id
+
+  // Settlement (unset until a payout includes the entry)
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout',
+    default: null
+  },
+  settledAt: Date,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+ledgerEntrySchema.index({ seller: 1, payout: 1 });
+ledgerEntrySchema.index({ seller: 1, createdAt: -1 });
+
+// Export the model
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -6,6 +6,110 @@
  */
 
 const mongoose = require('mongoose');
+const { releaseReservations, fulfilReservations } = require('../services/stockReservation');
+const { createRefund } = require('../services/refunds');
+const { releaseOrderCoupon } = require('../services/coupons');
+const { issueInvoices } = require('../services/invoices');
+const { nextNumber } = require('../services/sequences');
+
+// Fulfilment lifecycle, in order of progress
+const FULFILMENT_STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'out_for_delivery', 'delivered'];
+
+// Legal order status transitions: { from: [allowed next statuses] }
+// Shipping statuses may skip ahead because the order status is derived
+// from several fulfilments that progress independently
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'payment_expired', 'cancelled'],
+  payment_expired: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'shipped', 'out_for_delivery', 'delivered', 'cancelled'],
+  processing: ['shipped', 'out_for_delivery', 'delivered', 'cancelled'],
+  shipped: ['out_for_delivery', 'delivered'],
+  out_for_delivery: ['delivered'],
+  delivered: ['returned', 'refunded'],
+  cancelled: ['refunded'],
+  returned: ['refunded'],
+  refunded: []
+};
+
+// Legal fulfilment (per-seller shipment) status transitions
+const FULFILMENT_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'shipped', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['out_for_delivery', 'delivered'],
+  out_for_delivery: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Side effects of entering an order status
+// `before` runs before the order is saved, `after` once it has been saved
+const TRANSITION_EFFECTS = {
+  confirmed: {
+    // Each seller invoices their part of the order
+    after: (order) => issueInvoices(order)
+  },
+  shipped: {
+    before: (order) => {
+      order.shipping.shippedAt = order.shipping.shippedAt || new Date();
+    }
+  },
+  delivered: {
+    before: (order) => {
+      order.shipping.deliveredAt = order.shipping.deliveredAt || new Date();
+      
+      // Cash on delivery is collected on delivery
+      if (order.payment.method === 'cod' && order.payment.status === 'pending') {
+        order.payment.status = 'completed';
+        order.payment.paidAt = new Date();
+      }
+    },
+    // Delivered units leave stock for good
+    after: (order) => fulfilReservations(order._id)
+  },
+  payment_expired: {
+    // Give the stock and coupon use back (a late payment takes them again)
+    after: async (order) => {
+      await releaseReservations(order._id, 'Payment window expired');
+      await releaseOrderCoupon(order);
+    }
+  },
+  cancelled: {
+    // Give the stock and coupon use back and refund whatever was paid
+    after: async (order, { message, updatedBy }) => {
+      await releaseReservations(order._id, 'Order cancelled');
+      await releaseOrderCoupon(order);
+      await createRefund(order, { reason: message, source: 'cancellation', requestedBy: updatedBy });
+    }
+  }
+};
+
+// Error for a status change the transition table does not allow
+const transitionError = (from, to) => {
+  const error = new Error(`Cannot change status from ${from} to ${to}`);
+  error.statusCode = 409;
+  return error;
+};
+
+// Timeline entry shared by the order and its fulfilments
+const timelineEntry = {
+  status: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+};
 
 const orderSchema = new mongoose.Schema({
   // Order Identification
@@ -60,6 +164,29 @@ const orderSchema = new mongoose.Schema({
     total: {
       type: Number,
       required: true
+    },
+    
+    // GST for this line (taxableValue is the total after its share of `discount`)
+    hsnCode: String,
+    gstRate: Number,
+    taxableValue: Number,
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    
+    // Marketplace commission, frozen at order time (see services/commissions)
+    commission: {
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CommissionRule'
+      },
+      type: {
+        type: String,
+        enum: ['percentage', 'flat', 'tiered']
+      },
+      value: Number, // Percentage, or ₹ per unit for flat rules
+      monthlyGmv: Number, // Seller GMV that set a tiered rate
+      amount: Number
     }
   }],
   
@@ -79,11 +206,34 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Tax cannot be negative']
   },
+  // How `tax` splits into GST components
+  taxBreakdown: {
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 }
+  },
   discount: {
     type: Number,
     default: 0,
     min: [0, 'Discount cannot be negative']
   },
+  
+  // Coupon applied at checkout (its discount is included in `discount`)
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    type: {
+      type: String,
+      enum: ['percentage', 'flat']
+    },
+    value: Number,
+    discount: Number,
+    releasedAt: Date // Set once the use has been given back (order cancelled or expired)
+  },
+  
   total: {
     type: Number,
     required: true,
@@ -121,6 +271,7 @@ const orderSchema = new mongoose.Schema({
     type: String,
     enum: [
       'pending',
+      'payment_expired',
       'confirmed',
       'processing',
       'shipped',
@@ -145,6 +296,7 @@ const orderSchema = new mongoose.Schema({
       enum: ['pending', 'completed', 'failed', 'refunded'],
       default: 'pending'
     },
+    intentId: String,
     transactionId: String,
     paymentGateway: String,
     paidAt: Date,
@@ -167,23 +319,44 @@ const orderSchema = new mongoose.Schema({
   },
   
   // Order Timeline
-  timeline: [{
-    status: {
-      type: String,
+  timeline: [timelineEntry],
+  
+  // Per-seller Fulfilments (split shipments)
+  // Each seller ships their own items; the order status is derived from these
+  fulfilments: [{
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
       required: true
     },
-    message: {
+    items: [mongoose.Schema.Types.ObjectId], // Order line item _ids
+    status: {
       type: String,
-      required: true
+      enum: [...FULFILMENT_STATUSES, 'cancelled'],
+      default: 'pending'
     },
-    timestamp: {
-      type: Date,
-      default: Date.now
+    shipping: {
+      zone: String,
+      billableWeight: Number, // in grams
+      cost: Number, // This shipment's share of the order's shippingCost
+      carrier: String,
+      trackingNumber: String,
+      estimatedDelivery: Date,
+      shippedAt: Date,
+      deliveredAt: Date,
+      // Scans reported by the carrier (see services/carriers)
+      trackingEvents: [{
+        _id: false,
+        code: String,
+        status: String, // Shipment status the scan means, if any
+        description: String,
+        location: String,
+        occurredAt: Date
+      }]
     },
-    updatedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    }
+    timeline: [timelineEntry],
+    // When the seller's ledger was credited for this shipment (see services/payouts)
+    settledAt: Date
   }],
   
   // Notes and Comments
@@ -199,13 +372,104 @@ const orderSchema = new mongoose.Schema({
   },
   
   return: {
+    returnNumber: String, // e.g. RT26-0000138
+    status: {
+      type: String,
+      enum: ['requested', 'approved', 'rejected', 'received']
+    },
+    items: [{
+      _id: false,
+      item: mongoose.Schema.Types.ObjectId, // Order line item _id
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      quantity: Number
+    }],
+    // Each seller reviews, collects and receives their own returned items;
+    // `status` above is rolled up from these (see services/returns.js)
+    sellers: [{
+      _id: false,
+      seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      status: {
+        type: String,
+        enum: ['requested', 'approved', 'rejected', 'received']
+      },
+      approvedAt: Date,
+      rejectedAt: Date,
+      rejectionReason: String,
+      returnCarrier: String,
+      returnTrackingNumber: String,
+      receivedAt: Date
+    }],
     reason: String,
     requestedAt: Date,
+    // Review of returns requested before per-seller review (one for the whole return)
     approvedAt: Date,
+    rejectedAt: Date,
+    rejectionReason: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    returnCarrier: String,
     returnTrackingNumber: String,
+    receivedAt: Date,
     refundAmount: Number
   },
   
+  // Refund History
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Refund amount cannot be negative']
+    },
+    items: [{
+      _id: false,
+      item: mongoose.Schema.Types.ObjectId, // Order line item _id
+      quantity: Number,
+      amount: Number
+    }],
+    includesShipping: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    source: {
+      type: String,
+      enum: ['cancellation', 'return', 'manual'],
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending_approval', 'processing', 'completed', 'failed', 'rejected'],
+      default: 'pending_approval'
+    },
+    gatewayRefundId: String,
+    failureReason: String,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    processedAt: Date
+  }],
+  
   // Timestamps
   createdAt: {
     type: Date,
@@ -223,23 +487,58 @@ orderSchema.index({ customer: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ 'items.seller': 1 });
+orderSchema.index({ 'fulfilments.seller': 1, 'fulfilments.status': 1 });
+orderSchema.index({ 'fulfilments.shipping.trackingNumber': 1 });
+orderSchema.index({ 'fulfilments.status': 1, 'fulfilments.settledAt': 1 });
 orderSchema.index({ 'payment.status': 1 });
+orderSchema.index({ 'payment.intentId': 1 });
+orderSchema.index({ 'refunds.status': 1 });
 
-// Pre-save middleware to generate order number and update timestamps
-orderSchema.pre('save', function(next) {
-  // Generate order number if not exists
+// Pre-validate middleware to generate the order number (e.g. CC26-0000427)
+// Runs before validation, as the number is required
+orderSchema.pre('validate', async function() {
   if (!this.orderNumber) {
-    const timestamp = Date.now().toString();
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    this.orderNumber = `CC${timestamp}${random}`;
+    const { number } = await nextNumber('order', { date: this.createdAt });
+    this.orderNumber = number;
+  }
+});
+
+// Pre-save middleware to split fulfilments and update timestamps
+orderSchema.pre('save', function(next) {
+  // Split items into one fulfilment per seller
+  if (this.fulfilments.length === 0 && this.items.length > 0) {
+    this.buildFulfilments();
   }
   
   this.updatedAt = Date.now();
   next();
 });
 
-// Method to add timeline entry
-orderSchema.methods.addTimelineEntry = function(status, message, updatedBy = null) {
+/**
+ * Method to add timeline entry and move the order to `status`
+ * The change must be allowed by STATUS_TRANSITIONS (an error with
+ * statusCode 409 is thrown otherwise) and runs its TRANSITION_EFFECTS.
+ * Passing the current status just records a timeline note.
+ * Confirming or cancelling the whole order carries over to its fulfilments.
+ */
+orderSchema.methods.addTimelineEntry = async function(status, message, updatedBy = null) {
+  const from = this.status;
+  const isTransition = from !== status && !this.isNew;
+  
+  if (isTransition && !this.constructor.canTransition(from, status)) {
+    throw transitionError(from, status);
+  }
+  
+  // Items already on their way cannot be cancelled
+  const shipped = this.fulfilments.filter(fulfilment => 
+    fulfilment.status !== 'cancelled' && !this.constructor.canTransitionFulfilment(fulfilment.status, 'cancelled')
+  );
+  if (isTransition && status === 'cancelled' && shipped.length > 0) {
+    const error = new Error('Order cannot be cancelled after items have shipped');
+    error.statusCode = 409;
+    throw error;
+  }
+  
   this.timeline.push({
     status,
     message,
@@ -248,7 +547,116 @@ orderSchema.methods.addTimelineEntry = function(status, message, updatedBy = nul
   });
   
   this.status = status;
-  return this.save();
+  
+  if (status === 'confirmed' || status === 'cancelled') {
+    this.fulfilments
+      .filter(fulfilment => this.constructor.canTransitionFulfilment(fulfilment.status, status) && fulfilment.status !== status)
+      .forEach(fulfilment => {
+        fulfilment.status = status;
+        fulfilment.timeline.push({ status, message, timestamp: new Date(), updatedBy });
+      });
+  }
+  
+  const effects = isTransition ? TRANSITION_EFFECTS[status] : undefined;
+  if (effects?.before) effects.before(this);
+  
+  await this.save();
+  
+  if (effects?.after) await effects.after(this, { message, updatedBy });
+  return this;
+};
+
+// Method to split order items into one fulfilment per seller
+orderSchema.methods.buildFulfilments = function() {
+  const bySeller = new Map();
+  
+  for (const item of this.items) {
+    const sellerId = (item.seller._id || item.seller).toString();
+    if (!bySeller.has(sellerId)) {
+      bySeller.set(sellerId, { seller: item.seller, items: [], status: 'pending', timeline: [] });
+    }
+    bySeller.get(sellerId).items.push(item._id);
+  }
+  
+  this.fulfilments = [...bySeller.values()];
+  return this;
+};
+
+// Method to get a seller's fulfilment
+orderSchema.methods.getFulfilmentForSeller = function(sellerId) {
+  return this.fulfilments.find(fulfilment => 
+    (fulfilment.seller._id || fulfilment.seller).toString() === sellerId.toString()
+  );
+};
+
+// Method to derive the order status from its fulfilments
+// The order is only as far along as its least advanced (non-cancelled) fulfilment
+orderSchema.methods.deriveStatus = function() {
+  const active = this.fulfilments.filter(fulfilment => fulfilment.status !== 'cancelled');
+  
+  if (this.fulfilments.length === 0) return this.status;
+  if (active.length === 0) return 'cancelled';
+  
+  const progress = Math.min(...active.map(fulfilment => FULFILMENT_STATUSES.indexOf(fulfilment.status)));
+  return FULFILMENT_STATUSES[progress];
+};
+
+/**
+ * Method to update one fulfilment's status and roll it up to the order
+ * Both the fulfilment change and the resulting order change must be legal
+ * (an error with statusCode 409 is thrown otherwise). Online orders cannot
+ * be confirmed by a seller before they are paid.
+ * Shipping details (carrier, trackingNumber) are recorded on the fulfilment.
+ * Cancelling a fulfilment releases and refunds that seller's items.
+ */
+orderSchema.methods.updateFulfilmentStatus = async function(fulfilment, status, message, updatedBy = null, shipping = {}) {
+  const from = fulfilment.status;
+  
+  if (!this.constructor.canTransitionFulfilment(from, status)) {
+    throw transitionError(from, status);
+  }
+  
+  const awaitingPayment = this.payment.method !== 'cod' && this.payment.status !== 'completed';
+  if (status !== 'cancelled' && awaitingPayment) {
+    const error = new Error('Order cannot be fulfilled before it is paid');
+    error.statusCode = 409;
+    throw error;
+  }
+  
+  // Check the order-level change before touching anything
+  fulfilment.status = status;
+  const orderStatus = this.deriveStatus();
+  if (orderStatus !== this.status && !this.constructor.canTransition(this.status, orderStatus)) {
+    fulfilment.status = from;
+    throw transitionError(this.status, orderStatus);
+  }
+  
+  fulfilment.timeline.push({ status, message, timestamp: new Date(), updatedBy });
+  
+  if (shipping.carrier) fulfilment.shipping.carrier = shipping.carrier;
+  if (shipping.trackingNumber) fulfilment.shipping.trackingNumber = shipping.trackingNumber;
+  if (status === 'shipped') fulfilment.shipping.shippedAt = new Date();
+  if (status === 'delivered') fulfilment.shipping.deliveredAt = new Date();
+  
+  if (orderStatus !== this.status) {
+    // Order-level effects (stock, refunds) cover every fulfilment
+    return this.addTimelineEntry(orderStatus, `Order status updated to ${orderStatus}`, updatedBy);
+  }
+  
+  await this.save();
+  
+  if (status === 'cancelled') {
+    const items = this.items.filter(item => fulfilment.items.some(itemId => itemId.equals(item._id)));
+    await releaseReservations(this._id, message, items.map(item => item.product));
+    await createRefund(this, {
+      lines: items.map(item => ({ item: item._id, quantity: item.quantity })),
+      reason: message,
+      source: 'cancellation',
+      requestedBy: updatedBy
+    });
+  }
+  
+  return this;
 };
 
 // Method to calculate totals
@@ -258,6 +666,18 @@ orderSchema.methods.calculateTotals = function() {
   return this;
 };
 
+// Static method to check an order status transition against the table
+orderSchema.statics.canTransition = function(from, to) {
+  return from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Static method to check a fulfilment status transition against the table
+orderSchema.statics.canTransitionFulfilment = function(from, to) {
+  return (FULFILMENT_TRANSITIONS[from] || []).includes(to);
+};
+
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 // Static method to get orders by customer
 orderSchema.statics.getByCustomer = function(customerId, options = {}) {
   const { status, limit = 20, skip = 0 } = options;
@@ -278,7 +698,7 @@ orderSchema.statics.getBySeller = function(sellerId, options = {}) {
   const { status, limit = 20, skip = 0 } = options;
   
   let query = { 'items.seller': sellerId };
-  if (status) query.status = status;
+  if (status) query.fulfilments = { $elemMatch: { seller: sellerId, status } };
   
   return this.find(query)
     .sort({ createdAt: -1 })
@@ -0,0 +1,65 @@
+/**
+ * Payout Model
+ *
+ * Defines the schema for seller payouts
+ * A payout batch pays every seller with a positive balance at once; each
+ * payout settles the ledger entries it covers and becomes one row of the
+ * batch's bank upload file
+ */
+
+const mongoose = require('mongoose');
+
+const payoutSchema = new mongoose.Schema({
+  // Payout Identification
+  reference: {
+    type: String, // e.g. PO26-0000039
+    required: true,
+    unique: true
+  },
+  batch: {
+    type: String, // e.g. PB-20261019-1a2b3c
+    required: true
+  },
+
+  // Who is paid, how much, and for which ledger entries
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Seller is required']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Seller bank details at the time of the payout
+  bankDetails: {
+    accountHolderName: String,
+    accountNumber: String,
+    bankName: String,
+    ifscCode: String
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+payoutSchema.index({ batch: 1 });
+payoutSchema.index({ seller: 1, createdAt: -1 });
+
+// Export the model
+module.exports = mongoose.model('Payout', payoutSchema);
@@ -0,0 +1,62 @@
+/**
+ * Pincode Model
+ *
+ * Defines the schema for the pincode directory used for serviceability,
+ * delivery zones and delivery estimates
+ * Imported from a CSV file with scripts/importPincodes.js
+ */
+
+const mongoose = require('mongoose');
+
+const pincodeSchema = new mongoose.Schema({
+  pincode: {
+    type: String,
+    required: [true, 'Pincode is required'],
+    unique: true,
+    match: [/^[1-9][0-9]{5}$/, 'Please enter a valid Indian pincode']
+  },
+  office: String,
+  district: {
+    type: String,
+    required: [true, 'District is required'],
+    trim: true
+  },
+  state: {
+    type: String,
+    required: [true, 'State is required'],
+    trim: true
+  },
+
+  // Delivery region: metro cities, the rest of India, or remote areas
+  // (North East, J&K, Ladakh, islands) that ship at special rates
+  zone: {
+    type: String,
+    enum: ['metro', 'standard', 'special'],
+    default: 'standard'
+  },
+
+  // Delivery Options
+  serviceable: {
+    type: Boolean,
+    default: true
+  },
+  codAvailable: {
+    type: Boolean,
+    default: true
+  },
+
+  // Timestamps
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Static method to load directory entries for several pincodes as a Map
+pincodeSchema.statics.findMany = async function(pincodes) {
+  const entries = await this.find({ pincode: { $in: [...new Set(pincodes.filter(Boolean))] } });
+  return new Map(entries.map(entry => [entry.pincode, entry]));
+};
+
+// Export the model
+module.exports = mongoose.model('Pincode', pincodeSchema);
@@ -6,6 +6,7 @@
  */
 
 const mongoose = require('mongoose');
+const { GST_RATES } = require('../config/gst');
 
 const productSchema = new mongoose.Schema({
   // Basic Product Information
@@ -116,6 +117,22 @@ const productSchema = new mongoose.Schema({
     }
   }],
   
+  // Tax Classification (GST); falls back to the category when unset
+  tax: {
+    hsnCode: {
+      type: String,
+      trim: true,
+      match: [/^\d{4}(\d{2}){0,2}$/, 'HSN code must be 4, 6 or 8 digits']
+    },
+    gstRate: {
+      type: Number,
+      enum: {
+        values: GST_RATES,
+        message: 'GST rate must be one of ' + GST_RATES.join(', ')
+      }
+    }
+  },
+  
   // Physical Properties
   dimensions: {
     length: Number, // in cm
@@ -163,6 +180,10 @@ const productSchema = new mongoose.Schema({
     default: 'new'
   },
   expiryDate: Date, // For products with expiry dates
+  isReturnable: {
+    type: Boolean,
+    default: true // Set false for final-sale items that cannot be returned
+  },
   
   // SEO and Search
   slug: {
@@ -0,0 +1,57 @@
+/**
+ * Reservation Model
+ *
+ * Defines the schema for stock holds placed by orders
+ * Each hold reserves a quantity of one product for one order until it
+ * is committed (order paid/confirmed), released (order cancelled) or expires.
+ * Once the order is delivered the hold is fulfilled: the units leave stock
+ */
+
+const mongoose = require('mongoose');
+
+const reservationSchema = new mongoose.Schema({
+  // What is held, and for which order
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+
+  // Hold Status
+  status: {
+    type: String,
+    enum: ['active', 'committed', 'released', 'expired', 'fulfilled'],
+    default: 'active'
+  },
+
+  // Active holds are released by the sweeper once this date passes
+  // Committed holds have no expiry
+  expiresAt: Date,
+  committedAt: Date,
+  fulfilledAt: Date,
+  releasedAt: Date,
+  releaseReason: String,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+reservationSchema.index({ order: 1 });
+reservationSchema.index({ status: 1, expiresAt: 1 });
+
+// Export the model
+module.exports = mongoose.model('Reservation', reservationSchema);
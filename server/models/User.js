@@ -7,6 +7,7 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { SELLER_DOCUMENT_TYPES, SELLER_DOCUMENT_STATUSES } = require('../services/sellerProfiles');
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -103,6 +104,7 @@ const userSchema = new mongoose.Schema({
   },
   
   // Seller Information (if userType is 'seller')
+  // The one seller profile; written through services/sellerProfiles.js
   sellerInfo: {
     companyName: String,
     companyType: String,
@@ -112,17 +114,81 @@ const userSchema = new mongoose.Schema({
     establishedYear: Number,
     contactPerson: String,
     designation: String,
+    contactEmail: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    phone: {
+      type: String,
+      match: [/^[6-9]\d{9}$/, 'Please enter a valid Indian phone number']
+    },
+    alternatePhone: String,
+    // Registered business address (may differ from the account address)
+    businessAddress: {
+      street: String,
+      city: String,
+      state: String,
+      pincode: {
+        type: String,
+        match: [/^[1-9][0-9]{5}$/, 'Please enter a valid Indian pincode']
+      },
+      country: {
+        type: String,
+        default: 'India'
+      }
+    },
     businessCategory: String,
     productCategories: [String],
     manufacturingCapacity: String,
     warehouseLocation: String,
+    warehouseState: String, // State goods ship from; decides CGST+SGST vs IGST
+    warehousePincode: {
+      type: String,
+      match: [/^[1-9][0-9]{5}$/, 'Please enter a valid Indian pincode']
+    },
+    freeShippingThreshold: Number, // Order value (₹) above which standard shipping is free
     bankDetails: {
       bankName: String,
       accountNumber: String,
       ifscCode: String,
       accountHolderName: String
     },
-    documents: [String], // Array of document file paths
+    // Documents uploaded with the application
+    documents: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: [...SELLER_DOCUMENT_TYPES, 'other']
+      },
+      path: String, // File name in the private document store (services/documents.js), e.g. gst_123.pdf
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      },
+      // KYC review (see services/sellerProfiles.js)
+      status: {
+        type: String,
+        enum: SELLER_DOCUMENT_STATUSES,
+        default: 'pending'
+      },
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reviewedAt: Date,
+      reuploadRequestedAt: Date,
+      // Notes from reviewers and from the seller when re-uploading
+      comments: [{
+        _id: false,
+        author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        text: {
+          type: String,
+          maxlength: [500, 'Comment cannot exceed 500 characters']
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now
+        }
+      }]
+    }],
     isVerified: { type: Boolean, default: false },
     applicationStatus: {
       type: String,
@@ -252,5 +318,9 @@ userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Seller fields needed to price a checkout (tax origin, shipping origin and threshold)
+userSchema.statics.CHECKOUT_SELLER_FIELDS = 'firstName lastName address.state address.pincode sellerInfo.companyName ' +
+  'sellerInfo.gstNumber sellerInfo.warehouseState sellerInfo.warehousePincode sellerInfo.freeShippingThreshold';
+
 // Export the model
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
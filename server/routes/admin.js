@@ -3,16 +3,35 @@
  * 
  * Handles admin-specific operations:
  * - View seller applications
- * - Approve/reject seller applications
- * - Create seller accounts
+ * - Review seller KYC documents and approve/reject seller applications
+ * - Audit access to private seller documents
+ * - Notify sellers of the decision by email
+ * - Review and approve refunds
+ * - Manage coupons
+ * - Manage marketplace commission rules
+ * - Run seller payout batches and export them for the bank
  * - Manage platform settings
  */
 
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const Category = require('../models/Category');
+const CommissionRule = require('../models/CommissionRule');
+const Payout = require('../models/Payout');
+const DocumentAccessLog = require('../models/DocumentAccessLog');
 const auth = require('../middleware/auth');
+const { createRefund, approveRefund, rejectRefund } = require('../services/refunds');
+const { runPayoutBatch, buildPayoutCsv } = require('../services/payouts');
+const {
+  SELLER_DOCUMENT_TYPES,
+  reviewSellerDocument,
+  approveSellerApplication,
+  rejectSellerApplication,
+  toSellerApplication
+} = require('../services/sellerProfiles');
 const nodemailer = require('nodemailer');
 
 const router = express.Router();
@@ -65,15 +84,11 @@ router.get('/seller-applications', [auth, adminAuth], async (req, res) => {
   try {
     const { status = 'pending', page = 1, limit = 20 } = req.query;
 
-    // Build query based on status
+    // Build query based on status (applicants are switched to sellers when they apply)
     let query = { userType: 'seller' };
     
-    if (status === 'pending') {
-      query['sellerInfo.applicationStatus'] = 'pending';
-    } else if (status === 'approved') {
-      query['sellerInfo.applicationStatus'] = 'approved';
-    } else if (status === 'rejected') {
-      query['sellerInfo.applicationStatus'] = 'rejected';
+    if (['pending', 'approved', 'rejected'].includes(status)) {
+      query['sellerInfo.applicationStatus'] = status;
     }
 
     // Calculate pagination
@@ -81,7 +96,7 @@ router.get('/seller-applications', [auth, adminAuth], async (req, res) => {
 
     // Fetch applications
     const applications = await User.find(query)
-      .select('firstName lastName email sellerInfo createdAt')
+      .select('firstName lastName email phone sellerInfo createdAt')
       .sort({ 'sellerInfo.appliedAt': -1 })
       .limit(parseInt(limit))
       .skip(skip);
@@ -90,24 +105,8 @@ router.get('/seller-applications', [auth, adminAuth], async (req, res) => {
     const total = await User.countDocuments(query);
     const totalPages = Math.ceil(total / parseInt(limit));
 
-    // Transform data for frontend
-    const transformedApplications = applications.map(app => ({
-      _id: app._id,
-      companyName: app.sellerInfo?.companyName,
-      companyType: app.sellerInfo?.companyType,
-      gstNumber: app.sellerInfo?.gstNumber,
-      panNumber: app.sellerInfo?.panNumber,
-      contactPerson: `${app.firstName} ${app.lastName}`,
-      email: app.email,
-      phone: app.sellerInfo?.phone,
-      businessCategory: app.sellerInfo?.businessCategory,
-      productCategories: app.sellerInfo?.productCategories,
-      status: app.sellerInfo?.applicationStatus,
-      appliedAt: app.sellerInfo?.appliedAt,
-      createdAt: app.createdAt,
-      // Include all seller info for detailed view
-      ...app.sellerInfo?.toObject()
-    }));
+    // Flatten each seller profile for the review screen
+    const transformedApplications = applications.map(toSellerApplication);
 
     res.json({
       success: true,
@@ -136,7 +135,8 @@ router.get('/seller-applications', [auth, adminAuth], async (req, res) => {
 
 /**
  * @route   POST /api/admin/seller-applications/:id/approve
- * @desc    Approve seller application and create seller account
+ * @desc    Approve a seller application, giving the applicant's account seller access
+ *          (every required document must have been verified first)
  * @access  Private (Admin only)
  */
 router.post('/seller-applications/:id/approve', [auth, adminAuth], async (req, res) => {
@@ -152,41 +152,12 @@ router.post('/seller-applications/:id/approve', [auth, adminAuth], async (req, r
       });
     }
 
-    // Check if application is pending
-    if (user.sellerInfo?.applicationStatus !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'Application is not in pending status'
-      });
-    }
-
-    // Generate random password for seller account
-    const generatePassword = () => {
-      const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-      let password = '';
-      for (let i = 0; i < 8; i++) {
-        password += chars.charAt(Math.floor(Math.random() * chars.length));
-      }
-      return password;
-    };
-
-    const tempPassword = generatePassword();
-
-    // Update user status to approved seller
-    user.sellerInfo.applicationStatus = 'approved';
-    user.sellerInfo.isVerified = true;
-    user.sellerInfo.approvedAt = new Date();
-    user.sellerInfo.approvedBy = req.user.userId;
-    
-    // Set temporary password (user should change on first login)
-    user.password = tempPassword;
-    user.isActive = true;
-
-    await user.save();
+    // Unlocks the seller routes for this account
+    await approveSellerApplication(user, req.user.userId);
 
-    // Send email with login credentials
+    // Let the seller know they can start selling
     try {
-      await sendSellerCredentials(user.email, user.sellerInfo.companyName, user.email, tempPassword);
+      await sendSellerApprovalEmail(user.email, user.sellerInfo.companyName);
     } catch (emailError) {
       console.error('Email sending error:', emailError);
       // Continue even if email fails
@@ -198,13 +169,20 @@ router.post('/seller-applications/:id/approve', [auth, adminAuth], async (req, r
       data: {
         sellerId: user._id,
         email: user.email,
-        companyName: user.sellerInfo.companyName,
-        tempPassword: tempPassword // Remove this in production
+        companyName: user.sellerInfo.companyName
       }
     });
 
   } catch (error) {
     console.error('Approve seller application error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error while approving seller application',
@@ -213,6 +191,84 @@ router.post('/seller-applications/:id/approve', [auth, adminAuth], async (req, r
   }
 });
 
+/**
+ * @route   POST /api/admin/seller-applications/:id/documents/:type/review
+ * @desc    Verify one document of a pending application, or send it back for re-upload
+ * @access  Private (Admin only)
+ * @body    { status: 'verified' | 'reupload_requested', comment }
+ */
+router.post('/seller-applications/:id/documents/:type/review', [auth, adminAuth], [
+  param('type').isIn(SELLER_DOCUMENT_TYPES).withMessage('Unknown document type'),
+  body('status')
+    .isIn(['verified', 'reupload_requested'])
+    .withMessage('Status must be verified or reupload_requested'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Comment cannot exceed 500 characters'),
+  body('comment')
+    .if(body('status').equals('reupload_requested'))
+    .notEmpty()
+    .withMessage('A comment is required when asking for a re-upload')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id, type } = req.params;
+    const { status, comment } = req.body;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seller application not found'
+      });
+    }
+
+    await reviewSellerDocument(user, type, { status, comment }, req.user.userId);
+
+    // Tell the seller what to fix
+    if (status === 'reupload_requested') {
+      try {
+        await sendReuploadRequestEmail(user.email, user.sellerInfo.companyName, type, comment);
+      } catch (emailError) {
+        console.error('Email sending error:', emailError);
+        // Continue even if email fails
+      }
+    }
+
+    res.json({
+      success: true,
+      message: status === 'verified' ? 'Document verified' : 'Re-upload requested',
+      data: { application: toSellerApplication(user) }
+    });
+
+  } catch (error) {
+    console.error('Review seller document error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reviewing document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * @route   POST /api/admin/seller-applications/:id/reject
  * @desc    Reject seller application
@@ -247,21 +303,7 @@ router.post('/seller-applications/:id/reject', [auth, adminAuth], [
       });
     }
 
-    // Check if application is pending
-    if (user.sellerInfo?.applicationStatus !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'Application is not in pending status'
-      });
-    }
-
-    // Update user status to rejected
-    user.sellerInfo.applicationStatus = 'rejected';
-    user.sellerInfo.rejectedAt = new Date();
-    user.sellerInfo.rejectedBy = req.user.userId;
-    user.sellerInfo.rejectionReason = reason;
-
-    await user.save();
+    await rejectSellerApplication(user, req.user.userId, reason);
 
     // Send rejection email
     try {
@@ -284,6 +326,14 @@ router.post('/seller-applications/:id/reject', [auth, adminAuth], [
 
   } catch (error) {
     console.error('Reject seller application error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error while rejecting seller application',
@@ -292,6 +342,79 @@ router.post('/seller-applications/:id/reject', [auth, adminAuth], [
   }
 });
 
+/**
+ * @route   GET /api/admin/document-access
+ * @desc    Get the access log of private seller documents, newest first
+ * @access  Private (Admin only)
+ * @query   { seller?, user?, action?, page?, limit? }
+ */
+router.get('/document-access', [auth, adminAuth], [
+  query('seller')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid seller ID is required'),
+  query('user')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid user ID is required'),
+  query('action')
+    .optional()
+    .isIn(['link_issued', 'downloaded', 'denied'])
+    .withMessage('Action must be link_issued, downloaded or denied')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { seller, user, action, page = 1, limit = 50 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {};
+    if (seller) filter.seller = seller;
+    if (user) filter.user = user;
+    if (action) filter.action = action;
+
+    const entries = await DocumentAccessLog.find(filter)
+      .populate('seller', 'firstName lastName email sellerInfo.companyName')
+      .populate('user', 'firstName lastName email userType')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await DocumentAccessLog.countDocuments(filter);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalEntries: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get document access log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching document access log',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * @route   GET /api/admin/dashboard
  * @desc    Get admin dashboard statistics
@@ -358,86 +481,899 @@ router.get('/dashboard', [auth, adminAuth], async (req, res) => {
   }
 });
 
-// Email service functions
-const sendSellerCredentials = async (email, companyName, username, password) => {
-  // Configure email transporter (use your email service)
-  const transporter = nodemailer.createTransporter({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    secure: false,
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
+/**
+ * @route   GET /api/admin/refunds
+ * @desc    Get refunds, by default those waiting for approval
+ * @access  Private (Admin only)
+ * @query   { status?, page?, limit? }
+ */
+router.get('/refunds', [auth, adminAuth], async (req, res) => {
+  try {
+    const { status = 'pending_approval', page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const orders = await Order.find({ 'refunds.status': status })
+      .select('orderNumber customer total payment refunds createdAt')
+      .populate('customer', 'firstName lastName email')
+      .sort({ updatedAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Order.countDocuments({ 'refunds.status': status });
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    // One entry per matching refund
+    const refunds = orders.flatMap(order => order.refunds
+      .filter(refund => refund.status === status)
+      .map(refund => ({
+        ...refund.toObject(),
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        orderTotal: order.total,
+        paymentMethod: order.payment.method,
+        customer: order.customer
+      })));
+
+    res.json({
+      success: true,
+      data: {
+        refunds,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalOrders: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching refunds',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/orders/:id/refunds
+ * @desc    Issue a manual full or partial refund for an order
+ * @access  Private (Admin only)
+ * @body    { reason, items?: [{ item, quantity }] }
+ */
+router.post('/orders/:id/refunds', [auth, adminAuth], [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Refund reason is required'),
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+  body('items.*.item')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid order item ID is required'),
+  body('items.*.quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
-  });
 
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: email,
-    subject: 'Seller Account Approved - Clearance Connect',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #FF4C4C;">Congratulations! Your Seller Account is Approved</h2>
-        <p>Dear ${companyName} Team,</p>
-        <p>We're excited to inform you that your seller application has been approved!</p>
-        
-        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <h3>Your Login Credentials:</h3>
-          <p><strong>Username/Email:</strong> ${username}</p>
-          <p><strong>Temporary Password:</strong> ${password}</p>
-        </div>
-        
-        <p><strong>Important:</strong> Please change your password after your first login for security purposes.</p>
-        
-        <p>You can now:</p>
-        <ul>
-          <li>Access your seller dashboard</li>
-          <li>Add and manage your products</li>
-          <li>Track your sales and orders</li>
-          <li>Manage your inventory</li>
-        </ul>
-        
-        <p>Welcome to Clearance Connect! We look forward to a successful partnership.</p>
-        
-        <p>Best regards,<br>Clearance Connect Team</p>
-      </div>
-    `
-  };
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
 
-  await transporter.sendMail(mailOptions);
-};
+    const pending = await createRefund(order, {
+      lines: req.body.items,
+      reason: req.body.reason,
+      source: 'manual',
+      requestedBy: req.user.userId,
+      requireApproval: true
+    });
 
-const sendRejectionEmail = async (email, companyName, reason) => {
-  const transporter = nodemailer.createTransporter({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    secure: false,
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
+    if (!pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing left to refund for this order'
+      });
     }
-  });
 
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: email,
-    subject: 'Seller Application Update - Clearance Connect',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #FF4C4C;">Seller Application Update</h2>
-        <p>Dear ${companyName} Team,</p>
-        <p>Thank you for your interest in becoming a seller on Clearance Connect.</p>
-        
-        <p>After careful review, we regret to inform you that we cannot approve your seller application at this time.</p>
-        
-        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <h3>Reason:</h3>
-          <p>${reason}</p>
-        </div>
-        
-        <p>If you believe this decision was made in error or if you have additional information to provide, please feel free to contact our support team.</p>
-        
-        <p>Thank you for your understanding.</p>
+    // The admin issuing the refund also approves it
+    const approval = await approveRefund(order, pending._id, req.user.userId);
+    if (!approval) {
+      return res.status(409).json({
+        success: false,
+        message: 'Refund is already being processed'
+      });
+    }
+    const { refund } = approval;
+
+    res.status(201).json({
+      success: refund.status === 'completed',
+      message: refund.status === 'completed' ? 'Refund issued successfully' : 'Refund failed at the payment gateway',
+      data: approval
+    });
+
+  } catch (error) {
+    console.error('Create refund error:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating refund',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/orders/:id/refunds/:refundId/approve
+ * @desc    Approve a pending refund and issue it
+ * @access  Private (Admin only)
+ */
+router.post('/orders/:id/refunds/:refundId/approve', [auth, adminAuth], async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const approval = await approveRefund(order, req.params.refundId, req.user.userId);
+    if (!approval) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund not found or not awaiting approval'
+      });
+    }
+    const { refund } = approval;
+
+    res.json({
+      success: refund.status === 'completed',
+      message: refund.status === 'completed' ? 'Refund approved and issued' : 'Refund failed at the payment gateway',
+      data: approval
+    });
+
+  } catch (error) {
+    console.error('Approve refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while approving refund',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/orders/:id/refunds/:refundId/reject
+ * @desc    Reject a pending refund
+ * @access  Private (Admin only)
+ * @body    { reason }
+ */
+router.post('/orders/:id/refunds/:refundId/reject', [auth, adminAuth], [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Rejection reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const refund = await rejectRefund(order, req.params.refundId, req.user.userId, req.body.reason);
+    if (!refund) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund not found or not awaiting approval'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Refund rejected',
+      data: { refund }
+    });
+
+  } catch (error) {
+    console.error('Reject refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting refund',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/coupons
+ * @desc    Get coupons
+ * @access  Private (Admin only)
+ * @query   { active?, page?, limit? }
+ */
+router.get('/coupons', [auth, adminAuth], async (req, res) => {
+  try {
+    const { active, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {};
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const coupons = await Coupon.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Coupon.countDocuments(query);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        coupons,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCoupons: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching coupons',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Validation shared by coupon create and update
+const couponValidation = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('code')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,30}$/)
+      .withMessage('Coupon code must be 3-30 letters, digits, dashes or underscores'),
+    field('type')
+      .isIn(['percentage', 'flat'])
+      .withMessage('Coupon type must be percentage or flat'),
+    field('value')
+      .isFloat({ min: 0 })
+      .withMessage('Coupon value must be a positive number'),
+    body('value')
+      .if(body('type').equals('percentage'))
+      .isFloat({ max: 100 })
+      .withMessage('Percentage cannot exceed 100'),
+    body('maxDiscount').optional().isFloat({ min: 0 }).withMessage('Maximum discount must be a positive number'),
+    body('minCartValue').optional().isFloat({ min: 0 }).withMessage('Minimum cart value must be a positive number'),
+    body('validFrom').optional().isISO8601().withMessage('Valid from must be a date'),
+    body('validUntil').optional().isISO8601().withMessage('Valid until must be a date'),
+    body('usageLimit').optional().isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+    body('perUserLimit').optional().isInt({ min: 1 }).withMessage('Per-user limit must be at least 1'),
+    body('categories').optional().isArray().withMessage('Categories must be an array'),
+    body('categories.*').isMongoId().withMessage('Valid category ID is required'),
+    body('sellers').optional().isArray().withMessage('Sellers must be an array'),
+    body('sellers.*').isMongoId().withMessage('Valid seller ID is required'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ];
+};
+
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'minCartValue', 'validFrom',
+  'validUntil', 'usageLimit', 'perUserLimit', 'categories', 'sellers', 'isActive'
+];
+
+/**
+ * @route   POST /api/admin/coupons
+ * @desc    Create a coupon
+ * @access  Private (Admin only)
+ */
+router.post('/coupons', [auth, adminAuth], couponValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = COUPON_FIELDS.filter(field => req.body[field] !== undefined);
+    const coupon = new Coupon({
+      ...Object.fromEntries(fields.map(field => [field, req.body[field]])),
+      createdBy: req.user.userId
+    });
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: { coupon }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    console.error('Create coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating coupon',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/coupons/:id
+ * @desc    Update or deactivate a coupon
+ * @access  Private (Admin only)
+ */
+router.put('/coupons/:id', [auth, adminAuth], couponValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    COUPON_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => coupon.set(field, req.body[field]));
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: { coupon }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    console.error('Update coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating coupon',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/commissions
+ * @desc    Get commission rules
+ * @access  Private (Admin only)
+ * @query   { seller?, category?, active?, page?, limit? }
+ */
+router.get('/commissions', [auth, adminAuth], [
+  query('seller').optional().isMongoId().withMessage('Valid seller ID is required'),
+  query('category').optional().isMongoId().withMessage('Valid category ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { seller, category, active, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {};
+    if (seller) filter.seller = seller;
+    if (category) filter.category = category;
+    if (active !== undefined) filter.isActive = active === 'true';
+
+    const rules = await CommissionRule.find(filter)
+      .populate('seller', 'firstName lastName sellerInfo.companyName')
+      .populate('category', 'name slug')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await CommissionRule.countDocuments(filter);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        rules,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalRules: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get commission rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching commission rules',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Validation shared by commission rule create and update
+// (the fields each type needs are checked by the model)
+const commissionValidation = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('type')
+      .isIn(['percentage', 'flat', 'tiered'])
+      .withMessage('Commission type must be percentage, flat or tiered'),
+    body('value').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Commission value must be a positive number'),
+    body('tiers').optional().isArray().withMessage('Tiers must be an array'),
+    body('tiers.*.minMonthlyGmv').isFloat({ min: 0 }).withMessage('Tier GMV must be a positive number'),
+    body('tiers.*.rate').isFloat({ min: 0, max: 100 }).withMessage('Tier rate must be between 0 and 100'),
+    body('seller').optional({ nullable: true }).isMongoId().withMessage('Valid seller ID is required'),
+    body('category').optional({ nullable: true }).isMongoId().withMessage('Valid category ID is required'),
+    body('validFrom').optional({ nullable: true }).isISO8601().withMessage('Valid from must be a date'),
+    body('validUntil').optional({ nullable: true }).isISO8601().withMessage('Valid until must be a date'),
+    body('description').optional().trim().isLength({ max: 300 }).withMessage('Description cannot exceed 300 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ];
+};
+
+const COMMISSION_FIELDS = [
+  'description', 'category', 'seller', 'type', 'value', 'tiers', 'validFrom', 'validUntil', 'isActive'
+];
+
+// Check that a rule's seller and category exist; resolves to an error message or null
+const checkCommissionScope = async ({ seller, category }) => {
+  if (seller && !(await User.exists({ _id: seller, userType: 'seller' }))) {
+    return 'Seller not found';
+  }
+  if (category && !(await Category.exists({ _id: category }))) {
+    return 'Category not found';
+  }
+  return null;
+};
+
+/**
+ * @route   POST /api/admin/commissions
+ * @desc    Create a commission rule
+ * @access  Private (Admin only)
+ * @body    { type, value?, tiers?: [{ minMonthlyGmv, rate }], category?, seller?,
+ *            validFrom?, validUntil?, description?, isActive? }
+ */
+router.post('/commissions', [auth, adminAuth], commissionValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scopeError = await checkCommissionScope(req.body);
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        message: scopeError
+      });
+    }
+
+    const fields = COMMISSION_FIELDS.filter(field => req.body[field] !== undefined);
+    const rule = new CommissionRule({
+      ...Object.fromEntries(fields.map(field => [field, req.body[field]])),
+      createdBy: req.user.userId
+    });
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Commission rule created successfully',
+      data: { rule }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(fieldError => fieldError.message).join(', ')
+      });
+    }
+
+    console.error('Create commission rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating commission rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/commissions/:id
+ * @desc    Update or deactivate a commission rule
+ *          (orders already placed keep the commission frozen on them)
+ * @access  Private (Admin only)
+ */
+router.put('/commissions/:id', [auth, adminAuth], commissionValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await CommissionRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission rule not found'
+      });
+    }
+
+    const scopeError = await checkCommissionScope(req.body);
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        message: scopeError
+      });
+    }
+
+    COMMISSION_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => rule.set(field, req.body[field]));
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Commission rule updated successfully',
+      data: { rule }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(fieldError => fieldError.message).join(', ')
+      });
+    }
+
+    console.error('Update commission rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating commission rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/payouts
+ * @desc    Get seller payouts, newest first
+ * @access  Private (Admin only)
+ * @query   { batch?, seller?, page?, limit? }
+ */
+router.get('/payouts', [auth, adminAuth], [
+  query('seller')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid seller ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { batch, seller, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {};
+    if (batch) filter.batch = batch;
+    if (seller) filter.seller = seller;
+
+    const payouts = await Payout.find(filter)
+      .populate('seller', 'firstName lastName email sellerInfo.companyName')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Payout.countDocuments(filter);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        payouts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalPayouts: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payouts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/payouts/run
+ * @desc    Run a payout batch: pay every seller whose settled balance has
+ *          reached the minimum and mark their ledger entries as settled
+ * @access  Private (Admin only)
+ * @body    { minAmount? }
+ */
+router.post('/payouts/run', [auth, adminAuth], [
+  body('minAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum amount must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await runPayoutBatch({
+      createdBy: req.user.userId,
+      minAmount: req.body.minAmount === undefined ? undefined : parseFloat(req.body.minAmount)
+    });
+
+    res.status(result.payouts.length > 0 ? 201 : 200).json({
+      success: true,
+      message: result.payouts.length > 0
+        ? `Payout batch ${result.batch} created for ${result.payouts.length} seller(s)`
+        : 'No seller balances are due for payout',
+      data: {
+        ...result,
+        csvUrl: result.payouts.length > 0 ? `/api/admin/payouts/batches/${result.batch}/csv` : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Run payout batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while running payout batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/payouts/batches/:batch/csv
+ * @desc    Download a payout batch as a bank upload CSV
+ * @access  Private (Admin only)
+ */
+router.get('/payouts/batches/:batch/csv', [auth, adminAuth], async (req, res) => {
+  try {
+    const csv = await buildPayoutCsv(req.params.batch);
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${req.params.batch}.csv"`
+    });
+    res.send(csv);
+
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Payout CSV error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting payout batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Email service functions
+const sendSellerApprovalEmail = async (email, companyName) => {
+  // Configure email transporter (use your email service)
+  const transporter = nodemailer.createTransporter({
+    host: process.env.EMAIL_HOST,
+    port: process.env.EMAIL_PORT,
+    secure: false,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: email,
+    subject: 'Seller Account Approved - Clearance Connect',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #FF4C4C;">Congratulations! Your Seller Account is Approved</h2>
+        <p>Dear ${companyName} Team,</p>
+        <p>We're excited to inform you that your seller application has been approved!</p>
+        
+        <p>Sign in with your existing Clearance Connect account (${email}) to get started. You can now:</p>
+        <ul>
+          <li>Access your seller dashboard</li>
+          <li>Add and manage your products</li>
+          <li>Track your sales and orders</li>
+          <li>Manage your inventory</li>
+        </ul>
+        
+        <p>Welcome to Clearance Connect! We look forward to a successful partnership.</p>
+        
+        <p>Best regards,<br>Clearance Connect Team</p>
+      </div>
+    `
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+const sendRejectionEmail = async (email, companyName, reason) => {
+  const transporter = nodemailer.createTransporter({
+    host: process.env.EMAIL_HOST,
+    port: process.env.EMAIL_PORT,
+    secure: false,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: email,
+    subject: 'Seller Application Update - Clearance Connect',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #FF4C4C;">Seller Application Update</h2>
+        <p>Dear ${companyName} Team,</p>
+        <p>Thank you for your interest in becoming a seller on Clearance Connect.</p>
+        
+        <p>After careful review, we regret to inform you that we cannot approve your seller application at this time.</p>
+        
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3>Reason:</h3>
+          <p>${reason}</p>
+        </div>
+        
+        <p>If you believe this decision was made in error or if you have additional information to provide, please feel free to contact our support team.</p>
+        
+        <p>Thank you for your understanding.</p>
+        
+        <p>Best regards,<br>Clearance Connect Team</p>
+      </div>
+    `
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+const sendReuploadRequestEmail = async (email, companyName, documentType, comment) => {
+  const transporter = nodemailer.createTransporter({
+    host: process.env.EMAIL_HOST,
+    port: process.env.EMAIL_PORT,
+    secure: false,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: email,
+    subject: 'Document Re-upload Needed - Clearance Connect',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #FF4C4C;">Please Re-upload a Document</h2>
+        <p>Dear ${companyName} Team,</p>
+        <p>While reviewing your seller application we found a problem with your <strong>${documentType}</strong> document.</p>
+        
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3>Reviewer's comment:</h3>
+          <p>${comment}</p>
+        </div>
+        
+        <p>Please sign in and upload a corrected copy. We will continue reviewing your application once it arrives.</p>
         
         <p>Best regards,<br>Clearance Connect Team</p>
       </div>
@@ -11,6 +11,9 @@
  * - Forgot password (send reset token)
  * - Reset password
  *
+ * A guest cart token sent in the X-Cart-Token header (or `cartToken` body
+ * field) on register/login is merged into the user's cart.
+ *
  * Tech Stack:
  * - bcryptjs: For password hashing
  * - jsonwebtoken: For authentication via JWT
@@ -24,11 +27,26 @@ const jwt = require("jsonwebtoken");
 const { body, validationResult } = require("express-validator");
 
 const User = require("../models/User.js"); // Your Mongoose User model
+const Cart = require("../models/Cart.js"); // Persistent carts (guest cart merge)
 const auth = require("../middleware/auth.js"); // Auth middleware for protected routes
 
 // Create Express router
 const router = express.Router();
 
+/**
+ * Merge the request's guest cart (if any) into the user's cart.
+ * A failed merge never blocks authentication.
+ */
+const mergeGuestCart = async (req, userId) => {
+  const guestToken = req.header("X-Cart-Token") || req.body.cartToken;
+  try {
+    return await Cart.mergeGuestCart(guestToken, userId);
+  } catch (error) {
+    console.error("Guest cart merge error:", error);
+    return { merged: [], skipped: [] };
+  }
+};
+
 /**
  * ==========================================================
  * @route   POST /api/auth/register
@@ -108,6 +126,9 @@ router.post(
         { expiresIn: process.env.JWT_EXPIRE }
       );
 
+      // Carry over the guest cart
+      const cart = await mergeGuestCart(req, user._id);
+
       // Remove password before sending response
       const userResponse = user.toObject();
       delete userResponse.password;
@@ -115,7 +136,7 @@ router.post(
       res.status(201).json({
         success: true,
         message: "User registered successfully",
-        data: { user: userResponse, token },
+        data: { user: userResponse, token, cart },
       });
     } catch (error) {
       console.error("Registration error:", error);
@@ -205,6 +226,9 @@ router.post(
         { expiresIn: process.env.JWT_EXPIRE }
       );
 
+      // Carry over the guest cart
+      const cart = await mergeGuestCart(req, user._id);
+
       // Remove sensitive fields
       const userResponse = user.toObject();
       delete userResponse.password;
@@ -214,7 +238,7 @@ router.post(
       res.json({
         success: true,
         message: "Login successful",
-        data: { user: userResponse, token },
+        data: { user: userResponse, token, cart },
       });
     } catch (error) {
       console.error("Login error:", error);
@@ -7,83 +7,171 @@
  * - Update item quantity
  * - Remove item from cart
  * - Clear cart
- * - Apply coupon/discount
+ * - Apply or remove a coupon
  */
 
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const Cart = require('../models/Cart');
 const Product = require('../models/Product');
-const auth = require('../middleware/auth');
+const User = require('../models/User');
+const cartOwner = require('../middleware/cartOwner');
+const { applyCoupon } = require('../services/coupons');
+const { calculateTax } = require('../services/tax');
+const { quoteShipping } = require('../services/shipping');
+const { SHIPPING_METHODS } = require('../config/shippingRates');
 
 const router = express.Router();
 
-// In-memory cart storage (in production, use Redis or database)
-// Format: { userId: { items: [{ productId, quantity, addedAt }], updatedAt } }
-const cartStorage = new Map();
-
 /**
- * @route   GET /api/cart
- * @desc    Get user's cart items
- * @access  Private
+ * Price a cart: current product details, totals, shipping, GST and the applied coupon
+ * A coupon that no longer applies is reported in `couponError` and ignored
+ * Shipping is quoted to `destination.pincode` and GST is split into CGST/SGST
+ * or IGST against `destination.state` when known
  */
-router.get('/', auth, async (req, res) => {
-  try {
-    const userId = req.user.userId;
-    const userCart = cartStorage.get(userId) || { items: [], updatedAt: new Date() };
-
-    // Get product details for cart items
-    const cartItems = [];
-    let subtotal = 0;
+const priceCart = async (userCart, { userId, destination = {}, shippingMethod = 'standard' } = {}) => {
+  // Get product details for all cart items in a single query
+  const products = await Product.find({ _id: { $in: userCart.items.map(item => item.product) } })
+    .populate('seller', User.CHECKOUT_SELLER_FIELDS)
+    .populate('category', 'tax')
+    .select('name images salePrice originalPrice discountPercentage stock status seller category tax shipping dimensions');
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const cartItems = [];
+  const lines = [];
+  let subtotal = 0;
+
+  for (const cartItem of userCart.items) {
+    const product = productsById.get(cartItem.product.toString());
+
+    if (product && product.status === 'active') {
+      const itemTotal = product.salePrice * cartItem.quantity;
+      subtotal += itemTotal;
+      lines.push({ product, quantity: cartItem.quantity, total: itemTotal });
+
+      cartItems.push({
+        id: product._id,
+        name: product.name,
+        image: product.images[0]?.url,
+        price: product.salePrice,
+        originalPrice: product.originalPrice,
+        discountPercentage: product.discountPercentage,
+        quantity: cartItem.quantity,
+        total: itemTotal,
+        stock: product.stock.available,
+        seller: product.seller,
+        addedAt: cartItem.addedAt
+      });
+    }
+  }
 
-    for (const cartItem of userCart.items) {
-      const product = await Product.findById(cartItem.productId)
-        .populate('seller', 'firstName lastName sellerInfo.companyName')
-        .select('name images salePrice originalPrice discountPercentage stock status');
-
-      if (product && product.status === 'active') {
-        const itemTotal = product.salePrice * cartItem.quantity;
-        subtotal += itemTotal;
-
-        cartItems.push({
-          id: product._id,
-          name: product.name,
-          image: product.images[0]?.url,
-          price: product.salePrice,
-          originalPrice: product.originalPrice,
-          discountPercentage: product.discountPercentage,
-          quantity: cartItem.quantity,
-          total: itemTotal,
-          stock: product.stock.available,
-          seller: product.seller,
-          addedAt: cartItem.addedAt
-        });
-      }
+  // Re-check the applied coupon against the current cart
+  let coupon = null;
+  let couponError;
+  let discount = 0;
+  let discountedLines;
+  if (userCart.couponCode && lines.length > 0) {
+    try {
+      const applied = await applyCoupon(userCart.couponCode, { lines, userId });
+      discount = applied.discount;
+      discountedLines = applied.eligibleLines;
+      coupon = {
+        code: applied.coupon.code,
+        description: applied.coupon.description,
+        discount
+      };
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      couponError = error.message;
     }
+  }
 
-    // Calculate totals
-    const shippingCost = subtotal >= 500 ? 0 : 50; // Free shipping above ₹500
-    const tax = Math.round(subtotal * 0.18); // 18% GST
-    const total = subtotal + shippingCost + tax;
+  // Calculate totals
+  const shipping = await quoteShipping(lines, { pincode: destination.pincode, method: shippingMethod });
+  const shippingCost = shipping.cost;
+  const { tax, breakdown: taxBreakdown } = calculateTax(lines, { shippingState: destination.state, discount, discountedLines });
+  const total = Math.round((subtotal - discount + shippingCost + tax) * 100) / 100;
+
+  return {
+    items: cartItems,
+    summary: {
+      itemCount: cartItems.length,
+      totalQuantity: cartItems.reduce((sum, item) => sum + item.quantity, 0),
+      subtotal,
+      discount,
+      shippingCost,
+      tax,
+      taxBreakdown,
+      total,
+      shippingMethod,
+      estimatedDelivery: shipping.estimatedDelivery,
+      freeShippingEligible: shipping.shipments.length > 0 && shipping.shipments.every(shipment => shipment.freeShipping)
+    },
+    shipments: shipping.shipments,
+    coupon,
+    couponError
+  };
+};
+
+// Where the cart will ship to: ?state= and ?pincode=, else the signed-in user's address
+const getDestination = async (req) => {
+  const destination = { state: req.query.state, pincode: req.query.pincode };
+  if (destination.state && destination.pincode) return destination;
+  if (!req.cartOwner.user) return destination;
+
+  const user = await User.findById(req.cartOwner.user).select('address.state address.pincode');
+  return {
+    state: destination.state || user?.address?.state,
+    pincode: destination.pincode || user?.address?.pincode
+  };
+};
+
+// Pricing options for a cart request
+// An unknown ?method= is an error with statusCode 400
+const pricingOptions = async (req) => {
+  const shippingMethod = req.query.method || 'standard';
+  if (!Object.hasOwn(SHIPPING_METHODS, shippingMethod)) {
+    const error = new Error(`Shipping method must be one of ${Object.keys(SHIPPING_METHODS).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return {
+    userId: req.cartOwner.user,
+    destination: await getDestination(req),
+    shippingMethod
+  };
+};
+
+/**
+ * @route   GET /api/cart
+ * @desc    Get cart items for the signed-in user or guest cart token
+ * @access  Public (user or guest cart)
+ * @query   { state?, pincode?, method? } - destination for the GST split and shipping quote,
+ *          and the shipping method (standard, express or overnight)
+ */
+router.get('/', cartOwner, async (req, res) => {
+  try {
+    const owner = req.cartOwner;
+    const userCart = await Cart.findByOwner(owner);
 
     res.json({
       success: true,
       data: {
-        items: cartItems,
-        summary: {
-          itemCount: cartItems.length,
-          totalQuantity: cartItems.reduce((sum, item) => sum + item.quantity, 0),
-          subtotal,
-          shippingCost,
-          tax,
-          total,
-          freeShippingThreshold: 500,
-          freeShippingEligible: subtotal >= 500
-        },
-        updatedAt: userCart.updatedAt
+        ...(await priceCart(userCart, await pricingOptions(req))),
+        updatedAt: userCart.updatedAt,
+        cartToken: owner.guestToken
       }
     });
 
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get cart error:', error);
     res.status(500).json({
       success: false,
@@ -96,9 +184,9 @@ router.get('/', auth, async (req, res) => {
 /**
  * @route   POST /api/cart/add
  * @desc    Add item to cart
- * @access  Private
+ * @access  Public (user or guest cart)
  */
-router.post('/add', auth, [
+router.post('/add', cartOwner, [
   body('productId')
     .isMongoId()
     .withMessage('Valid product ID is required'),
@@ -117,7 +205,7 @@ router.post('/add', auth, [
     }
 
     const { productId, quantity } = req.body;
-    const userId = req.user.userId;
+    const owner = req.cartOwner;
 
     // Verify product exists and is available
     const product = await Product.findById(productId);
@@ -142,45 +230,28 @@ router.post('/add', auth, [
       });
     }
 
-    // Get or create user cart
-    let userCart = cartStorage.get(userId) || { items: [], updatedAt: new Date() };
+    // Atomically add to cart, capped by stock and the per-product limit
+    const limit = Math.min(Cart.MAX_QUANTITY_PER_PRODUCT, product.stock.available);
+    const userCart = await Cart.addItem(owner, productId, quantity, limit);
 
-    // Check if item already exists in cart
-    const existingItemIndex = userCart.items.findIndex(
-      item => item.productId.toString() === productId
-    );
-
-    if (existingItemIndex >= 0) {
-      // Update quantity of existing item
-      const newQuantity = userCart.items[existingItemIndex].quantity + quantity;
-      
-      if (newQuantity > product.stock.available) {
-        return res.status(400).json({
-          success: false,
-          message: `Cannot add ${quantity} more items. Only ${product.stock.available - userCart.items[existingItemIndex].quantity} more available`
-        });
-      }
+    if (!userCart) {
+      const currentCart = await Cart.findByOwner(owner);
+      const existingItem = currentCart.items.find(item => item.product.toString() === productId);
+      const existingQuantity = existingItem ? existingItem.quantity : 0;
 
-      if (newQuantity > 10) {
+      if (existingQuantity + quantity > product.stock.available) {
         return res.status(400).json({
           success: false,
-          message: 'Maximum 10 items allowed per product'
+          message: `Cannot add ${quantity} more items. Only ${Math.max(product.stock.available - existingQuantity, 0)} more available`
         });
       }
 
-      userCart.items[existingItemIndex].quantity = newQuantity;
-    } else {
-      // Add new item to cart
-      userCart.items.push({
-        productId,
-        quantity,
-        addedAt: new Date()
+      return res.status(400).json({
+        success: false,
+        message: `Maximum ${Cart.MAX_QUANTITY_PER_PRODUCT} items allowed per product`
       });
     }
 
-    userCart.updatedAt = new Date();
-    cartStorage.set(userId, userCart);
-
     // Update product analytics
     await product.incrementCartAdds();
 
@@ -189,7 +260,8 @@ router.post('/add', auth, [
       message: 'Item added to cart successfully',
       data: {
         itemCount: userCart.items.length,
-        totalQuantity: userCart.items.reduce((sum, item) => sum + item.quantity, 0)
+        totalQuantity: userCart.totalQuantity,
+        cartToken: owner.guestToken
       }
     });
 
@@ -206,9 +278,9 @@ router.post('/add', auth, [
 /**
  * @route   PUT /api/cart/update
  * @desc    Update item quantity in cart
- * @access  Private
+ * @access  Public (user or guest cart)
  */
-router.put('/update', auth, [
+router.put('/update', cartOwner, [
   body('productId')
     .isMongoId()
     .withMessage('Valid product ID is required'),
@@ -227,32 +299,13 @@ router.put('/update', auth, [
     }
 
     const { productId, quantity } = req.body;
-    const userId = req.user.userId;
-
-    // Get user cart
-    let userCart = cartStorage.get(userId);
-    if (!userCart) {
-      return res.status(404).json({
-        success: false,
-        message: 'Cart is empty'
-      });
-    }
+    const owner = req.cartOwner;
 
-    // Find item in cart
-    const itemIndex = userCart.items.findIndex(
-      item => item.productId.toString() === productId
-    );
-
-    if (itemIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Item not found in cart'
-      });
-    }
+    let userCart;
 
     // If quantity is 0, remove item
     if (quantity === 0) {
-      userCart.items.splice(itemIndex, 1);
+      userCart = await Cart.removeItem(owner, productId);
     } else {
       // Verify stock availability
       const product = await Product.findById(productId);
@@ -271,18 +324,22 @@ router.put('/update', auth, [
       }
 
       // Update quantity
-      userCart.items[itemIndex].quantity = quantity;
+      userCart = await Cart.setItemQuantity(owner, productId, quantity);
     }
 
-    userCart.updatedAt = new Date();
-    cartStorage.set(userId, userCart);
+    if (!userCart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in cart'
+      });
+    }
 
     res.json({
       success: true,
       message: quantity === 0 ? 'Item removed from cart' : 'Cart updated successfully',
       data: {
         itemCount: userCart.items.length,
-        totalQuantity: userCart.items.reduce((sum, item) => sum + item.quantity, 0)
+        totalQuantity: userCart.totalQuantity
       }
     });
 
@@ -299,44 +356,29 @@ router.put('/update', auth, [
 /**
  * @route   DELETE /api/cart/remove/:productId
  * @desc    Remove item from cart
- * @access  Private
+ * @access  Public (user or guest cart)
  */
-router.delete('/remove/:productId', auth, async (req, res) => {
+router.delete('/remove/:productId', cartOwner, async (req, res) => {
   try {
     const { productId } = req.params;
-    const userId = req.user.userId;
-
-    // Get user cart
-    let userCart = cartStorage.get(userId);
-    if (!userCart) {
-      return res.status(404).json({
-        success: false,
-        message: 'Cart is empty'
-      });
-    }
+    const owner = req.cartOwner;
 
-    // Find and remove item
-    const initialLength = userCart.items.length;
-    userCart.items = userCart.items.filter(
-      item => item.productId.toString() !== productId
-    );
+    // Atomically remove item
+    const userCart = await Cart.removeItem(owner, productId);
 
-    if (userCart.items.length === initialLength) {
+    if (!userCart) {
       return res.status(404).json({
         success: false,
         message: 'Item not found in cart'
       });
     }
 
-    userCart.updatedAt = new Date();
-    cartStorage.set(userId, userCart);
-
     res.json({
       success: true,
       message: 'Item removed from cart successfully',
       data: {
         itemCount: userCart.items.length,
-        totalQuantity: userCart.items.reduce((sum, item) => sum + item.quantity, 0)
+        totalQuantity: userCart.totalQuantity
       }
     });
 
@@ -353,14 +395,14 @@ router.delete('/remove/:productId', auth, async (req, res) => {
 /**
  * @route   DELETE /api/cart/clear
  * @desc    Clear entire cart
- * @access  Private
+ * @access  Public (user or guest cart)
  */
-router.delete('/clear', auth, async (req, res) => {
+router.delete('/clear', cartOwner, async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const owner = req.cartOwner;
 
     // Clear user cart
-    cartStorage.set(userId, { items: [], updatedAt: new Date() });
+    await Cart.clearItems(owner);
 
     res.json({
       success: true,
@@ -381,17 +423,126 @@ router.delete('/clear', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/cart/coupon
+ * @desc    Apply a coupon code to the cart
+ * @access  Public (user or guest cart)
+ * @query   { state?, pincode?, method? } - as for GET /api/cart
+ */
+router.post('/coupon', cartOwner, [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Coupon code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const owner = req.cartOwner;
+    const code = req.body.code.toUpperCase();
+
+    const currentCart = await Cart.findByOwner(owner);
+    if (currentCart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const options = await pricingOptions(req);
+    const userCart = await Cart.setCoupon(owner, code);
+    const pricedCart = await priceCart(userCart, options);
+
+    // Don't keep a code that doesn't apply
+    if (pricedCart.couponError) {
+      await Cart.removeCoupon(owner);
+      return res.status(400).json({
+        success: false,
+        message: pricedCart.couponError
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Coupon ${code} applied. You save ₹${pricedCart.summary.discount}`,
+      data: {
+        ...pricedCart,
+        cartToken: owner.guestToken
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Apply coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while applying coupon',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/cart/coupon
+ * @desc    Remove the applied coupon from the cart
+ * @access  Public (user or guest cart)
+ */
+router.delete('/coupon', cartOwner, async (req, res) => {
+  try {
+    const owner = req.cartOwner;
+    const options = await pricingOptions(req);
+    const userCart = await Cart.removeCoupon(owner) || await Cart.findByOwner(owner);
+
+    res.json({
+      success: true,
+      message: 'Coupon removed',
+      data: {
+        ...(await priceCart(userCart, options)),
+        cartToken: owner.guestToken
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Remove coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing coupon',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * @route   POST /api/cart/validate
  * @desc    Validate cart items before checkout
- * @access  Private
+ * @access  Public (user or guest cart)
  */
-router.post('/validate', auth, async (req, res) => {
+router.post('/validate', cartOwner, async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const userCart = cartStorage.get(userId);
+    const owner = req.cartOwner;
+    const userCart = await Cart.findByOwner(owner);
 
-    if (!userCart || userCart.items.length === 0) {
+    if (userCart.items.length === 0) {
       return res.status(400).json({
         success: false,
         message: 'Cart is empty'
@@ -401,12 +552,16 @@ router.post('/validate', auth, async (req, res) => {
     const validationErrors = [];
     const validItems = [];
 
+    // Load all cart products in a single query
+    const products = await Product.find({ _id: { $in: userCart.items.map(item => item.product) } });
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
     for (const cartItem of userCart.items) {
-      const product = await Product.findById(cartItem.productId);
+      const product = productsById.get(cartItem.product.toString());
 
       if (!product) {
         validationErrors.push({
-          productId: cartItem.productId,
+          productId: cartItem.product,
           error: 'Product not found'
         });
         continue;
@@ -414,7 +569,7 @@ router.post('/validate', auth, async (req, res) => {
 
       if (product.status !== 'active') {
         validationErrors.push({
-          productId: cartItem.productId,
+          productId: cartItem.product,
           productName: product.name,
           error: 'Product is no longer available'
         });
@@ -423,7 +578,7 @@ router.post('/validate', auth, async (req, res) => {
 
       if (product.stock.available < cartItem.quantity) {
         validationErrors.push({
-          productId: cartItem.productId,
+          productId: cartItem.product,
           productName: product.name,
           error: `Only ${product.stock.available} items available, but ${cartItem.quantity} requested`
         });
@@ -431,7 +586,7 @@ router.post('/validate', auth, async (req, res) => {
       }
 
       validItems.push({
-        productId: cartItem.productId,
+        productId: cartItem.product,
         productName: product.name,
         quantity: cartItem.quantity,
         price: product.salePrice,
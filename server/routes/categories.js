@@ -15,6 +15,7 @@ const { body, validationResult } = require('express-validator');
 const Category = require('../models/Category');
 const Product = require('../models/Product');
 const auth = require('../middleware/auth');
+const { GST_RATES } = require('../config/gst');
 
 const router = express.Router();
 
@@ -245,7 +246,15 @@ router.post('/', [auth], [
   body('parent')
     .optional()
     .isMongoId()
-    .withMessage('Parent must be a valid category ID')
+    .withMessage('Parent must be a valid category ID'),
+  body('tax.hsnCode')
+    .optional()
+    .matches(/^\d{4}(\d{2}){0,2}$/)
+    .withMessage('HSN code must be 4, 6 or 8 digits'),
+  body('tax.gstRate')
+    .optional()
+    .isIn(GST_RATES)
+    .withMessage(`GST rate must be one of ${GST_RATES.join(', ')}`)
 ], async (req, res) => {
   try {
     // Check if user is admin (implement admin check)
@@ -260,7 +269,7 @@ router.post('/', [auth], [
       });
     }
 
-    const { name, description, parent, icon, color, isFeatured } = req.body;
+    const { name, description, parent, icon, color, isFeatured, tax } = req.body;
 
     // Check if category name already exists
     const existingCategory = await Category.findOne({ name });
@@ -292,7 +301,8 @@ router.post('/', [auth], [
       level,
       icon,
       color,
-      isFeatured: isFeatured || false
+      isFeatured: isFeatured || false,
+      tax
     });
 
     await category.save();
@@ -0,0 +1,156 @@
+/**
+ * Document Routes
+ *
+ * Handles access to private seller documents (see services/documents.js):
+ * - Issue a short-lived signed download link to the owning seller or an admin
+ * - Serve a document through a signed link
+ * Every link issued, download and refused attempt is logged
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { param, validationResult } = require('express-validator');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { SELLER_DOCUMENT_TYPES } = require('../services/sellerProfiles');
+const { getStorage } = require('../services/storage');
+const {
+  canAccessSellerDocuments,
+  createDocumentLink,
+  verifyDocumentLink,
+  getDocumentFileType,
+  logDocumentAccess
+} = require('../services/documents');
+
+const router = express.Router();
+
+// Load a seller's document of the given type (null if there is none)
+const findSellerDocument = async (sellerId, type) => {
+  const seller = await User.findById(sellerId).select('sellerInfo.documents');
+  return seller?.sellerInfo?.documents?.find(document => document.type === type) || null;
+};
+
+/**
+ * @route   GET /api/documents/sellers/:sellerId/:type
+ * @desc    Get a signed download link for one of a seller's documents
+ * @access  Private (the seller themselves, or an admin)
+ */
+router.get('/sellers/:sellerId/:type', auth, [
+  param('sellerId').isMongoId().withMessage('Invalid seller ID'),
+  param('type').isIn([...SELLER_DOCUMENT_TYPES, 'other']).withMessage('Unknown document type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { sellerId, type } = req.params;
+    const access = { seller: sellerId, documentType: type, user: req.user.userId };
+
+    if (!canAccessSellerDocuments(req.user, sellerId)) {
+      await logDocumentAccess({ ...access, action: 'denied', reason: 'Not the owner or an admin' }, req);
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const document = await findSellerDocument(sellerId, type);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const link = createDocumentLink({ sellerId, type, userId: req.user.userId });
+    await logDocumentAccess({ ...access, path: document.path, action: 'link_issued' }, req);
+
+    res.json({
+      success: true,
+      data: link
+    });
+
+  } catch (error) {
+    console.error('Issue document link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while issuing document link',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/documents/download
+ * @desc    Serve a document through a signed link
+ * @access  Public (requires a valid, unexpired signature)
+ * @query   seller, type, user, expires, signature (as issued above)
+ */
+router.get('/download', async (req, res) => {
+  const { seller, type, user } = req.query;
+  // Only attempts naming a real seller can be logged against them
+  const loggable = mongoose.isValidObjectId(seller);
+  const access = {
+    seller,
+    documentType: String(type || ''),
+    user: mongoose.isValidObjectId(user) ? user : undefined
+  };
+
+  try {
+    let link;
+    try {
+      link = verifyDocumentLink(req.query);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      if (loggable) await logDocumentAccess({ ...access, action: 'denied', reason: error.message }, req);
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const document = await findSellerDocument(link.sellerId, link.type);
+    const file = document?.path ? await getStorage('documents').get(document.path) : null;
+    if (!file) {
+      await logDocumentAccess({ ...access, path: document?.path, action: 'denied', reason: 'File not found' }, req);
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await logDocumentAccess({ ...access, path: document.path, action: 'downloaded' }, req);
+
+    // Always a download of a known type: never rendered on the API origin
+    const { contentType, extension } = getDocumentFileType(document.path);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${link.type}${extension}"`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store'
+    });
+    if (file.size) res.set('Content-Length', String(file.size));
+
+    file.stream.on('error', (error) => {
+      console.error('Document stream error:', error);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+
+  } catch (error) {
+    console.error('Document download error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
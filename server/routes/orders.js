@@ -7,15 +7,28 @@
  * - Update order status
  * - Cancel order
  * - Return order
- * - Order tracking
+ * - Order tracking (customers, and guests by order number)
+ * - Invoice download
  */
 
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const User = require('../models/User');
+const Cart = require('../models/Cart');
 const auth = require('../middleware/auth');
+const { reserveStock, releaseReservations } = require('../services/stockReservation');
+const { requestReturn } = require('../services/returns');
+const { applyCoupon, redeemCoupon, releaseCoupon } = require('../services/coupons');
+const { calculateTax } = require('../services/tax');
+const { calculateCommissions } = require('../services/commissions');
+const { quoteShipping } = require('../services/shipping');
+const { getServiceability } = require('../services/pincodes');
+const { INVOICEABLE_STATUSES, issueInvoices, renderInvoicesPdf } = require('../services/invoices');
+const { syncTracking } = require('../services/carriers');
+const { isValidNumber } = require('../services/sequences');
 
 const router = express.Router();
 
@@ -65,7 +78,16 @@ router.post('/', auth, [
     .withMessage('Valid Indian pincode is required'),
   body('payment.method')
     .isIn(['cod', 'online', 'wallet', 'upi'])
-    .withMessage('Valid payment method is required')
+    .withMessage('Valid payment method is required'),
+  body('shipping.method')
+    .optional()
+    .isIn(['standard', 'express', 'overnight'])
+    .withMessage('Shipping method must be standard, express or overnight'),
+  body('couponCode')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Coupon code cannot be empty')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -81,11 +103,13 @@ router.post('/', auth, [
 
     // Validate and process order items
     const processedItems = [];
+    const lines = [];
     let subtotal = 0;
 
     for (const item of items) {
       const product = await Product.findById(item.product)
-        .populate('seller', 'firstName lastName sellerInfo.companyName');
+        .populate('seller', User.CHECKOUT_SELLER_FIELDS)
+        .populate('category', 'tax');
 
       if (!product) {
         return res.status(400).json({
@@ -122,18 +146,79 @@ router.post('/', auth, [
         discount: discount,
         total: itemTotal
       });
+      lines.push({ product, quantity: item.quantity, total: itemTotal });
 
       subtotal += itemTotal;
+    }
 
-      // Reserve stock
-      product.stock.reserved += item.quantity;
-      await product.save();
+    // Check that we deliver to the address (and accept cash there, for COD)
+    const serviceability = await getServiceability(shippingAddress.pincode);
+    if (!serviceability.serviceable) {
+      return res.status(400).json({
+        success: false,
+        message: `Sorry, we do not deliver to pincode ${shippingAddress.pincode} yet`
+      });
+    }
+    if (payment.method === 'cod' && !serviceability.codAvailable) {
+      return res.status(400).json({
+        success: false,
+        message: `Cash on delivery is not available for pincode ${shippingAddress.pincode}`
+      });
+    }
+
+    // Re-validate the coupon (from the request, or the one applied to the cart)
+    const userCart = await Cart.findByOwner({ user: req.user.userId });
+    const couponCode = req.body.couponCode || userCart.couponCode;
+    let applied = null;
+
+    if (couponCode) {
+      try {
+        applied = await applyCoupon(couponCode, { lines, userId: req.user.userId });
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
     }
 
     // Calculate totals
-    const shippingCost = subtotal >= 500 ? 0 : 50; // Free shipping above ₹500
-    const tax = Math.round(subtotal * 0.18); // 18% GST
-    const total = subtotal + shippingCost + tax;
+    const discount = applied ? applied.discount : 0;
+    const shippingMethod = req.body.shipping?.method || 'standard';
+    let shippingQuote;
+    try {
+      shippingQuote = await quoteShipping(lines, { pincode: shippingAddress.pincode, method: shippingMethod });
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    const shippingCost = shippingQuote.cost;
+
+    // GST per line item, split by where the seller ships from and to
+    const { tax, breakdown: taxBreakdown, lines: taxLines } = calculateTax(lines, {
+      shippingState: shippingAddress.state,
+      discount,
+      discountedLines: applied ? applied.eligibleLines : []
+    });
+    processedItems.forEach((item, index) => {
+      const { supplyType, ...itemTax } = taxLines[index];
+      Object.assign(item, itemTax);
+    });
+
+    // Commission on each line, frozen at today's rules
+    const commissions = await calculateCommissions(lines.map((line, index) => ({
+      ...line,
+      taxableValue: processedItems[index].taxableValue
+    })));
+    processedItems.forEach((item, index) => {
+      item.commission = commissions[index];
+    });
+
+    const total = Math.round((subtotal - discount + shippingCost + tax) * 100) / 100;
 
     // Create order
     const order = new Order({
@@ -142,6 +227,15 @@ router.post('/', auth, [
       subtotal,
       shippingCost,
       tax,
+      taxBreakdown,
+      discount,
+      coupon: applied ? {
+        coupon: applied.coupon._id,
+        code: applied.coupon.code,
+        type: applied.coupon.type,
+        value: applied.coupon.value,
+        discount
+      } : undefined,
       total,
       shippingAddress,
       billingAddress: billingAddress || shippingAddress,
@@ -149,10 +243,63 @@ router.post('/', auth, [
         method: payment.method,
         status: payment.method === 'cod' ? 'pending' : 'pending'
       },
+      shipping: {
+        method: shippingMethod,
+        estimatedDelivery: shippingQuote.estimatedDelivery
+      },
       customerNotes
     });
 
-    await order.save();
+    // Record each seller's shipment quote on their fulfilment
+    order.buildFulfilments();
+    for (const fulfilment of order.fulfilments) {
+      const shipment = shippingQuote.shipments.find(candidate => candidate.seller.toString() === fulfilment.seller.toString());
+      fulfilment.shipping.zone = shipment.zone;
+      fulfilment.shipping.billableWeight = shipment.billableWeight;
+      fulfilment.shipping.cost = shipment.cost;
+      fulfilment.shipping.estimatedDelivery = shipment.estimatedDelivery;
+    }
+
+    // Reserve stock for all items or none (held until payment, or committed straight away for COD)
+    try {
+      await reserveStock(order);
+    } catch (error) {
+      if (error.statusCode === 409) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          data: { productId: error.productId }
+        });
+      }
+      throw error;
+    }
+
+    // Count the coupon use; other orders may have used it up meanwhile
+    if (applied) {
+      try {
+        await redeemCoupon(applied.coupon, req.user.userId);
+      } catch (error) {
+        await releaseReservations(order._id, 'Coupon could not be redeemed');
+        if (error.statusCode !== 409) throw error;
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+
+    try {
+      await order.save();
+    } catch (error) {
+      await releaseReservations(order._id, 'Order could not be saved');
+      if (applied) await releaseCoupon(applied.coupon.code, req.user.userId);
+      throw error;
+    }
+
+    // The coupon has been used up by this order
+    if (applied && userCart.couponCode) {
+      await Cart.removeCoupon({ user: req.user.userId });
+    }
 
     // Add initial timeline entry
     await order.addTimelineEntry('pending', 'Order placed successfully', req.user.userId);
@@ -236,7 +383,8 @@ router.get('/:id', auth, async (req, res) => {
 
 /**
  * @route   PUT /api/orders/:id/status
- * @desc    Update order status (sellers and admin only)
+ * @desc    Update a seller's fulfilment status (sellers and admin only)
+ *          The order status is derived from all of its fulfilments
  * @access  Private
  */
 router.put('/:id/status', auth, [
@@ -259,7 +407,7 @@ router.put('/:id/status', auth, [
       });
     }
 
-    const { status, message, trackingNumber } = req.body;
+    const { status, message, trackingNumber, carrier, fulfilmentId } = req.body;
 
     const order = await Order.findById(req.params.id);
     if (!order) {
@@ -269,41 +417,57 @@ router.put('/:id/status', auth, [
       });
     }
 
-    // Check permissions
-    const isSellerOfItem = order.items.some(item => 
-      item.seller.toString() === req.user.userId
-    );
-
-    if (req.user.userType !== 'admin' && !isSellerOfItem) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to update this order'
-      });
+    // Orders placed before split shipments get their fulfilments now
+    if (order.fulfilments.length === 0) {
+      order.buildFulfilments();
     }
 
-    // Update order status
-    const statusMessage = message || `Order status updated to ${status}`;
-    await order.addTimelineEntry(status, statusMessage, req.user.userId);
+    // Sellers update their own fulfilment; admins pick one by ID
+    // (or the only one, for single-seller orders)
+    let fulfilment;
+    if (req.user.userType === 'admin') {
+      fulfilment = fulfilmentId
+        ? order.fulfilments.id(fulfilmentId)
+        : (order.fulfilments.length === 1 ? order.fulfilments[0] : null);
 
-    // Update shipping info if tracking number provided
-    if (trackingNumber && status === 'shipped') {
-      order.shipping.trackingNumber = trackingNumber;
-      order.shipping.shippedAt = new Date();
+      if (!fulfilment) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid fulfilmentId is required for orders with several sellers'
+        });
+      }
+    } else {
+      fulfilment = order.getFulfilmentForSeller(req.user.userId);
     }
 
-    if (status === 'delivered') {
-      order.shipping.deliveredAt = new Date();
+    if (!fulfilment) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this order'
+      });
     }
 
-    await order.save();
+    // Update the fulfilment; the order status follows from all fulfilments
+    const statusMessage = message || `Shipment status updated to ${status}`;
+    await order.updateFulfilmentStatus(fulfilment, status, statusMessage, req.user.userId, {
+      carrier,
+      trackingNumber: status === 'shipped' ? trackingNumber : undefined
+    });
 
     res.json({
       success: true,
       message: 'Order status updated successfully',
-      data: { order }
+      data: { order, fulfilment }
     });
 
   } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Update order status error:', error);
     res.status(500).json({
       success: false,
@@ -353,8 +517,8 @@ router.post('/:id/cancel', auth, [
     }
 
     // Check if order can be cancelled
-    if (!['pending', 'confirmed'].includes(order.status)) {
-      return res.status(400).json({
+    if (!['pending', 'payment_expired', 'confirmed'].includes(order.status)) {
+      return res.status(409).json({
         success: false,
         message: 'Order cannot be cancelled at this stage'
       });
@@ -367,24 +531,27 @@ router.post('/:id/cancel', auth, [
       approvedAt: new Date()
     };
 
+    // Releases reserved stock and refunds the payment, if one was captured
     await order.addTimelineEntry('cancelled', `Order cancelled by customer. Reason: ${reason}`, req.user.userId);
 
-    // Release reserved stock
-    for (const item of order.items) {
-      const product = await Product.findById(item.product);
-      if (product) {
-        product.stock.reserved -= item.quantity;
-        await product.save();
-      }
-    }
+    const refund = [...order.refunds].reverse().find(candidate => candidate.source === 'cancellation') || null;
 
     res.json({
       success: true,
-      message: 'Order cancelled successfully',
-      data: { order }
+      message: refund
+        ? `Order cancelled successfully. Refund of ₹${refund.amount} ${refund.status === 'completed' ? 'issued' : 'is awaiting approval'}`
+        : 'Order cancelled successfully',
+      data: { order, refund }
     });
 
   } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Cancel order error:', error);
     res.status(500).json({
       success: false,
@@ -394,15 +561,299 @@ router.post('/:id/cancel', auth, [
   }
 });
 
+/**
+ * @route   POST /api/orders/:id/return
+ * @desc    Request a return for a delivered order (customer only, within the return window)
+ * @access  Private
+ * @body    { reason, items?: [{ item, quantity }] } - omit items to return everything
+ */
+router.post('/:id/return', auth, [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Return reason is required'),
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+  body('items.*.item')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid order item ID is required'),
+  body('items.*.quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Check if user owns this order
+    if (order.customer.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only return your own orders'
+      });
+    }
+
+    await requestReturn(order, {
+      lines: req.body.items,
+      reason: req.body.reason,
+      customerId: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      data: { order }
+    });
+
+  } catch (error) {
+    console.error('Return order error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting return',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/orders/:id/invoice
+ * @desc    Download the GST tax invoice(s) for an order as PDF
+ *          Customers get every seller's invoice (or one, with ?seller=);
+ *          sellers get their own
+ * @access  Private (order customer, sellers of the order, admin)
+ * @query   { seller? }
+ */
+router.get('/:id/invoice', auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const userId = req.user.userId.toString();
+    const isCustomer = order.customer.toString() === userId || req.user.userType === 'admin';
+    const sellerFulfilment = order.getFulfilmentForSeller(userId);
+
+    if (!isCustomer && !sellerFulfilment) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this invoice'
+      });
+    }
+
+    if (!INVOICEABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'An invoice is issued once the order is confirmed'
+      });
+    }
+
+    let invoices = await issueInvoices(order);
+
+    // Sellers only see their own invoice; customers may pick one seller's
+    const sellerId = isCustomer ? req.query.seller : userId;
+    if (sellerId) {
+      invoices = invoices.filter(invoice => invoice.seller.toString() === sellerId.toString());
+    }
+
+    if (invoices.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const filename = invoices.length === 1
+      ? `${invoices[0].invoiceNumber}.pdf`
+      : `invoices-${order.orderNumber}.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    (await renderInvoicesPdf(order, invoices)).pipe(res);
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Guest tracking takes an order number and the customer's contact details,
+// so it is limited far more tightly than the API as a whole
+const trackingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // Time window: 15 minutes
+  max: parseInt(process.env.TRACKING_RATE_LIMIT) || 10,
+  message: {
+    success: false,
+    message: 'Too many tracking requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Whether an email address or phone number belongs to an order's customer
+const matchesOrderContact = (order, contact) => {
+  const value = contact.trim().toLowerCase();
+  const addresses = [order.shippingAddress, order.billingAddress].filter(Boolean);
+
+  if (value.includes('@')) {
+    return addresses.some(address => address.email?.toLowerCase() === value) ||
+      order.customer?.email?.toLowerCase() === value;
+  }
+
+  // Compare the last ten digits so +91 and leading zeros do not matter
+  const digits = value.replace(/\D/g, '').slice(-10);
+  return digits.length === 10 &&
+    addresses.some(address => String(address.phone || '').replace(/\D/g, '').slice(-10) === digits);
+};
+
+// Pull the latest scans from each shipment's carrier; a carrier being
+// unavailable should not stop the customer seeing what we already know
+const refreshTracking = async (order) => {
+  for (const fulfilment of order.fulfilments) {
+    try {
+      await syncTracking(order, fulfilment);
+    } catch (error) {
+      console.error(`Tracking sync error for order ${order.orderNumber}:`, error.message);
+    }
+  }
+};
+
+// Tracking details safe to show anyone who knows the order number and contact:
+// no names, street address, contact details, prices or payment
+const toPublicTracking = (order) => ({
+  orderNumber: order.orderNumber,
+  status: order.status,
+  placedAt: order.createdAt,
+  estimatedDelivery: order.shipping?.estimatedDelivery,
+  destination: {
+    city: order.shippingAddress.city,
+    state: order.shippingAddress.state
+  },
+  timeline: order.timeline.map(({ status, message, timestamp }) => ({ status, message, timestamp })),
+  shipments: order.fulfilments.map(fulfilment => ({
+    status: fulfilment.status,
+    itemCount: fulfilment.items.length,
+    carrier: fulfilment.shipping?.carrier,
+    trackingNumber: fulfilment.shipping?.trackingNumber,
+    estimatedDelivery: fulfilment.shipping?.estimatedDelivery,
+    shippedAt: fulfilment.shipping?.shippedAt,
+    deliveredAt: fulfilment.shipping?.deliveredAt,
+    events: (fulfilment.shipping?.trackingEvents || []).map(({ description, location, occurredAt }) => ({
+      description,
+      location,
+      occurredAt
+    }))
+  }))
+});
+
+/**
+ * @route   POST /api/orders/track
+ * @desc    Track an order by order number and the customer's email or phone
+ *          Returns a redacted view of the stored tracking (kept current by
+ *          carrier webhooks; guests never trigger a carrier call); wrong
+ *          details and unknown orders get the same 404 so order numbers
+ *          cannot be probed
+ * @access  Public (rate limited)
+ * @body    { orderNumber, contact }
+ */
+router.post('/track', trackingLimiter, [
+  body('orderNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Order number is required')
+    .isLength({ max: 40 })
+    .withMessage('Invalid order number'),
+  body('contact')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Email or phone number is required')
+    .isLength({ max: 100 })
+    .withMessage('Invalid email or phone number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const orderNumber = req.body.orderNumber.toUpperCase();
+
+    // Current-format numbers with a bad check digit are mistyped; older
+    // (timestamp) order numbers have no check digit and are looked up as is
+    const mistyped = /^CC\d{2}-/.test(orderNumber) && !isValidNumber('order', orderNumber);
+
+    const order = mistyped
+      ? null
+      : await Order.findOne({ orderNumber }).populate('customer', 'email');
+
+    if (!order || !matchesOrderContact(order, req.body.contact)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No order found with those details'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { tracking: toPublicTracking(order) }
+    });
+
+  } catch (error) {
+    console.error('Public track order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while tracking order',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * @route   GET /api/orders/:id/track
- * @desc    Track order status
- * @access  Public (with order number)
+ * @desc    Track order status, with the latest carrier scans for each shipment
+ * @access  Private (order customer, sellers of the order, admin)
  */
-router.get('/:id/track', async (req, res) => {
+router.get('/:id/track', auth, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
-      .select('orderNumber status timeline shipping createdAt')
       .populate('customer', 'firstName lastName');
 
     if (!order) {
@@ -412,6 +863,20 @@ router.get('/:id/track', async (req, res) => {
       });
     }
 
+    const userId = req.user.userId.toString();
+    const canView = order.customer._id.toString() === userId ||
+      req.user.userType === 'admin' ||
+      order.items.some(item => item.seller.toString() === userId);
+
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this order'
+      });
+    }
+
+    await refreshTracking(order);
+
     res.json({
       success: true,
       data: {
@@ -419,6 +884,12 @@ router.get('/:id/track', async (req, res) => {
         status: order.status,
         timeline: order.timeline,
         shipping: order.shipping,
+        shipments: order.fulfilments.map(fulfilment => ({
+          status: fulfilment.status,
+          itemCount: fulfilment.items.length,
+          shipping: fulfilment.shipping,
+          timeline: fulfilment.timeline
+        })),
         createdAt: order.createdAt,
         customerName: order.customer.firstName + ' ' + order.customer.lastName
       }
@@ -426,6 +897,14 @@ router.get('/:id/track', async (req, res) => {
 
   } catch (error) {
     console.error('Track order error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error while tracking order',
@@ -0,0 +1,240 @@
+/**
+ * Payment Routes
+ *
+ * Handles online payments for orders:
+ * - Create a payment intent for an order
+ * - Confirm a payment intent
+ * - Receive signed payment webhooks from the gateway
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const auth = require('../middleware/auth');
+const {
+  getPaymentProvider,
+  recordPaymentSuccess,
+  recordPaymentFailure
+} = require('../services/payments');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/payments/intent
+ * @desc    Create a payment intent for an unpaid order
+ * @access  Private (order owner)
+ */
+router.post('/intent', auth, [
+  body('orderId')
+    .isMongoId()
+    .withMessage('Valid order ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.body.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.customer.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only pay for your own orders'
+      });
+    }
+
+    if (order.payment.method === 'cod') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash on delivery orders are paid on delivery'
+      });
+    }
+
+    if (order.status !== 'pending' || order.payment.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Order is not awaiting payment'
+      });
+    }
+
+    const provider = getPaymentProvider();
+    const intent = await provider.createIntent({
+      orderId: order._id,
+      amount: order.total,
+      currency: 'INR'
+    });
+
+    order.payment.intentId = intent.id;
+    order.payment.paymentGateway = provider.name;
+    order.payment.status = 'pending';
+    await order.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment intent created successfully',
+      data: {
+        intentId: intent.id,
+        clientSecret: intent.clientSecret,
+        amount: intent.amount,
+        currency: intent.currency,
+        gateway: provider.name
+      }
+    });
+
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating payment intent',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/payments/confirm
+ * @desc    Confirm a payment intent; on success the order is confirmed
+ * @access  Private (order owner)
+ */
+router.post('/confirm', auth, [
+  body('orderId')
+    .isMongoId()
+    .withMessage('Valid order ID is required'),
+  body('intentId')
+    .trim()
+    .notEmpty()
+    .withMessage('Payment intent ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { orderId, intentId, ...providerParams } = req.body;
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.customer.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only pay for your own orders'
+      });
+    }
+
+    if (order.payment.intentId !== intentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment intent does not belong to this order'
+      });
+    }
+
+    const provider = getPaymentProvider(order.payment.paymentGateway);
+    const intent = await provider.confirmIntent(intentId, providerParams);
+
+    const updated = intent.status === 'succeeded'
+      ? await recordPaymentSuccess(order, { transactionId: intent.transactionId, gateway: provider.name })
+      : await recordPaymentFailure(order, { gateway: provider.name });
+
+    res.status(intent.status === 'succeeded' ? 200 : 402).json({
+      success: intent.status === 'succeeded',
+      message: intent.status === 'succeeded' ? 'Payment successful' : 'Payment failed',
+      data: { order: updated }
+    });
+
+  } catch (error) {
+    console.error('Confirm payment error:', error);
+
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/payments/webhook
+ * @desc    Receive a signed payment event from the gateway
+ * @access  Public (signature verified)
+ * @header  X-Payment-Signature
+ */
+router.post('/webhook', async (req, res) => {
+  try {
+    // Always the configured provider: callers must not choose whose signature is checked
+    const provider = getPaymentProvider();
+
+    let event;
+    try {
+      event = provider.verifyWebhook(req.rawBody || Buffer.from(''), req.header('X-Payment-Signature'));
+    } catch (error) {
+      if (error.statusCode !== 401) throw error;
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    // Only orders paid through this provider
+    const order = await Order.findOne({
+      'payment.intentId': event.data?.intentId,
+      'payment.paymentGateway': provider.name
+    });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found for payment intent'
+      });
+    }
+
+    if (event.type === 'payment.succeeded') {
+      await recordPaymentSuccess(order, { transactionId: event.data.transactionId, gateway: provider.name });
+    } else if (event.type === 'payment.failed') {
+      await recordPaymentFailure(order, { gateway: provider.name });
+    }
+
+    // Acknowledge every verified event so the gateway stops retrying
+    res.json({
+      success: true,
+      message: 'Webhook processed'
+    });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing payment webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -18,6 +18,8 @@ const Category = require('../models/Category');
 const auth = require('../middleware/auth');
 const sellerAuth = require('../middleware/sellerAuth');
 const upload = require('../middleware/upload');
+const { deleteUploadedFiles } = upload;
+const { GST_RATES } = require('../config/gst');
 
 const router = express.Router();
 
@@ -312,11 +314,14 @@ router.post('/', [auth, sellerAuth, upload.array('images', 5)], [
   body('salePrice').isFloat({ min: 0 }).withMessage('Sale price must be a positive number'),
   body('category').notEmpty().withMessage('Category is required'),
   body('stock').isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
-  body('clearanceReason').isIn(['overstock', 'seasonal', 'discontinued', 'damaged_packaging', 'return', 'other']).withMessage('Invalid clearance reason')
+  body('clearanceReason').isIn(['overstock', 'seasonal', 'discontinued', 'damaged_packaging', 'return', 'other']).withMessage('Invalid clearance reason'),
+  body('hsnCode').optional({ checkFalsy: true }).matches(/^\d{4}(\d{2}){0,2}$/).withMessage('HSN code must be 4, 6 or 8 digits'),
+  body('gstRate').optional({ checkFalsy: true }).isIn(GST_RATES.map(String)).withMessage(`GST rate must be one of ${GST_RATES.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      deleteUploadedFiles(req.files);
       return res.status(400).json({
         success: false,
         message: 'Validation failed',
@@ -326,7 +331,7 @@ router.post('/', [auth, sellerAuth, upload.array('images', 5)], [
 
     // Process uploaded images
     const images = req.files ? req.files.map((file, index) => ({
-      url: `/uploads/${file.filename}`,
+      url: file.url,
       alt: req.body.name,
       isPrimary: index === 0
     })) : [];
@@ -340,6 +345,10 @@ router.post('/', [auth, sellerAuth, upload.array('images', 5)], [
       category: req.body.category,
       clearanceReason: req.body.clearanceReason,
       condition: req.body.condition || 'new',
+      tax: {
+        hsnCode: req.body.hsnCode || undefined,
+        gstRate: req.body.gstRate !== undefined && req.body.gstRate !== '' ? parseFloat(req.body.gstRate) : undefined
+      },
       seller: req.user.userId,
       images,
       stock: {
@@ -359,6 +368,7 @@ router.post('/', [auth, sellerAuth, upload.array('images', 5)], [
     });
 
   } catch (error) {
+    deleteUploadedFiles(req.files);
     console.error('Create product error:', error);
     res.status(500).json({
       success: false,
@@ -383,11 +393,14 @@ router.post('/enhanced', [auth, sellerAuth, upload.fields([
   body('salePrice').isFloat({ min: 0 }).withMessage('Sale price must be a positive number'),
   body('category').notEmpty().withMessage('Category is required'),
   body('stock').isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
-  body('clearanceReason').isIn(['overstock', 'seasonal', 'discontinued', 'damaged_packaging', 'return', 'other']).withMessage('Invalid clearance reason')
+  body('clearanceReason').isIn(['overstock', 'seasonal', 'discontinued', 'damaged_packaging', 'return', 'other']).withMessage('Invalid clearance reason'),
+  body('hsnCode').optional({ checkFalsy: true }).matches(/^\d{4}(\d{2}){0,2}$/).withMessage('HSN code must be 4, 6 or 8 digits'),
+  body('gstRate').optional({ checkFalsy: true }).isIn(GST_RATES.map(String)).withMessage(`GST rate must be one of ${GST_RATES.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      deleteUploadedFiles(req.files);
       return res.status(400).json({
         success: false,
         message: 'Validation failed',
@@ -397,14 +410,14 @@ router.post('/enhanced', [auth, sellerAuth, upload.fields([
 
     // Process uploaded images
     const images = req.files?.images ? req.files.images.map((file, index) => ({
-      url: `/uploads/${file.filename}`,
+      url: file.url,
       alt: req.body.name,
       isPrimary: index === 0
     })) : [];
 
     // Process uploaded video
     const video = req.files?.video ? {
-      url: `/uploads/${req.files.video[0].filename}`,
+      url: req.files.video[0].url,
       type: req.files.video[0].mimetype
     } : null;
 
@@ -417,6 +430,10 @@ router.post('/enhanced', [auth, sellerAuth, upload.fields([
       category: req.body.category,
       clearanceReason: req.body.clearanceReason,
       condition: req.body.condition || 'new',
+      tax: {
+        hsnCode: req.body.hsnCode || undefined,
+        gstRate: req.body.gstRate !== undefined && req.body.gstRate !== '' ? parseFloat(req.body.gstRate) : undefined
+      },
       seller: req.user.userId,
       images,
       video,
@@ -437,6 +454,7 @@ router.post('/enhanced', [auth, sellerAuth, upload.fields([
     });
 
   } catch (error) {
+    deleteUploadedFiles(req.files);
     console.error('Create product error:', error);
     res.status(500).json({
       success: false,
@@ -2,72 +2,85 @@
  * Seller Routes
  * -------------
  * Handles:
- * - Seller application with full validation
- * - File uploads
- * - Seller profile management
+ * - Seller application (stored on the user's account) with document uploads
+ * - Seller profile and application status, re-uploading documents sent back by review
+ * - Dashboard figures, product list and transaction ledger
+ * - Settlement balance, payouts and statements
+ * - Customer return review
+ * - Shipping labels and packing slips
+ * - Booking shipments with a carrier
  */
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
-const multer = require('multer');
-const path = require('path');
+const { body, param, query, validationResult } = require('express-validator');
 
 const auth = require('../middleware/auth');
-const Seller = require('../models/Seller'); // New Seller model
+const sellerAuth = require('../middleware/sellerAuth');
+const upload = require('../middleware/upload');
+const { handleUploadError, deleteUploadedFiles } = upload;
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+const {
+  approveReturn,
+  rejectReturn,
+  addReturnTracking,
+  receiveReturn
+} = require('../services/returns');
+const { LABEL_STATUSES, renderLabelsPdf } = require('../services/labels');
+const { bookShipment } = require('../services/carriers');
+const { getSellerStats, getSellerTransactions } = require('../services/sellerReports');
+const { getSellerBalance, getSellerStatement } = require('../services/payouts');
+const {
+  SELLER_DOCUMENT_TYPES,
+  REQUIRED_SELLER_DOCUMENTS,
+  submitSellerApplication,
+  replaceSellerDocument,
+  toSellerApplication
+} = require('../services/sellerProfiles');
+const { isValidGstin, isValidPan, isValidIfsc, getPanFromGstin } = require('../services/kyc');
 
-/**
- * ========================================
- * Multer Setup for File Uploads
- * ========================================
- */
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/sellers'); // Make sure this folder exists
-  },
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname);
-    cb(null, `${Date.now()}-${file.fieldname}${ext}`);
-  }
-});
-
-const upload = multer({
-  storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // Max 5MB
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ['.pdf', '.jpg', '.jpeg', '.png'];
-    const ext = path.extname(file.originalname).toLowerCase();
-    if (!allowedTypes.includes(ext)) {
-      return cb(new Error('Only PDF, JPG, and PNG files are allowed'));
-    }
-    cb(null, true);
+// Multipart forms send lists as JSON (or repeated fields); accept either
+const parseList = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [value];
+  } catch (error) {
+    return value === undefined || value === '' ? value : [value];
   }
-});
+};
 
 /**
  * ========================================
  * @route   POST /api/sellers/register
- * @desc    Apply to become a seller
+ * @desc    Apply to become a seller (multipart form with the documents)
+ *          The application is stored on the user's account and waits for
+ *          an admin to approve it
  * @access  Private
  * ========================================
  */
 router.post(
   '/register',
   auth,
-  upload.fields([
-    { name: 'gstCertificate', maxCount: 1 },
-    { name: 'panCard', maxCount: 1 },
-    { name: 'companyRegistration', maxCount: 1 },
-    { name: 'bankStatement', maxCount: 1 },
-    { name: 'productCatalog', maxCount: 1 }
-  ]),
+  upload.fields(SELLER_DOCUMENT_TYPES.map(name => ({ name, maxCount: 1 }))),
   [
     // Backend Validations
     body('companyName').trim().notEmpty().withMessage('Company name is required'),
     body('companyType').notEmpty().withMessage('Company type is required'),
     body('registrationNumber').notEmpty().withMessage('Registration number is required'),
-    body('gstNumber').matches(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/).withMessage('Invalid GST number'),
-    body('panNumber').matches(/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/).withMessage('Invalid PAN number'),
+    body('gstNumber').trim().toUpperCase().custom(isValidGstin).withMessage('Invalid GST number'),
+    body('panNumber')
+      .trim()
+      .toUpperCase()
+      .custom(isValidPan)
+      .withMessage('Invalid PAN number')
+      .bail()
+      .custom((pan, { req }) => !isValidGstin(req.body.gstNumber) || getPanFromGstin(req.body.gstNumber) === pan)
+      .withMessage('PAN number does not match the PAN in the GST number'),
     body('establishedYear').isInt({ min: 1900, max: new Date().getFullYear() }).withMessage('Invalid year'),
     body('contactPerson').notEmpty().withMessage('Contact person is required'),
     body('designation').notEmpty().withMessage('Designation is required'),
@@ -78,15 +91,672 @@ router.post(
     body('state').notEmpty().withMessage('State is required'),
     body('pincode').matches(/^[1-9][0-9]{5}$/).withMessage('Valid PIN code is required'),
     body('businessCategory').notEmpty().withMessage('Business category is required'),
-    body('productCategories').isArray({ min: 1 }).withMessage('At least one product category is required'),
+    body('productCategories')
+      .customSanitizer(parseList)
+      .isArray({ min: 1 })
+      .withMessage('At least one product category is required'),
     body('bankName').notEmpty().withMessage('Bank name is required'),
     body('accountNumber').notEmpty().withMessage('Account number is required'),
-    body('ifscCode').matches(/^[A-Z]{4}0[A-Z0-9]{6}$/).withMessage('Invalid IFSC code'),
+    body('ifscCode').trim().toUpperCase().custom(isValidIfsc).withMessage('Invalid IFSC code'),
     body('accountHolderName').notEmpty().withMessage('Account holder name is required')
   ],
   async (req, res) => {
     try {
       // Validation error handling
+      const errors = validationResult(req);
+      const missingDocuments = REQUIRED_SELLER_DOCUMENTS.filter(type => !req.files?.[type]);
+      if (!errors.isEmpty() || missingDocuments.length > 0) {
+        deleteUploadedFiles(req.files);
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: [
+            ...errors.array(),
+            ...missingDocuments.map(type => ({ path: type, msg: `${type} is required` }))
+          ]
+        });
+      }
+
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        deleteUploadedFiles(req.files);
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const documents = Object.fromEntries(
+        Object.entries(req.files).map(([type, [file]]) => [type, file.key])
+      );
+      const previousPaths = await submitSellerApplication(user, req.body, documents);
+      deleteUploadedFiles(previousPaths.map(key => ({ key, storageArea: 'documents' })));
+
+      res.status(201).json({
+        success: true,
+        message: 'Seller application submitted successfully. Please wait for admin approval.',
+        data: {
+          sellerId: user._id,
+          applicationStatus: user.sellerInfo.applicationStatus
+        }
+      });
+    } catch (error) {
+      deleteUploadedFiles(req.files);
+      console.error('Seller registration error:', error);
+
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error during seller registration',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+  handleUploadError
+);
+
+/**
+ * ========================================
+ * @route   GET /api/sellers/me
+ * @desc    Get the current user's seller profile and application status
+ *          (available before approval, so applicants can follow their application)
+ * @access  Private
+ * ========================================
+ */
+router.get('/me', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user || (!user.sellerInfo?.appliedAt && user.userType !== 'seller')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seller profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { seller: toSellerApplication(user) }
+    });
+  } catch (error) {
+    console.error('Get seller profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching seller profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * ========================================
+ * @route   PUT /api/sellers/me/documents/:type
+ * @desc    Re-upload a document an admin sent back (multipart, file in the
+ *          field named after the document type, optional `comment`)
+ * @access  Private
+ * ========================================
+ */
+router.put(
+  '/me/documents/:type',
+  auth,
+  upload.fields(SELLER_DOCUMENT_TYPES.map(name => ({ name, maxCount: 1 }))),
+  [
+    param('type').isIn(SELLER_DOCUMENT_TYPES).withMessage('Unknown document type'),
+    body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      const file = req.files?.[req.params.type]?.[0];
+      if (!errors.isEmpty() || !file) {
+        deleteUploadedFiles(req.files);
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: [
+            ...errors.array(),
+            ...(file ? [] : [{ path: req.params.type, msg: `${req.params.type} file is required` }])
+          ]
+        });
+      }
+
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        deleteUploadedFiles(req.files);
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const previousPath = await replaceSellerDocument(user, req.params.type, file.key, req.body.comment);
+      deleteUploadedFiles([{ key: previousPath, storageArea: 'documents' }]);
+
+      res.json({
+        success: true,
+        message: 'Document uploaded and sent for review',
+        data: { seller: toSellerApplication(user) }
+      });
+    } catch (error) {
+      deleteUploadedFiles(req.files);
+      console.error('Seller document upload error:', error);
+
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Server error while uploading document',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+  handleUploadError
+);
+
+/**
+ * ========================================
+ * @route   GET /api/sellers/dashboard
+ * @desc    Get the seller's sales figures and most recent orders
+ * @access  Private (verified seller)
+ * ========================================
+ */
+router.get('/dashboard', auth, sellerAuth, async (req, res) => {
+  try {
+    const sellerId = req.seller.sellerId;
+
+    const [stats, recentOrders] = await Promise.all([
+      getSellerStats(sellerId),
+      Order.getBySeller(sellerId, { limit: 5 })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        stats,
+        recentOrders: recentOrders.map(order => {
+          const fulfilment = order.getFulfilmentForSeller(sellerId);
+          const items = order.items.filter(item => item.seller.toString() === sellerId.toString());
+
+          return {
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            status: fulfilment?.status || order.status,
+            customerName: order.customer ? `${order.customer.firstName} ${order.customer.lastName}` : undefined,
+            itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+            amount: items.reduce((sum, item) => sum + item.total, 0),
+            createdAt: order.createdAt
+          };
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Get seller dashboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching seller dashboard',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * ========================================
+ * @route   GET /api/sellers/products
+ * @desc    Get the seller's own products, newest first
+ * @access  Private (verified seller)
+ * @query   { status?, search?, page?, limit? }
+ * ========================================
+ */
+router.get(
+  '/products',
+  auth,
+  sellerAuth,
+  [
+    query('status')
+      .optional()
+      .isIn(Product.schema.path('status').enumValues)
+      .withMessage('Invalid product status'),
+    query('search').optional().trim(),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { status, search, page = 1, limit = 20 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const filter = { seller: req.seller.sellerId };
+      if (status) filter.status = status;
+      if (search) {
+        filter.$text = { $search: search };
+      }
+
+      const [products, total] = await Promise.all([
+        Product.find(filter)
+          .populate('category', 'name slug')
+          .sort({ createdAt: -1 })
+          .limit(parseInt(limit))
+          .skip(skip),
+        Product.countDocuments(filter)
+      ]);
+
+      const totalPages = Math.ceil(total / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: {
+          products,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalProducts: total,
+            hasNextPage: parseInt(page) < totalPages,
+            hasPrevPage: parseInt(page) > 1,
+            limit: parseInt(limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get seller products error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching seller products',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+/**
+ * ========================================
+ * @route   GET /api/sellers/transactions
+ * @desc    Get the seller's transaction ledger (sales and refunds), newest first
+ * @access  Private (verified seller)
+ * @query   { type? (sale | refund), from?, to?, page?, limit? }
+ * ========================================
+ */
+router.get(
+  '/transactions',
+  auth,
+  sellerAuth,
+  [
+    query('type').optional().isIn(['sale', 'refund']).withMessage('Type must be sale or refund'),
+    query('from').optional().isISO8601().withMessage('From must be a date'),
+    query('to').optional().isISO8601().withMessage('To must be a date'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { type, from, to, page = 1, limit = 20 } = req.query;
+
+      const { transactions, total } = await getSellerTransactions(req.seller.sellerId, {
+        type,
+        from,
+        to,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      const totalPages = Math.ceil(total / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: {
+          transactions,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalTransactions: total,
+            hasNextPage: parseInt(page) < totalPages,
+            hasPrevPage: parseInt(page) > 1,
+            limit: parseInt(limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get seller transactions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching transactions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+/**
+ * ========================================
+ * @route   GET /api/sellers/payouts
+ * @desc    Get the seller's settlement balance and past payouts, newest first
+ * @access  Private (verified seller)
+ * @query   { page?, limit? }
+ * ========================================
+ */
+router.get(
+  '/payouts',
+  auth,
+  sellerAuth,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { page = 1, limit = 20 } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const filter = { seller: req.seller.sellerId };
+
+      const [balance, payouts, total] = await Promise.all([
+        getSellerBalance(req.seller.sellerId),
+        Payout.find(filter)
+          .select('-createdBy')
+          .sort({ createdAt: -1 })
+          .limit(parseInt(limit))
+          .skip(skip),
+        Payout.countDocuments(filter)
+      ]);
+
+      const totalPages = Math.ceil(total / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: {
+          balance,
+          payouts,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalPayouts: total,
+            hasNextPage: parseInt(page) < totalPages,
+            hasPrevPage: parseInt(page) > 1,
+            limit: parseInt(limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get seller payouts error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching payouts',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+/**
+ * ========================================
+ * @route   GET /api/sellers/payouts/statement
+ * @desc    Get the seller's settlement ledger entries, newest first, with totals
+ * @access  Private (verified seller)
+ * @query   { from?, to?, category?, payout?, settled?, page?, limit? }
+ * ========================================
+ */
+router.get(
+  '/payouts/statement',
+  auth,
+  sellerAuth,
+  [
+    query('from').optional().isISO8601().withMessage('From must be a date'),
+    query('to').optional().isISO8601().withMessage('To must be a date'),
+    query('category')
+      .optional()
+      .isIn(LedgerEntry.schema.path('category').enumValues)
+      .withMessage('Invalid ledger category'),
+    query('payout').optional().isMongoId().withMessage('Valid payout ID is required'),
+    query('settled').optional().isBoolean().withMessage('Settled must be true or false'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { from, to, category, payout, settled, page = 1, limit = 20 } = req.query;
+
+      const { entries, total, totals } = await getSellerStatement(req.seller.sellerId, {
+        from,
+        to,
+        category,
+        payout,
+        settled: settled === undefined ? undefined : settled === 'true',
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      const totalPages = Math.ceil(total / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          totals,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalEntries: total,
+            hasNextPage: parseInt(page) < totalPages,
+            hasPrevPage: parseInt(page) > 1,
+            limit: parseInt(limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get seller statement error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while fetching statement',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+/**
+ * ========================================
+ * Return (RMA) Review
+ * ========================================
+ */
+
+// Run a return action for the seller and send the result (or the action's error)
+const handleReturnAction = (action, successMessage) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const result = await action(order, req.seller.sellerId, req.body);
+
+    res.json({
+      success: true,
+      message: successMessage,
+      data: result.order ? result : { order: result }
+    });
+  } catch (error) {
+    console.error('Seller return action error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating return'
+    });
+  }
+};
+
+/**
+ * ========================================
+ * @route   PUT /api/sellers/orders/:id/return/approve
+ * @desc    Approve the return of the seller's items in a customer's return request
+ * @access  Private (seller of the returned items)
+ * ========================================
+ */
+router.put(
+  '/orders/:id/return/approve',
+  auth,
+  sellerAuth,
+  handleReturnAction((order, sellerId) => approveReturn(order, sellerId), 'Return approved successfully')
+);
+
+/**
+ * ========================================
+ * @route   PUT /api/sellers/orders/:id/return/reject
+ * @desc    Reject the return of the seller's items in a customer's return request
+ * @access  Private (seller of the returned items)
+ * ========================================
+ */
+router.put(
+  '/orders/:id/return/reject',
+  auth,
+  sellerAuth,
+  [body('reason').trim().notEmpty().withMessage('Rejection reason is required')],
+  handleReturnAction((order, sellerId, { reason }) => rejectReturn(order, sellerId, reason), 'Return rejected successfully')
+);
+
+/**
+ * ========================================
+ * @route   PUT /api/sellers/orders/:id/return/tracking
+ * @desc    Add return shipment tracking for the seller's approved items
+ * @access  Private (seller of the returned items)
+ * ========================================
+ */
+router.put(
+  '/orders/:id/return/tracking',
+  auth,
+  sellerAuth,
+  [
+    body('trackingNumber').trim().notEmpty().withMessage('Tracking number is required'),
+    body('carrier').optional().trim()
+  ],
+  handleReturnAction(
+    (order, sellerId, { carrier, trackingNumber }) => addReturnTracking(order, sellerId, { carrier, trackingNumber }),
+    'Return tracking added successfully'
+  )
+);
+
+/**
+ * ========================================
+ * @route   PUT /api/sellers/orders/:id/return/receive
+ * @desc    Mark the seller's returned goods as received (restocks and refunds them)
+ * @access  Private (seller of the returned items)
+ * ========================================
+ */
+router.put(
+  '/orders/:id/return/receive',
+  auth,
+  sellerAuth,
+  handleReturnAction((order, sellerId) => receiveReturn(order, sellerId), 'Return received successfully')
+);
+
+/**
+ * ========================================
+ * Shipping Labels
+ * ========================================
+ */
+
+// Fields of ordered products needed to work out parcel weight
+const LABEL_PRODUCT_FIELDS = 'shipping dimensions';
+
+// Why a seller cannot print a label for an order (null if they can)
+const labelBlocker = (order, sellerId) => {
+  const fulfilment = order.getFulfilmentForSeller(sellerId);
+  if (!fulfilment) return 'You have no items in this order';
+  if (!LABEL_STATUSES.includes(fulfilment.status)) {
+    return `Labels cannot be printed for a ${fulfilment.status} shipment`;
+  }
+  return null;
+};
+
+// Send a labels PDF for the seller's part of the given orders
+const sendLabels = async (res, orders, sellerId, filename) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  (await renderLabelsPdf(orders, sellerId)).pipe(res);
+};
+
+/**
+ * ========================================
+ * @route   GET /api/sellers/orders/:id/label
+ * @desc    Download the shipping label and packing slip for the seller's
+ *          part of an order as PDF
+ * @access  Private (seller of the order's items)
+ * ========================================
+ */
+router.get(
+  '/orders/:id/label',
+  auth,
+  sellerAuth,
+  [param('id').isMongoId().withMessage('Invalid order ID')],
+  async (req, res) => {
+    try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({
@@ -96,34 +766,168 @@ router.post(
         });
       }
 
-      // Create seller entry
-      const sellerData = {
-        user: req.user.userId,
-        ...req.body,
-        documents: {
-          gstCertificate: req.files?.gstCertificate?.[0]?.path || null,
-          panCard: req.files?.panCard?.[0]?.path || null,
-          companyRegistration: req.files?.companyRegistration?.[0]?.path || null,
-          bankStatement: req.files?.bankStatement?.[0]?.path || null,
-          productCatalog: req.files?.productCatalog?.[0]?.path || null
-        },
-        isVerified: false,
-        rating: 0
-      };
+      const order = await Order.findById(req.params.id).populate('items.product', LABEL_PRODUCT_FIELDS);
+      if (!order || !order.getFulfilmentForSeller(req.seller.sellerId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      const blocker = labelBlocker(order, req.seller.sellerId);
+      if (blocker) {
+        return res.status(409).json({
+          success: false,
+          message: blocker
+        });
+      }
+
+      await sendLabels(res, [order], req.seller.sellerId, `label-${order.orderNumber}.pdf`);
+
+    } catch (error) {
+      console.error('Get shipping label error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while generating shipping label',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
 
-      const seller = new Seller(sellerData);
-      await seller.save();
+/**
+ * ========================================
+ * @route   POST /api/sellers/orders/labels
+ * @desc    Download shipping labels for several orders merged into one PDF
+ *          (one page per order, in the order given)
+ *          Fails with the list of problem orders if any cannot be printed
+ * @access  Private (seller of the orders' items)
+ * @body    { orderIds: [id, ...] }
+ * ========================================
+ */
+router.post(
+  '/orders/labels',
+  auth,
+  sellerAuth,
+  [
+    body('orderIds').isArray({ min: 1, max: 100 }).withMessage('Provide between 1 and 100 order IDs'),
+    body('orderIds.*').isMongoId().withMessage('Invalid order ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const orderIds = [...new Set(req.body.orderIds)];
+      const orders = await Order.find({ _id: { $in: orderIds } }).populate('items.product', LABEL_PRODUCT_FIELDS);
+      const ordersById = new Map(orders.map(order => [order._id.toString(), order]));
+
+      const failed = orderIds
+        .map(orderId => {
+          const order = ordersById.get(orderId);
+          const reason = order ? labelBlocker(order, req.seller.sellerId) : 'Order not found';
+          return reason && { orderId, orderNumber: order?.orderNumber, reason };
+        })
+        .filter(Boolean);
+
+      if (failed.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Labels cannot be printed for some orders',
+          data: { failed }
+        });
+      }
+
+      await sendLabels(
+        res,
+        orderIds.map(orderId => ordersById.get(orderId)),
+        req.seller.sellerId,
+        `labels-${new Date().toISOString().slice(0, 10)}.pdf`
+      );
+
+    } catch (error) {
+      console.error('Bulk shipping labels error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while generating shipping labels',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+/**
+ * ========================================
+ * @route   POST /api/sellers/orders/:id/shipment
+ * @desc    Book the seller's shipment for an order with a carrier
+ *          Records the tracking number; carrier tracking updates then move
+ *          the shipment through shipped, out for delivery and delivered
+ * @access  Private (seller of the order's items)
+ * @body    { carrier? } (defaults to the configured carrier)
+ * ========================================
+ */
+router.post(
+  '/orders/:id/shipment',
+  auth,
+  sellerAuth,
+  [
+    param('id').isMongoId().withMessage('Invalid order ID'),
+    body('carrier').optional().trim().notEmpty().withMessage('Carrier cannot be empty')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const order = await Order.findById(req.params.id);
+      const fulfilment = order?.getFulfilmentForSeller(req.seller.sellerId);
+      if (!fulfilment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      const seller = await User.findById(req.seller.sellerId)
+        .select('firstName lastName phone address sellerInfo.companyName sellerInfo.warehousePincode');
+
+      await bookShipment(order, fulfilment, {
+        carrier: req.body.carrier,
+        seller,
+        updatedBy: req.user.userId
+      });
 
       res.status(201).json({
         success: true,
-        message: 'Seller application submitted successfully',
-        data: { sellerId: seller._id }
+        message: 'Shipment booked successfully',
+        data: { fulfilment }
       });
+
     } catch (error) {
-      console.error('Seller registration error:', error);
+      if (error.statusCode === 400 || error.statusCode === 409) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Book shipment error:', error);
       res.status(500).json({
         success: false,
-        message: 'Server error during seller registration'
+        message: 'Server error while booking shipment',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
   }
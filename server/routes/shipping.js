@@ -0,0 +1,311 @@
+/**
+ * Shipping Routes
+ *
+ * Handles shipping quotes for the cart and checkout:
+ * - Quote shipping for the cart (or given items) to a pincode
+ * - Check whether we deliver to a pincode, and when
+ * - Receive signed tracking webhooks from carriers
+ */
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const Pincode = require('../models/Pincode');
+const auth = require('../middleware/auth');
+const cartOwner = require('../middleware/cartOwner');
+const { quoteShipping, getZone, getTransitDays, estimateDelivery } = require('../services/shipping');
+const { getServiceability } = require('../services/pincodes');
+const { getCarrier, processTrackingWebhook } = require('../services/carriers');
+const { SHIPPING_METHODS } = require('../config/shippingRates');
+
+const router = express.Router();
+
+// Parse "productId:quantity,productId:quantity" into [{ product, quantity }]
+const parseItems = (value) => String(value).split(',').map(entry => {
+  const [product, quantity = '1'] = entry.split(':');
+  return { product, quantity: parseInt(quantity) };
+});
+
+// Load shipping lines for ?items=, or for the cart when no items are given
+const loadLines = async (req) => {
+  const requested = req.query.items
+    ? parseItems(req.query.items)
+    : (await Cart.findByOwner(req.cartOwner)).items;
+
+  // Load all products in a single query
+  const products = await Product.find({ _id: { $in: requested.map(item => item.product) }, status: 'active' })
+    .populate('seller', User.CHECKOUT_SELLER_FIELDS)
+    .select('salePrice seller shipping dimensions');
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  return requested
+    .filter(item => productsById.has(item.product.toString()))
+    .map(item => {
+      const product = productsById.get(item.product.toString());
+      return { product, quantity: item.quantity, total: product.salePrice * item.quantity };
+    });
+};
+
+// Validation shared by the quote and serviceability endpoints
+const destinationValidation = [
+  query('pincode')
+    .matches(/^[1-9][0-9]{5}$/)
+    .withMessage('Valid Indian pincode is required'),
+  query('method')
+    .optional()
+    .isIn(Object.keys(SHIPPING_METHODS))
+    .withMessage(`Shipping method must be one of ${Object.keys(SHIPPING_METHODS).join(', ')}`),
+  query('items')
+    .optional()
+    .matches(/^[a-f0-9]{24}(:\d{1,2})?(,[a-f0-9]{24}(:\d{1,2})?)*$/)
+    .withMessage('Items must be a list of productId:quantity pairs')
+];
+
+/**
+ * @route   GET /api/shipping/quote
+ * @desc    Quote shipping to a pincode for the cart, or for the given items
+ * @access  Public (user or guest cart)
+ * @query   { pincode, method?, items? } - items as "productId:quantity,..."
+ *          Omit method to quote every method
+ */
+router.get('/quote', cartOwner, destinationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { pincode, method } = req.query;
+
+    const lines = await loadLines(req);
+    if (lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    // One quote per method; methods not offered to this pincode are marked unavailable
+    const quotes = [];
+    for (const candidate of method ? [method] : Object.keys(SHIPPING_METHODS)) {
+      try {
+        const { cost, estimatedDelivery, shipments } = await quoteShipping(lines, { pincode, method: candidate });
+        quotes.push({ method: candidate, available: true, cost, estimatedDelivery, shipments });
+      } catch (error) {
+        if (error.statusCode !== 400) throw error;
+        quotes.push({ method: candidate, available: false, reason: error.message });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { pincode, quotes }
+    });
+
+  } catch (error) {
+    console.error('Shipping quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while quoting shipping',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/shipping/serviceability
+ * @desc    Check whether we deliver to a pincode, whether COD is available
+ *          and the estimated delivery date for each shipping method
+ * @access  Public (user or guest cart)
+ * @query   { pincode, items? } - items as "productId:quantity,..."; defaults to the cart
+ *          Without items the estimate assumes one day of processing
+ */
+router.get('/serviceability', cartOwner, destinationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { pincode } = req.query;
+    const serviceability = await getServiceability(pincode);
+
+    const estimates = [];
+    if (serviceability.serviceable) {
+      const lines = await loadLines(req);
+      const directory = await Pincode.findMany([pincode]);
+
+      for (const method of Object.keys(SHIPPING_METHODS)) {
+        try {
+          if (lines.length > 0) {
+            const { estimatedDelivery, shipments } = await quoteShipping(lines, { pincode, method });
+            estimates.push({
+              method,
+              available: true,
+              estimatedDelivery,
+              transitDays: Math.max(...shipments.map(shipment => shipment.transitDays))
+            });
+          } else {
+            // No products to ship from: estimate from an unknown origin
+            const zone = getZone(null, pincode, directory);
+            const allowedZones = SHIPPING_METHODS[method].zones;
+            if (allowedZones && !allowedZones.includes(zone)) {
+              estimates.push({ method, available: false });
+              continue;
+            }
+            const transitDays = getTransitDays(zone, method);
+            estimates.push({ method, available: true, estimatedDelivery: estimateDelivery(1, transitDays), transitDays });
+          }
+        } catch (error) {
+          if (error.statusCode !== 400) throw error;
+          estimates.push({ method, available: false, reason: error.message });
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { ...serviceability, estimates }
+    });
+
+  } catch (error) {
+    console.error('Serviceability check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking serviceability',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/shipping/webhook/:carrier
+ * @desc    Receive a signed tracking update from a carrier
+ * @access  Public (signature verified)
+ * @header  X-Carrier-Signature
+ */
+router.post('/webhook/:carrier', async (req, res) => {
+  try {
+    let order;
+    try {
+      order = await processTrackingWebhook(req.params.carrier, req.rawBody || Buffer.from(''), req.header('X-Carrier-Signature'));
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 401) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found for tracking number'
+      });
+    }
+
+    // Acknowledge every verified update so the carrier stops retrying
+    res.json({
+      success: true,
+      message: 'Webhook processed'
+    });
+
+  } catch (error) {
+    console.error('Tracking webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing tracking webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/shipping/carriers/fake/:trackingNumber/events
+ * @desc    Simulate a scan on a fake carrier shipment (not available in production)
+ *          The scan goes through the same signed webhook path a real carrier uses
+ * @access  Private (admin, or the seller who owns the shipment)
+ * @body    { code, location? }
+ */
+if (process.env.NODE_ENV !== 'production') {
+  router.post('/carriers/fake/:trackingNumber/events', auth, [
+    body('code')
+      .isIn(['picked_up', 'in_transit', 'out_for_delivery', 'delivery_failed', 'delivered'])
+      .withMessage('Invalid tracking code'),
+    body('location').optional().trim()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      // Only admins and the shipment's seller may simulate scans; anyone else
+      // gets the same 404 as for an unknown tracking number
+      const { trackingNumber } = req.params;
+      const shipment = await Order.findOne({
+        fulfilments: { $elemMatch: { 'shipping.carrier': 'fake', 'shipping.trackingNumber': trackingNumber } }
+      }).select('fulfilments.seller fulfilments.shipping.carrier fulfilments.shipping.trackingNumber');
+      const fulfilment = shipment?.fulfilments.find(candidate =>
+        candidate.shipping?.carrier === 'fake' && candidate.shipping?.trackingNumber === trackingNumber
+      );
+      const canSimulate = req.user.userType === 'admin' ||
+        fulfilment?.seller.toString() === req.user.userId.toString();
+
+      if (!fulfilment || !canSimulate) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shipment not found for tracking number'
+        });
+      }
+
+      const { rawBody, signature } = getCarrier('fake').simulateEvent(req.params.trackingNumber, req.body.code, {
+        location: req.body.location
+      });
+      const order = await processTrackingWebhook('fake', rawBody, signature);
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shipment not found for tracking number'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Tracking event simulated',
+        data: {
+          orderStatus: order.status,
+          fulfilment: order.fulfilments.find(candidate => candidate.shipping?.trackingNumber === trackingNumber)
+        }
+      });
+
+    } catch (error) {
+      console.error('Simulate tracking event error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while simulating tracking event',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+}
+
+module.exports = router;
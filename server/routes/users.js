@@ -17,6 +17,7 @@ const Order = require('../models/Order');
 const Product = require('../models/Product');
 const auth = require('../middleware/auth');
 const upload = require('../middleware/upload');
+const { deleteUploadedFiles } = upload;
 
 const router = express.Router();
 
@@ -81,6 +82,7 @@ router.put('/profile', [auth, upload.single('avatar')], [
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      deleteUploadedFiles(req.file);
       return res.status(400).json({
         success: false,
         message: 'Validation failed',
@@ -90,6 +92,7 @@ router.put('/profile', [auth, upload.single('avatar')], [
 
     const user = await User.findById(req.user.userId);
     if (!user) {
+      deleteUploadedFiles(req.file);
       return res.status(404).json({
         success: false,
         message: 'User not found'
@@ -98,7 +101,7 @@ router.put('/profile', [auth, upload.single('avatar')], [
 
     // Handle avatar upload
     if (req.file) {
-      req.body.avatar = `/uploads/${req.file.filename}`;
+      req.body.avatar = req.file.url;
     }
 
     // Update user fields
@@ -132,6 +135,7 @@ router.put('/profile', [auth, upload.single('avatar')], [
     });
 
   } catch (error) {
+    deleteUploadedFiles(req.file);
     console.error('Update profile error:', error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,34 @@
+/**
+ * Import the pincode directory from a CSV file
+ *
+ * Usage: node scripts/importPincodes.js [path/to/pincodes.csv]
+ * Defaults to data/pincodes.csv. Existing pincodes are updated in place.
+ * See services/pincodes.js for the expected columns.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const connectDB = require('../config/database');
+const { parsePincodeCsv, importPincodes } = require('../services/pincodes');
+
+const run = async () => {
+  const file = path.resolve(process.argv[2] || path.join(__dirname, '..', 'data', 'pincodes.csv'));
+  const { entries, errors } = parsePincodeCsv(fs.readFileSync(file, 'utf8'));
+
+  errors.forEach(error => console.warn(`  ⚠️  Line ${error.line}: ${error.message}`));
+  console.log(`📄 ${entries.length} valid rows in ${file} (${errors.length} skipped)`);
+
+  await connectDB();
+  const written = await importPincodes(entries);
+  console.log(`✅ Imported ${written} pincodes`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Pincode import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,130 @@
+/**
+ * Move legacy seller records onto their users' seller profiles
+ *
+ * Usage: node scripts/migrateSellerProfiles.js
+ *
+ * Seller applications used to be saved as separate documents in the `sellers`
+ * collection; they now live on User.sellerInfo (see services/sellerProfiles.js).
+ * For each legacy record this fills in whatever the user's profile is missing
+ * (fields already on the profile win), marks the account as a seller, and
+ * carries over the verification status. It also converts documents stored as
+ * bare paths into { type, path } entries.
+ *
+ * Safe to run more than once. The `sellers` collection is left untouched;
+ * drop it by hand once the results have been checked.
+ */
+
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const { buildSellerProfile } = require('../services/sellerProfiles');
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// $set operations filling the profile fields the user doesn't have yet
+const missingProfileFields = (sellerInfo, profile) => {
+  const updates = {};
+
+  Object.entries(profile).forEach(([field, value]) => {
+    if (isEmpty(value)) return;
+
+    if (field === 'businessAddress' || field === 'bankDetails') {
+      Object.entries(value)
+        .filter(([key, part]) => !isEmpty(part) && isEmpty(sellerInfo[field]?.[key]))
+        .forEach(([key, part]) => { updates[`sellerInfo.${field}.${key}`] = part; });
+    } else if (isEmpty(sellerInfo[field])) {
+      updates[`sellerInfo.${field}`] = value;
+    }
+  });
+
+  return updates;
+};
+
+// Merge one legacy seller record into its user; resolves to what happened
+const migrateRecord = async (record) => {
+  const user = await User.collection.findOne({ _id: record.user });
+  if (!user) return 'missingUser';
+  if (user.userType === 'admin') return 'skippedAdmin';
+
+  const sellerInfo = user.sellerInfo || {};
+  const uploadedAt = record.createdAt || new Date();
+  const profile = buildSellerProfile(record, record.documents || {});
+  profile.documents = profile.documents.map(document => ({ ...document, uploadedAt }));
+
+  const updates = missingProfileFields(sellerInfo, profile);
+
+  // Don't downgrade a decision already made on the profile
+  if (!sellerInfo.applicationStatus || sellerInfo.applicationStatus === 'pending') {
+    updates['sellerInfo.applicationStatus'] = record.isVerified ? 'approved' : 'pending';
+    updates['sellerInfo.isVerified'] = Boolean(record.isVerified);
+  }
+  if (!sellerInfo.appliedAt) updates['sellerInfo.appliedAt'] = uploadedAt;
+  if (!user.address?.state && record.state) {
+    updates.address = {
+      street: record.address,
+      city: record.city,
+      state: record.state,
+      pincode: record.pincode,
+      country: record.country || 'India'
+    };
+  }
+  updates.userType = 'seller';
+
+  await User.collection.updateOne({ _id: user._id }, { $set: updates });
+  return 'migrated';
+};
+
+// Documents saved as bare paths (the old [String] shape) become { type: 'other', path }
+const convertDocumentPaths = async () => {
+  const users = await User.collection
+    .find({ 'sellerInfo.documents': { $type: 'string' } })
+    .project({ 'sellerInfo.documents': 1 })
+    .toArray();
+
+  for (const user of users) {
+    const documents = user.sellerInfo.documents.map(document => (
+      typeof document === 'string' ? { type: 'other', path: document, uploadedAt: new Date() } : document
+    ));
+    await User.collection.updateOne({ _id: user._id }, { $set: { 'sellerInfo.documents': documents } });
+  }
+
+  return users.length;
+};
+
+const run = async () => {
+  await connectDB();
+
+  const counts = { migrated: 0, missingUser: 0, skippedAdmin: 0 };
+  const records = await mongoose.connection.db.collection('sellers').find().toArray();
+
+  for (const record of records) {
+    const outcome = await migrateRecord(record);
+    counts[outcome] += 1;
+    if (outcome !== 'migrated') {
+      console.warn(`  ⚠️  Seller record ${record._id} not migrated (${outcome})`);
+    }
+  }
+
+  const converted = await convertDocumentPaths();
+
+  // Verified sellers are approved sellers
+  const aligned = await User.collection.updateMany(
+    { 'sellerInfo.isVerified': true, 'sellerInfo.applicationStatus': { $ne: 'approved' } },
+    { $set: { 'sellerInfo.applicationStatus': 'approved' } }
+  );
+
+  console.log(`📄 ${records.length} legacy seller records`);
+  console.log(`✅ Migrated ${counts.migrated} (${counts.missingUser} without a user, ${counts.skippedAdmin} admin accounts skipped)`);
+  console.log(`✅ Converted documents on ${converted} profiles, marked ${aligned.modifiedCount} verified profiles approved`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Seller profile migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
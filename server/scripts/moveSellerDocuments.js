@@ -0,0 +1,84 @@
+/**
+ * Move seller documents out of the public uploads folder
+ *
+ * Usage: node scripts/moveSellerDocuments.js
+ *
+ * Seller documents used to be saved under uploads/documents (or, before that,
+ * uploads/seller_docs), which is served publicly. This moves every file a
+ * seller profile points to into the private document store (on local disk or
+ * S3, see services/storage), updating the profile before deleting the original.
+ * Run it after scripts/migrateSellerProfiles.js. Safe to run more than once:
+ * documents already in the store are left alone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const { getStorage } = require('../services/storage');
+
+const SERVER_DIR = path.join(__dirname, '..');
+
+// A free key in the document store for `name`
+const freeKey = async (store, name) => {
+  const extension = path.extname(name);
+  const base = path.basename(name, extension);
+  let key = name;
+  for (let copy = 1; await store.exists(key); copy++) {
+    key = `${base}_${copy}${extension}`;
+  }
+  return key;
+};
+
+const run = async () => {
+  await connectDB();
+  const store = getStorage('documents');
+
+  const counts = { moved: 0, alreadyPrivate: 0, missing: 0 };
+  const users = await User.collection
+    .find({ 'sellerInfo.documents.0': { $exists: true } })
+    .project({ 'sellerInfo.documents': 1 })
+    .toArray();
+
+  for (const user of users) {
+    for (const document of user.sellerInfo.documents) {
+      if (document.path && await store.exists(document.path)) {
+        counts.alreadyPrivate += 1;
+        continue;
+      }
+
+      // Old paths are relative to the server directory, e.g. uploads/documents/gst_123.pdf
+      const source = path.resolve(SERVER_DIR, document.path || '');
+      if (!document.path || !fs.existsSync(source)) {
+        counts.missing += 1;
+        console.warn(`  ⚠️  ${user._id} ${document.type}: file not found (${document.path})`);
+        continue;
+      }
+
+      const key = await freeKey(store, path.basename(source));
+      await store.put(key, fs.createReadStream(source));
+
+      // Point the profile at the stored copy before the original goes, so an
+      // interrupted run never leaves it pointing at a deleted file
+      await User.collection.updateOne(
+        { _id: user._id, 'sellerInfo.documents.path': document.path },
+        { $set: { 'sellerInfo.documents.$.path': key } }
+      );
+      fs.unlinkSync(source);
+      counts.moved += 1;
+    }
+  }
+
+  console.log(`📄 Checked documents on ${users.length} seller profiles`);
+  console.log(`✅ Moved ${counts.moved} to the ${store.name} document store (${counts.alreadyPrivate} already private, ${counts.missing} missing)`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Seller document move failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -46,6 +46,9 @@ const orderRoutes = require('./routes/orders');
 const sellerRoutes = require('./routes/sellers');
 const cartRoutes = require('./routes/cart');
 const adminRoutes = require('./routes/admin');
+const paymentRoutes = require('./routes/payments');
+const shippingRoutes = require('./routes/shipping');
+const documentRoutes = require('./routes/documents');
 
 // ==============================
 // 4. IMPORT CUSTOM MIDDLEWARE
@@ -53,6 +56,10 @@ const adminRoutes = require('./routes/admin');
 const errorHandler = require('./middleware/errorHandler'); // Handles errors globally
 const logger = require('./middleware/logger'); // Logs requests
 
+// Background jobs
+const { startReservationSweeper } = require('./jobs/reservationSweeper'); // Releases expired stock holds
+const { startSettlementSweeper } = require('./jobs/settlementSweeper'); // Credits sellers once return windows close
+
 // ==============================
 // 5. INITIALIZE EXPRESS APP
 // ==============================
@@ -88,14 +95,21 @@ app.use(cors({
     : ['http://localhost:3000', 'http://localhost:5173'], // Local dev URLs
   credentials: true, // Allow cookies/auth headers
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Cart-Token'],
+  exposedHeaders: ['X-Cart-Token'] // Guest cart token issued by /api/cart
 }));
 
 // ==============================
 // 8. BODY PARSING
 // ==============================
 // Parse JSON request bodies (with size limit to avoid abuse)
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept so payment webhook signatures can be verified
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Parse URL-encoded form data (for HTML forms, etc.)
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -109,8 +123,14 @@ app.use(logger);
 // ==============================
 // 10. STATIC FILES
 // ==============================
-// Serve uploaded files so they can be accessed by URL
-// Example: /uploads/image.jpg will load image.jpg from the uploads folder
+// Serve uploaded files so they can be accessed by URL (when stored on this
+// server, see services/storage)
+// Example: /uploads/products/image.jpg will load products/image.jpg from the uploads folder
+// Seller documents are private (served by /api/documents); never serve files
+// left in their old public folders
+app.use(['/uploads/documents', '/uploads/seller_docs'], (req, res) => {
+  res.status(404).json({ success: false, message: 'Not found' });
+});
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // ==============================
@@ -138,6 +158,9 @@ app.use('/api/orders', orderRoutes);        // Orders
 app.use('/api/sellers', sellerRoutes);      // Sellers
 app.use('/api/cart', cartRoutes);           // Shopping cart
 app.use('/api/admin', adminRoutes);         // Admin features
+app.use('/api/payments', paymentRoutes);    // Payments and gateway webhooks
+app.use('/api/shipping', shippingRoutes);   // Shipping quotes
+app.use('/api/documents', documentRoutes); // Private seller documents
 
 
 // ==============================
@@ -184,6 +207,10 @@ const server = app.listen(PORT, () => {
   📊 Health Check: http://localhost:${PORT}/api/health
   📚 API Base URL: http://localhost:${PORT}/api
   `);
+
+  // Release stock held by orders that were never paid
+  startReservationSweeper();
+  startSettlementSweeper();
 });
 
 // ==============================
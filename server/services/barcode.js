@@ -0,0 +1,80 @@
+/**
+ * Barcode Service
+ *
+ * Code 128 (code set B) barcodes drawn straight onto a pdfkit document,
+ * so labels need no image files or outside barcode service
+ * Code set B covers printable ASCII, which includes order and tracking numbers
+ */
+
+// Bar/space widths (in modules) of each Code 128 symbol, by value
+const PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const START_B = 104;
+const STOP = 106;
+
+// Modules of quiet zone required on each side
+const QUIET_ZONE = 10;
+
+/**
+ * Encode text as Code 128B
+ * Returns the bar/space widths, in modules, starting with a bar
+ * Throws for characters outside printable ASCII
+ */
+const encodeCode128 = (text) => {
+  const values = [...String(text)].map(char => {
+    const code = char.charCodeAt(0);
+    if (code < 32 || code > 127) {
+      throw new Error(`Cannot encode "${char}" in a Code 128 barcode`);
+    }
+    return code - 32;
+  });
+
+  const checksum = values.reduce((sum, value, index) => sum + value * (index + 1), START_B) % 103;
+
+  return [START_B, ...values, checksum, STOP]
+    .flatMap(value => [...PATTERNS[value]].map(Number));
+};
+
+/**
+ * Draw a Code 128 barcode on a pdfkit document
+ * The barcode (with quiet zones) is scaled to `width` points; the text is
+ * printed underneath unless `showText` is false
+ */
+const drawBarcode = (doc, text, x, y, { width = 200, height = 50, showText = true } = {}) => {
+  const widths = encodeCode128(text);
+  const modules = widths.reduce((sum, value) => sum + value, 0) + QUIET_ZONE * 2;
+  const moduleWidth = width / modules;
+
+  let cursor = x + QUIET_ZONE * moduleWidth;
+  widths.forEach((value, index) => {
+    // Even positions are bars, odd positions spaces
+    if (index % 2 === 0) {
+      doc.rect(cursor, y, value * moduleWidth, height).fill('#000000');
+    }
+    cursor += value * moduleWidth;
+  });
+
+  if (showText) {
+    doc.fillColor('#000000').font('Helvetica').fontSize(9)
+      .text(String(text), x, y + height + 3, { width, align: 'center' });
+  }
+
+  return doc;
+};
+
+module.exports = {
+  encodeCode128,
+  drawBarcode
+};
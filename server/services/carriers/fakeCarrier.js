@@ -0,0 +1,120 @@
+/**
+ * Fake Carrier
+ *
+ * A local, offline carrier for development and testing
+ * Shipments live in memory and webhooks are signed with HMAC-SHA256
+ * using CARRIER_WEBHOOK_SECRET, like a real carrier would. Webhooks are
+ * refused while no secret is set. Never registered in production.
+ *
+ * Move a shipment along with simulateEvent(trackingNumber, code), which
+ * records the scan and returns the signed webhook the carrier would send
+ */
+
+const crypto = require('crypto');
+
+// Scan codes this carrier reports, and the shipment status each one means
+const STATUS_BY_CODE = {
+  booked: null,
+  picked_up: 'shipped',
+  in_transit: 'shipped',
+  out_for_delivery: 'out_for_delivery',
+  delivery_failed: null,
+  delivered: 'delivered'
+};
+
+const DESCRIPTIONS = {
+  booked: 'Shipment booked',
+  picked_up: 'Picked up from seller',
+  in_transit: 'In transit',
+  out_for_delivery: 'Out for delivery',
+  delivery_failed: 'Delivery attempted, customer not available',
+  delivered: 'Delivered'
+};
+
+// Shipments booked by this process: { trackingNumber: { trackingNumber, reference, to, events } }
+const shipments = new Map();
+
+const webhookSecret = () => {
+  if (!process.env.CARRIER_WEBHOOK_SECRET) {
+    throw new Error('CARRIER_WEBHOOK_SECRET must be set to sign or verify carrier webhooks');
+  }
+  return process.env.CARRIER_WEBHOOK_SECRET;
+};
+
+// Generate an airway bill number, e.g. FK1234567890
+const generateTrackingNumber = () => `FK${crypto.randomInt(1e9, 1e10)}`;
+
+// Normalise a raw scan into a tracking event
+const toEvent = ({ code, description, location, occurredAt }) => ({
+  code,
+  status: STATUS_BY_CODE[code] ?? null,
+  description: description || DESCRIPTIONS[code] || code,
+  location,
+  occurredAt: new Date(occurredAt)
+});
+
+const fakeCarrier = {
+  name: 'fake',
+
+  // Book a shipment (the carrier will pick it up from the seller)
+  async createShipment({ reference, from, to }) {
+    const shipment = {
+      trackingNumber: generateTrackingNumber(),
+      reference,
+      to,
+      events: [{ code: 'booked', location: from?.pincode, occurredAt: new Date() }]
+    };
+    shipments.set(shipment.trackingNumber, shipment);
+
+    return { trackingNumber: shipment.trackingNumber };
+  },
+
+  // Tracking events recorded so far, oldest first
+  async getTracking(trackingNumber) {
+    const shipment = shipments.get(trackingNumber);
+
+    // Shipments booked before a restart are unknown to the fake
+    return shipment ? shipment.events.map(toEvent) : [];
+  },
+
+  // Record a scan and return the signed webhook for it: { rawBody, signature }
+  simulateEvent(trackingNumber, code, { location, description } = {}) {
+    if (!(code in STATUS_BY_CODE)) {
+      const error = new Error(`Unknown tracking code "${code}"`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const scan = { code, description, location, occurredAt: new Date() };
+    shipments.get(trackingNumber)?.events.push(scan);
+
+    const rawBody = Buffer.from(JSON.stringify({ trackingNumber, events: [scan] }));
+    return { rawBody, signature: this.signWebhook(rawBody) };
+  },
+
+  // Sign a webhook payload
+  signWebhook(rawBody) {
+    return crypto.createHmac('sha256', webhookSecret()).update(rawBody).digest('hex');
+  },
+
+  // Verify a webhook signature and parse the tracking update
+  verifyWebhook(rawBody, signature) {
+    const expected = Buffer.from(this.signWebhook(rawBody));
+    const received = Buffer.from(signature || '');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      const error = new Error('Invalid webhook signature');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    // Payload format: { trackingNumber, events: [{ code, description?, location?, occurredAt }] }
+    const payload = JSON.parse(rawBody.toString());
+    return {
+      trackingNumber: payload.trackingNumber,
+      events: (payload.events || []).map(toEvent)
+    };
+  }
+};
+
+module.exports = fakeCarrier;
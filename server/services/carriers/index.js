@@ -0,0 +1,188 @@
+/**
+ * Carrier Service
+ *
+ * Pluggable shipping carriers and the order-side effects of tracking updates
+ *
+ * A carrier is an object with:
+ * - name                                   Stored on the fulfilment as shipping.carrier
+ * - createShipment({ reference, service, from, to, weight, codAmount })
+ *                                          -> { trackingNumber, estimatedDelivery? }
+ * - getTracking(trackingNumber)            -> [event]
+ * - verifyWebhook(rawBody, signature)      -> { trackingNumber, events: [event] }
+ *                                             (throws an error with statusCode 401 if the signature is bad)
+ *
+ * An event is { code, status, description, location, occurredAt }, where code
+ * is the carrier's own scan code and status the shipment status it means:
+ * 'shipped', 'out_for_delivery', 'delivered' or null (informational only)
+ *
+ * The default carrier is chosen with SHIPPING_CARRIER (default: fake). The
+ * fake carrier is only registered outside production.
+ */
+
+const mongoose = require('mongoose');
+const fakeCarrier = require('./fakeCarrier');
+const { getSellerPincode } = require('../shipping');
+const { getCollectAmount, getFulfilmentItems } = require('../labels');
+
+// Registered carriers by name
+const carriers = new Map(
+  process.env.NODE_ENV === 'production' ? [] : [[fakeCarrier.name, fakeCarrier]]
+);
+
+// Fulfilment statuses a shipment can be booked in
+const BOOKABLE_STATUSES = ['confirmed', 'processing'];
+
+// Fulfilment statuses whose tracking is still worth fetching
+const TRACKED_STATUSES = ['processing', 'shipped', 'out_for_delivery'];
+
+// Register an additional carrier
+const registerCarrier = (carrier) => {
+  carriers.set(carrier.name, carrier);
+};
+
+// Get a carrier by name (defaults to the configured carrier)
+const getCarrier = (name = process.env.SHIPPING_CARRIER || 'fake') => {
+  const carrier = carriers.get(name);
+  if (!carrier) {
+    const error = new Error(`Carrier "${name}" is not registered`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return carrier;
+};
+
+/**
+ * Book a seller's shipment with a carrier
+ * Records the carrier and tracking number on the fulfilment and moves a
+ * confirmed fulfilment to processing (packed, awaiting pickup)
+ * Throws an error with statusCode 409 if the shipment is not ready or already booked
+ */
+const bookShipment = async (order, fulfilment, { carrier: carrierName, seller, updatedBy = null } = {}) => {
+  if (!BOOKABLE_STATUSES.includes(fulfilment.status)) {
+    const error = new Error(`A ${fulfilment.status} shipment cannot be booked`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  if (fulfilment.shipping?.trackingNumber) {
+    const error = new Error(`Shipment already booked with ${fulfilment.shipping.carrier} (${fulfilment.shipping.trackingNumber})`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const carrier = getCarrier(carrierName);
+  const items = getFulfilmentItems(order, fulfilment);
+
+  const booking = await carrier.createShipment({
+    reference: order.orderNumber,
+    service: order.shipping.method,
+    from: {
+      name: seller.sellerInfo?.companyName || `${seller.firstName} ${seller.lastName}`,
+      phone: seller.phone,
+      street: seller.address?.street,
+      city: seller.address?.city,
+      state: seller.address?.state,
+      pincode: getSellerPincode(seller)
+    },
+    to: order.shippingAddress,
+    weight: fulfilment.shipping?.billableWeight,
+    codAmount: getCollectAmount(order, fulfilment, items)
+  });
+
+  fulfilment.shipping.carrier = carrier.name;
+  fulfilment.shipping.trackingNumber = booking.trackingNumber;
+  if (booking.estimatedDelivery) fulfilment.shipping.estimatedDelivery = booking.estimatedDelivery;
+
+  const message = `Shipment booked with ${carrier.name} (${booking.trackingNumber})`;
+  if (fulfilment.status === 'confirmed') {
+    return order.updateFulfilmentStatus(fulfilment, 'processing', message, updatedBy);
+  }
+
+  fulfilment.timeline.push({ status: fulfilment.status, message, timestamp: new Date(), updatedBy });
+  return order.save();
+};
+
+/**
+ * Record tracking events on a fulfilment and move it along
+ * Events already recorded are ignored, so repeated webhooks and polls are safe.
+ * Each new event whose status is a legal next step becomes a status update;
+ * others (late, repeated, or for a cancelled shipment) are only recorded.
+ */
+const applyTrackingEvents = async (order, fulfilment, events) => {
+  const seen = new Set(fulfilment.shipping.trackingEvents.map(event =>
+    `${event.code}|${new Date(event.occurredAt).getTime()}`
+  ));
+
+  const fresh = events
+    .filter(event => !seen.has(`${event.code}|${new Date(event.occurredAt).getTime()}`))
+    .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+
+  if (fresh.length === 0) return order;
+
+  for (const event of fresh) {
+    fulfilment.shipping.trackingEvents.push(event);
+
+    if (!event.status) continue;
+
+    // Scans can skip ahead (e.g. a missed pickup scan); pass through shipped on the way
+    const steps = event.status !== 'shipped' && order.constructor.canTransitionFulfilment(fulfilment.status, 'shipped')
+      ? ['shipped', event.status]
+      : [event.status];
+    const location = event.location ? ` (${event.location})` : '';
+
+    try {
+      for (const status of steps) {
+        if (!order.constructor.canTransitionFulfilment(fulfilment.status, status)) break;
+        const message = status === event.status ? `${event.description}${location}` : 'Picked up by carrier';
+        await order.updateFulfilmentStatus(fulfilment, status, message);
+      }
+    } catch (error) {
+      // e.g. the rest of the order cannot follow; keep the event and carry on
+      if (error.statusCode !== 409) throw error;
+      console.warn(`Tracking update for order ${order.orderNumber} not applied: ${error.message}`);
+    }
+  }
+
+  // Late scans may arrive after newer ones; keep the history in time order
+  fulfilment.shipping.trackingEvents.sort((a, b) => a.occurredAt - b.occurredAt);
+  return order.save();
+};
+
+// Fetch the latest tracking for a fulfilment from its carrier and apply it
+const syncTracking = async (order, fulfilment) => {
+  const { carrier: carrierName, trackingNumber } = fulfilment.shipping || {};
+  if (!carrierName || !trackingNumber || !TRACKED_STATUSES.includes(fulfilment.status)) return order;
+
+  const events = await getCarrier(carrierName).getTracking(trackingNumber);
+  return applyTrackingEvents(order, fulfilment, events);
+};
+
+/**
+ * Verify and apply an inbound tracking webhook
+ * Resolves to the updated order, or null if no shipment matches
+ * (throws an error with statusCode 401 if the signature is bad)
+ */
+const processTrackingWebhook = async (carrierName, rawBody, signature) => {
+  const carrier = getCarrier(carrierName);
+  const { trackingNumber, events } = carrier.verifyWebhook(rawBody, signature);
+
+  const order = await mongoose.model('Order').findOne({
+    'fulfilments.shipping.carrier': carrier.name,
+    'fulfilments.shipping.trackingNumber': trackingNumber
+  });
+  if (!order) return null;
+
+  const fulfilment = order.fulfilments.find(candidate =>
+    candidate.shipping?.carrier === carrier.name && candidate.shipping?.trackingNumber === trackingNumber
+  );
+  return applyTrackingEvents(order, fulfilment, events);
+};
+
+module.exports = {
+  registerCarrier,
+  getCarrier,
+  bookShipment,
+  applyTrackingEvents,
+  syncTracking,
+  processTrackingWebhook
+};
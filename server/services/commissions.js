@@ -0,0 +1,172 @@
+/**
+ * Commission Service
+ *
+ * Works out the marketplace commission on order lines from the commission
+ * rules (models/CommissionRule). The result is frozen onto each order line
+ * at checkout, so later rule changes never alter past orders.
+ *
+ * The most specific active rule applies to a line:
+ * 1. a rule for the seller beats one for every seller
+ * 2. then a rule for the product's category beats one for a parent category,
+ *    which beats one for every category
+ * 3. then a promotional (time-boxed) rule beats an open-ended one
+ * 4. then the most recently created rule wins
+ * Lines no rule covers are charged SELLER_COMMISSION_RATE %.
+ *
+ * Tiered rules use the seller's GMV (value of items ordered, excluding
+ * cancelled and expired orders) so far this calendar month, Indian time
+ */
+
+const mongoose = require('mongoose');
+const CommissionRule = require('../models/CommissionRule');
+const Category = require('../models/Category');
+
+// Commission (%) on lines no rule covers
+const DEFAULT_COMMISSION_RATE = parseFloat(process.env.SELLER_COMMISSION_RATE) || 10;
+
+// Indian Standard Time offset from UTC, in milliseconds
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const roundPaise = (amount) => Math.round(amount * 100) / 100;
+
+const toId = (value) => (value?._id || value)?.toString();
+
+// Start of the calendar month (Indian time) a date falls in
+const startOfMonth = (date) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  return new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), 1) - IST_OFFSET_MS);
+};
+
+// Seller's GMV (₹) from the start of the month to `now`
+const getMonthlyGmv = async (sellerId, now = new Date()) => {
+  const seller = new mongoose.Types.ObjectId(sellerId.toString());
+
+  const [result] = await mongoose.model('Order').aggregate([
+    {
+      $match: {
+        'items.seller': seller,
+        createdAt: { $gte: startOfMonth(now), $lte: now },
+        status: { $nin: ['cancelled', 'payment_expired'] }
+      }
+    },
+    { $unwind: '$items' },
+    { $match: { 'items.seller': seller } },
+    { $group: { _id: null, gmv: { $sum: '$items.total' } } }
+  ]);
+
+  return result?.gmv || 0;
+};
+
+// Each category with its ancestors, nearest first: { categoryId: [id, parentId, ...] }
+const getCategoryChains = async (categoryIds) => {
+  const parents = new Map();
+  let pending = [...new Set(categoryIds)];
+
+  while (pending.length > 0) {
+    const categories = await Category.find({ _id: { $in: pending } }).select('parent');
+    categories.forEach(category => parents.set(category._id.toString(), toId(category.parent) || null));
+    pending = [...new Set(categories.map(category => toId(category.parent)).filter(id => id && !parents.has(id)))];
+  }
+
+  return new Map(categoryIds.map(categoryId => {
+    const chain = [];
+    for (let id = categoryId; id && !chain.includes(id); id = parents.get(id)) chain.push(id);
+    return [categoryId, chain];
+  }));
+};
+
+// Rank of a rule for a line (higher wins), or null if it does not cover the line
+const rankRule = (rule, sellerId, chain) => {
+  const ruleSeller = toId(rule.seller);
+  const ruleCategory = toId(rule.category);
+
+  if (ruleSeller && ruleSeller !== sellerId) return null;
+
+  const depth = ruleCategory ? chain.indexOf(ruleCategory) : chain.length;
+  if (depth === -1) return null;
+
+  return [ruleSeller ? 1 : 0, -depth, rule.isPromotional() ? 1 : 0, rule.createdAt.getTime()];
+};
+
+const compareRanks = (a, b) => {
+  for (let index = 0; index < a.length; index++) {
+    if (a[index] !== b[index]) return a[index] - b[index];
+  }
+  return 0;
+};
+
+/**
+ * Work out the commission on a set of lines
+ * Lines are [{ product, quantity, taxableValue }] where `product` has its
+ * seller and category (ids or populated documents)
+ * Resolves to [{ rule, type, value, monthlyGmv?, amount }] in input order,
+ * ready to store on the order lines; rule is null for the default rate
+ */
+const calculateCommissions = async (lines, { now = new Date() } = {}) => {
+  const categoryIds = [...new Set(lines.map(line => toId(line.product.category)).filter(Boolean))];
+  const sellerIds = [...new Set(lines.map(line => toId(line.product.seller)))];
+  const chains = await getCategoryChains(categoryIds);
+
+  const rules = await CommissionRule.find({
+    isActive: true,
+    seller: { $in: [...sellerIds, null] },
+    category: { $in: [...new Set([...chains.values()].flat()), null] },
+    $and: [
+      { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+      { $or: [{ validUntil: null }, { validUntil: { $gt: now } }] }
+    ]
+  });
+
+  // Looked up once per seller, and only for tiered rules
+  const monthlyGmv = new Map();
+
+  const commissions = [];
+  for (const line of lines) {
+    const sellerId = toId(line.product.seller);
+    const chain = chains.get(toId(line.product.category)) || [];
+    const taxableValue = line.taxableValue ?? line.total;
+
+    let best = null;
+    for (const rule of rules) {
+      const rank = rankRule(rule, sellerId, chain);
+      if (rank && (!best || compareRanks(rank, best.rank) > 0)) best = { rule, rank };
+    }
+
+    if (!best) {
+      commissions.push({
+        rule: null,
+        type: 'percentage',
+        value: DEFAULT_COMMISSION_RATE,
+        amount: roundPaise((taxableValue * DEFAULT_COMMISSION_RATE) / 100)
+      });
+      continue;
+    }
+
+    const { rule } = best;
+    if (rule.type === 'tiered' && !monthlyGmv.has(sellerId)) {
+      monthlyGmv.set(sellerId, await getMonthlyGmv(sellerId, now));
+    }
+
+    const { rate, amount } = rule.commissionFor({
+      taxableValue,
+      quantity: line.quantity,
+      monthlyGmv: monthlyGmv.get(sellerId)
+    });
+
+    commissions.push({
+      rule: rule._id,
+      type: rule.type,
+      value: rate,
+      ...(rule.type === 'tiered' && { monthlyGmv: monthlyGmv.get(sellerId) }),
+      amount
+    });
+  }
+
+  return commissions;
+};
+
+module.exports = {
+  DEFAULT_COMMISSION_RATE,
+  getMonthlyGmv,
+  calculateCommissions
+};
@@ -0,0 +1,171 @@
+/**
+ * Coupon Service
+ *
+ * Checks a coupon code against a set of cart or order lines and works out
+ * the discount; redeems and releases usage atomically, against both the
+ * global and the per-user limit (CouponUsage)
+ *
+ * An order holds its coupon use until it is cancelled or its payment window
+ * expires; a late payment for an expired order takes the use back
+ *
+ * Lines are [{ product, total }] where `product` has its category and seller
+ * Errors carry a statusCode (400 or 404) for the route to send back
+ */
+
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponUsage = require('../models/CouponUsage');
+
+const couponError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Validate a coupon code for some lines and work out its discount
+ * Pass `userId` to enforce the per-user limit (guests are checked at checkout)
+ * Resolves to { coupon, discount, eligibleSubtotal, eligibleLines }, where
+ * eligibleLines are the given lines the coupon applies to (the discount is
+ * shared out over these only)
+ */
+const applyCoupon = async (code, { lines, userId = null, now = new Date() }) => {
+  const coupon = await Coupon.findByCode(code);
+  if (!coupon || !coupon.isActive) {
+    throw couponError('Invalid coupon code', 404);
+  }
+
+  if (coupon.validFrom && now < coupon.validFrom) {
+    throw couponError('This coupon is not active yet');
+  }
+  if (coupon.validUntil && now > coupon.validUntil) {
+    throw couponError('This coupon has expired');
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError('This coupon has reached its usage limit');
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.total, 0);
+  if (subtotal < coupon.minCartValue) {
+    throw couponError(`Add items worth ₹${coupon.minCartValue - subtotal} more to use this coupon`);
+  }
+
+  const eligibleLines = lines.filter(line => coupon.appliesTo(line.product));
+  const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.total, 0);
+  if (eligibleSubtotal === 0) {
+    throw couponError('This coupon does not apply to any item in your cart');
+  }
+
+  if (userId) {
+    // Cancelled and expired orders give the use back
+    const uses = await mongoose.model('Order').countDocuments({
+      customer: userId,
+      'coupon.code': coupon.code,
+      status: { $nin: ['cancelled', 'payment_expired'] }
+    });
+    if (uses >= coupon.perUserLimit) {
+      throw couponError('You have already used this coupon');
+    }
+  }
+
+  return { coupon, discount: coupon.discountFor(eligibleSubtotal), eligibleSubtotal, eligibleLines };
+};
+
+// Take back one global use of a coupon
+const releaseGlobalUse = (couponFilter) => Coupon.updateOne(
+  { ...couponFilter, usedCount: { $gt: 0 } },
+  { $inc: { usedCount: -1 } }
+);
+
+/**
+ * Atomically count one use of a coupon by a customer
+ * Throws an error with statusCode 409 if the global or the customer's usage
+ * limit was reached meanwhile (nothing is counted then)
+ */
+const redeemCoupon = async (coupon, userId) => {
+  const result = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      $or: [
+        { usageLimit: { $exists: false } },
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  if (result.modifiedCount !== 1) {
+    throw couponError('This coupon has reached its usage limit', 409);
+  }
+
+  try {
+    // At the limit the filter matches nothing and the upsert collides with the existing counter
+    await CouponUsage.updateOne(
+      { coupon: coupon._id, user: userId, count: { $lt: coupon.perUserLimit } },
+      { $inc: { count: 1 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    await releaseGlobalUse({ _id: coupon._id });
+    if (error.code !== 11000) throw error;
+    throw couponError('You have already used this coupon', 409);
+  }
+};
+
+// Give a customer's use back (order cancelled, expired or never placed)
+const releaseCoupon = async (code, userId) => {
+  await releaseGlobalUse({ code });
+
+  const coupon = await Coupon.findOne({ code }).select('_id');
+  if (coupon && userId) {
+    await CouponUsage.updateOne(
+      { coupon: coupon._id, user: userId, count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  }
+};
+
+// Give an order's coupon use back, once (its coupon.releasedAt records that)
+const releaseOrderCoupon = async (order) => {
+  if (!order.coupon?.code) return;
+
+  const releasedAt = new Date();
+  const result = await mongoose.model('Order').updateOne(
+    { _id: order._id, 'coupon.releasedAt': null },
+    { $set: { 'coupon.releasedAt': releasedAt } }
+  );
+  if (result.modifiedCount !== 1) return;
+
+  order.coupon.releasedAt = releasedAt;
+  await releaseCoupon(order.coupon.code, order.customer);
+};
+
+// Count a released order coupon use again (an expired order was paid after all);
+// the order keeps its discount, so the limits are not checked
+const restoreOrderCoupon = async (order) => {
+  if (!order.coupon?.releasedAt) return;
+
+  const result = await mongoose.model('Order').updateOne(
+    { _id: order._id, 'coupon.releasedAt': { $ne: null } },
+    { $unset: { 'coupon.releasedAt': 1 } }
+  );
+  if (result.modifiedCount !== 1) return;
+
+  order.coupon.releasedAt = undefined;
+  const coupon = await Coupon.findOneAndUpdate({ code: order.coupon.code }, { $inc: { usedCount: 1 } });
+  if (coupon) {
+    await CouponUsage.updateOne(
+      { coupon: coupon._id, user: order.customer },
+      { $inc: { count: 1 } },
+      { upsert: true }
+    );
+  }
+};
+
+module.exports = {
+  applyCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  releaseOrderCoupon,
+  restoreOrderCoupon
+};
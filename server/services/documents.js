@@ -0,0 +1,131 @@
+/**
+ * Private Document Service
+ *
+ * Seller KYC documents (PAN cards, bank statements, ...) are kept out of the
+ * public uploads, in the private `documents` store (see services/storage).
+ * A document's stored path (User.sellerInfo.documents[].path) is its key there.
+ *
+ * Files are only reachable through signed download links: the owning seller
+ * or an admin asks for a link (routes/documents.js), and the link is valid for
+ * DOCUMENT_URL_TTL_SECONDS and only for the document and user it was issued
+ * for. Every link issued, download and refused attempt is written to the
+ * DocumentAccessLog.
+ *
+ * Documents are always served as downloads, with a content type from
+ * DOCUMENT_CONTENT_TYPES (uploads are stored with the extension of their
+ * checked type, see middleware/upload.js); anything else is sent as
+ * application/octet-stream, so a document can never render as a page.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const DocumentAccessLog = require('../models/DocumentAccessLog');
+
+// How long a download link stays valid
+const LINK_TTL_SECONDS = parseInt(process.env.DOCUMENT_URL_TTL_SECONDS) || 5 * 60;
+
+// Content types documents are served with, by stored extension
+const DOCUMENT_CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+const linkSecret = () => process.env.DOCUMENT_URL_SECRET || process.env.JWT_SECRET;
+
+const documentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Whether a user (as set by the auth middleware) may see a seller's documents
+const canAccessSellerDocuments = (user, sellerId) => (
+  user.userType === 'admin' || user.userId.toString() === sellerId.toString()
+);
+
+const signLink = ({ sellerId, type, userId, expires }) => {
+  const secret = linkSecret();
+  if (!secret) {
+    throw new Error('DOCUMENT_URL_SECRET (or JWT_SECRET) must be set to sign document links');
+  }
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${sellerId}:${type}:${userId}:${expires}`)
+    .digest('hex');
+};
+
+/**
+ * Signed download link for one of a seller's documents, issued to `userId`
+ * Returns { url, expiresAt }; the url is relative to the API host
+ */
+const createDocumentLink = ({ sellerId, type, userId }, now = new Date()) => {
+  const expires = Math.floor(now.getTime() / 1000) + LINK_TTL_SECONDS;
+  const params = new URLSearchParams({
+    seller: sellerId.toString(),
+    type,
+    user: userId.toString(),
+    expires: String(expires),
+    signature: signLink({ sellerId, type, userId, expires })
+  });
+
+  return {
+    url: `/api/documents/download?${params}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+/**
+ * Check a download link's query parameters
+ * Returns { sellerId, type, userId }; throws an error with statusCode 403 if
+ * the link is incomplete, tampered with or expired
+ */
+const verifyDocumentLink = ({ seller, type, user, expires, signature }, now = new Date()) => {
+  if (!seller || !type || !user || !expires || !signature) {
+    throw documentError('Invalid download link', 403);
+  }
+
+  const expected = Buffer.from(signLink({ sellerId: seller, type, userId: user, expires }));
+  const received = Buffer.from(String(signature));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw documentError('Invalid download link', 403);
+  }
+
+  if (Number(expires) * 1000 < now.getTime()) {
+    throw documentError('Download link has expired', 403);
+  }
+
+  return { sellerId: seller, type, userId: user };
+};
+
+// How to serve a stored document: { contentType, extension } ('' for unknown types)
+const getDocumentFileType = (documentPath) => {
+  const extension = path.extname(documentPath || '').toLowerCase();
+  return DOCUMENT_CONTENT_TYPES[extension]
+    ? { contentType: DOCUMENT_CONTENT_TYPES[extension], extension }
+    : { contentType: 'application/octet-stream', extension: '' };
+};
+
+// Record an access attempt (`req` supplies the IP and user agent)
+const logDocumentAccess = ({ seller, documentType, path: filePath, user, action, reason }, req) => (
+  DocumentAccessLog.create({
+    seller,
+    documentType,
+    path: filePath,
+    user,
+    action,
+    reason,
+    ip: req?.ip,
+    userAgent: req?.get('User-Agent')
+  })
+);
+
+module.exports = {
+  LINK_TTL_SECONDS,
+  canAccessSellerDocuments,
+  createDocumentLink,
+  verifyDocumentLink,
+  getDocumentFileType,
+  logDocumentAccess
+};
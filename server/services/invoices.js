@@ -0,0 +1,368 @@
+/**
+ * Invoice Service
+ *
+ * Issues GST tax invoices (one per seller per order) and renders them as PDF
+ *
+ * Invoice numbers run sequentially per seller per financial year
+ * (April to March, Indian time), e.g. INV2526-000042, and stay within the
+ * 16 characters GST allows (see services/sequences.js). Invoices are issued when an order is confirmed;
+ * orders confirmed earlier get theirs the first time they are requested.
+ * A request first claims the (order, seller) invoice and only then takes a
+ * number, so no number is spent on an invoice another request issued.
+ *
+ * PDFs are drawn locally with pdfkit. The built-in fonts have no rupee
+ * glyph, so amounts are printed as "Rs."
+ */
+
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const { getStateCode, GST_STATE_CODES } = require('../config/gst');
+const { nextNumber } = require('./sequences');
+const { DEFAULT_GST_RATE, roundPaise, getSellerStateCode } = require('./tax');
+
+// Order statuses for which an invoice can be issued
+const INVOICEABLE_STATUSES = ['confirmed', 'processing', 'shipped', 'out_for_delivery', 'delivered', 'returned', 'refunded'];
+
+// An invoice claimed but still unnumbered after this long was abandoned
+const STALE_CLAIM_MS = 60 * 1000;
+
+// SAC code for goods transport (courier) services
+const SHIPPING_SAC_CODE = '9968';
+
+/**
+ * Claim the invoice slot of one seller on an order
+ * Resolves to true only for the request that inserted it; that request
+ * alone takes an invoice number, so concurrent issues leave no gaps
+ */
+const claimInvoice = async (orderId, sellerId, issuedAt) => {
+  try {
+    const result = await Invoice.updateOne(
+      { order: orderId, seller: sellerId },
+      { $setOnInsert: { issuedAt } },
+      { upsert: true }
+    );
+    return result.upsertedCount === 1;
+  } catch (error) {
+    // Claimed by a concurrent request meanwhile
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Take over a claim whose request never numbered it (e.g. it crashed)
+ * Resolves to true for the one request that moves its claim time on
+ */
+const reclaimInvoice = async (invoice, issuedAt) => {
+  const result = await Invoice.updateOne(
+    { _id: invoice._id, invoiceNumber: { $exists: false }, issuedAt: invoice.issuedAt },
+    { $set: { issuedAt } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Give a claimed invoice the seller's next number
+const numberInvoice = async (orderId, sellerId, issuedAt) => {
+  const seller = await User.findById(sellerId).select('sellerInfo.gstNumber');
+  const { number, sequence, period } = await nextNumber('invoice', { scope: sellerId, date: issuedAt });
+
+  return Invoice.findOneAndUpdate(
+    { order: orderId, seller: sellerId },
+    {
+      $set: {
+        invoiceNumber: number,
+        financialYear: period,
+        sequence,
+        sellerGstin: seller?.sellerInfo?.gstNumber
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Issue invoices for every seller of an order that does not have one yet
+ * Cancelled fulfilments are not invoiced
+ * Resolves to the order's numbered invoices (one still being numbered by a
+ * concurrent request is left out)
+ */
+const issueInvoices = async (order, issuedAt = new Date()) => {
+  const existing = await Invoice.find({ order: order._id });
+  const invoices = existing.filter(invoice => invoice.invoiceNumber);
+  const invoiced = new Set(existing.map(invoice => invoice.seller.toString()));
+
+  // Claims left unnumbered for too long are numbered here
+  const staleBefore = new Date(Date.now() - STALE_CLAIM_MS);
+  for (const invoice of existing) {
+    if (invoice.invoiceNumber || invoice.issuedAt > staleBefore) continue;
+    if (await reclaimInvoice(invoice, issuedAt)) {
+      invoices.push(await numberInvoice(order._id, invoice.seller, issuedAt));
+    }
+  }
+
+  const pending = order.fulfilments.filter(fulfilment =>
+    fulfilment.status !== 'cancelled' && !invoiced.has((fulfilment.seller._id || fulfilment.seller).toString())
+  );
+
+  for (const fulfilment of pending) {
+    const sellerId = fulfilment.seller._id || fulfilment.seller;
+
+    if (await claimInvoice(order._id, sellerId, issuedAt)) {
+      invoices.push(await numberInvoice(order._id, sellerId, issuedAt));
+    } else {
+      const invoice = await Invoice.findOne({ order: order._id, seller: sellerId });
+      if (invoice?.invoiceNumber) invoices.push(invoice);
+    }
+  }
+
+  return invoices;
+};
+
+// Format an amount with two decimals and Indian digit grouping
+const formatAmount = (amount) => `Rs. ${Number(amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: 'Asia/Kolkata'
+});
+
+const formatAddress = (address = {}) => [
+  address.street,
+  [address.city, address.state, address.pincode].filter(Boolean).join(', ')
+].filter(Boolean).join('\n');
+
+// Invoice table columns: [heading, width, alignment]
+const COLUMNS = [
+  ['#', 20, 'left'],
+  ['Item', 150, 'left'],
+  ['HSN', 45, 'left'],
+  ['Qty', 30, 'right'],
+  ['Rate', 50, 'right'],
+  ['Taxable', 60, 'right'],
+  ['GST %', 35, 'right'],
+  ['CGST', 40, 'right'],
+  ['SGST', 40, 'right'],
+  ['IGST', 45, 'right']
+];
+
+// Draw one table row at y; returns the row height
+const drawRow = (doc, values, y, { bold = false } = {}) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+
+  let x = doc.page.margins.left;
+  const height = Math.max(...values.map((value, index) =>
+    doc.heightOfString(String(value), { width: COLUMNS[index][1] - 4 })
+  ));
+
+  values.forEach((value, index) => {
+    const [, width, align] = COLUMNS[index];
+    doc.text(String(value), x + 2, y, { width: width - 4, align });
+    x += width;
+  });
+
+  return height + 6;
+};
+
+/**
+ * GST on a seller's shipping charge
+ * Shipping is billed with the goods, so it takes the highest GST rate among
+ * them. The charge the customer paid is GST-inclusive: the tax is backed out
+ * of it, keeping the invoice total equal to what was paid.
+ * Returns { gstRate, taxableValue, cgst, sgst, igst }
+ */
+const shippingTax = (charge, { items, seller, order }) => {
+  const gstRate = Math.max(...items.map(item => item.gstRate ?? DEFAULT_GST_RATE));
+  const origin = getSellerStateCode(seller);
+  const destination = getStateCode(order.shippingAddress.state);
+  const intraState = Boolean(origin && destination && origin === destination);
+
+  const taxableValue = roundPaise((charge * 100) / (100 + gstRate));
+  const tax = roundPaise(charge - taxableValue);
+  const halfTax = roundPaise(tax / 2);
+
+  return {
+    gstRate,
+    taxableValue,
+    cgst: intraState ? halfTax : 0,
+    sgst: intraState ? roundPaise(tax - halfTax) : 0,
+    igst: intraState ? 0 : tax
+  };
+};
+
+// Draw one seller's tax invoice onto the current page
+const drawInvoice = (doc, { invoice, order, seller }) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const sellerInfo = seller.sellerInfo || {};
+
+  const fulfilment = order.fulfilments.find(candidate =>
+    (candidate.seller._id || candidate.seller).toString() === seller._id.toString()
+  );
+  const items = order.items.filter(item =>
+    (item.seller._id || item.seller).toString() === seller._id.toString()
+  );
+
+  // Heading
+  doc.font('Helvetica-Bold').fontSize(16).text('TAX INVOICE', left, doc.page.margins.top, { width, align: 'center' });
+  doc.moveDown(0.5);
+
+  // Seller and invoice details
+  const top = doc.y;
+  doc.font('Helvetica-Bold').fontSize(10)
+    .text(sellerInfo.companyName || `${seller.firstName} ${seller.lastName}`, left, top, { width: width / 2 });
+  doc.font('Helvetica').fontSize(9)
+    .text(formatAddress(seller.address), { width: width / 2 })
+    .text(`GSTIN: ${invoice.sellerGstin || sellerInfo.gstNumber || 'Not registered'}`, { width: width / 2 });
+  if (sellerInfo.panNumber) doc.text(`PAN: ${sellerInfo.panNumber}`, { width: width / 2 });
+  const sellerBottom = doc.y;
+
+  const placeOfSupplyCode = getStateCode(order.shippingAddress.state);
+  const placeOfSupply = placeOfSupplyCode
+    ? `${GST_STATE_CODES[placeOfSupplyCode]} (${placeOfSupplyCode})`
+    : order.shippingAddress.state;
+
+  doc.font('Helvetica').fontSize(9).text([
+    `Invoice No: ${invoice.invoiceNumber}`,
+    `Invoice Date: ${formatDate(invoice.issuedAt)}`,
+    `Order No: ${order.orderNumber}`,
+    `Order Date: ${formatDate(order.createdAt)}`,
+    `Place of Supply: ${placeOfSupply}`,
+    'Reverse Charge: No'
+  ].join('\n'), left + width / 2, top, { width: width / 2, align: 'right' });
+
+  // Customer
+  let y = Math.max(sellerBottom, doc.y) + 15;
+  const billing = order.billingAddress || order.shippingAddress;
+  const shipping = order.shippingAddress;
+
+  doc.font('Helvetica-Bold').fontSize(9).text('Bill To', left, y, { width: width / 2 });
+  doc.font('Helvetica').text(`${billing.firstName} ${billing.lastName}\n${formatAddress(billing)}`, { width: width / 2 - 10 });
+  const billingBottom = doc.y;
+
+  doc.font('Helvetica-Bold').text('Ship To', left + width / 2, y, { width: width / 2 });
+  doc.font('Helvetica').text(`${shipping.firstName} ${shipping.lastName}\n${formatAddress(shipping)}\nPhone: ${shipping.phone}`, { width: width / 2 });
+
+  // Line items
+  y = Math.max(billingBottom, doc.y) + 15;
+  y += drawRow(doc, COLUMNS.map(([heading]) => heading), y, { bold: true });
+  doc.moveTo(left, y - 3).lineTo(left + width, y - 3).stroke();
+
+  const totals = { taxable: 0, cgst: 0, sgst: 0, igst: 0 };
+  items.forEach((item, index) => {
+    if (y > doc.page.height - doc.page.margins.bottom - 120) {
+      doc.addPage();
+      y = doc.page.margins.top;
+      y += drawRow(doc, COLUMNS.map(([heading]) => heading), y, { bold: true });
+    }
+
+    const taxableValue = item.taxableValue ?? item.total;
+    totals.taxable += taxableValue;
+    totals.cgst += item.cgst || 0;
+    totals.sgst += item.sgst || 0;
+    totals.igst += item.igst || 0;
+
+    y += drawRow(doc, [
+      index + 1,
+      item.name,
+      item.hsnCode || '-',
+      item.quantity,
+      item.price.toFixed(2),
+      taxableValue.toFixed(2),
+      item.gstRate ?? '-',
+      (item.cgst || 0).toFixed(2),
+      (item.sgst || 0).toFixed(2),
+      (item.igst || 0).toFixed(2)
+    ], y);
+  });
+
+  // Shipping is part of the supply (see shippingTax)
+  const shippingCharge = fulfilment?.shipping?.cost || 0;
+  if (shippingCharge) {
+    const line = shippingTax(shippingCharge, { items, seller, order });
+    totals.taxable += line.taxableValue;
+    totals.cgst += line.cgst;
+    totals.sgst += line.sgst;
+    totals.igst += line.igst;
+
+    y += drawRow(doc, [
+      items.length + 1,
+      'Shipping Charges',
+      SHIPPING_SAC_CODE,
+      1,
+      line.taxableValue.toFixed(2),
+      line.taxableValue.toFixed(2),
+      line.gstRate,
+      line.cgst.toFixed(2),
+      line.sgst.toFixed(2),
+      line.igst.toFixed(2)
+    ], y);
+  }
+
+  doc.moveTo(left, y).lineTo(left + width, y).stroke();
+
+  // Totals
+  const tax = totals.cgst + totals.sgst + totals.igst;
+  const grandTotal = totals.taxable + tax;
+
+  const totalLines = [
+    ['Taxable Value', totals.taxable],
+    ...(totals.cgst ? [['CGST', totals.cgst], ['SGST', totals.sgst]] : []),
+    ...(totals.igst ? [['IGST', totals.igst]] : []),
+    ['Invoice Total', grandTotal]
+  ];
+
+  y += 10;
+  totalLines.forEach(([label, amount], index) => {
+    const bold = index === totalLines.length - 1;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    doc.text(label, left + width - 220, y, { width: 110 });
+    doc.text(formatAmount(amount), left + width - 110, y, { width: 110, align: 'right' });
+    y += 14;
+  });
+
+  // Footer
+  doc.font('Helvetica').fontSize(8)
+    .text(`Payment: ${order.payment.method.toUpperCase()} (${order.payment.status})`, left, y + 10)
+    .text('This is a computer generated invoice.', left, y + 22);
+  doc.font('Helvetica-Bold').fontSize(9)
+    .text(`For ${sellerInfo.companyName || `${seller.firstName} ${seller.lastName}`}`, left + width - 200, y + 40, { width: 200, align: 'right' })
+    .font('Helvetica')
+    .text('Authorised Signatory', left + width - 200, y + 75, { width: 200, align: 'right' });
+};
+
+/**
+ * Render invoices of an order as a single PDF (one invoice per page)
+ * Returns the pdfkit document; pipe it to a stream (it is already ended)
+ */
+const renderInvoicesPdf = async (order, invoices) => {
+  const sellers = await User.find({ _id: { $in: invoices.map(invoice => invoice.seller) } })
+    .select('firstName lastName address sellerInfo.companyName sellerInfo.gstNumber sellerInfo.panNumber sellerInfo.warehouseState');
+  const sellersById = new Map(sellers.map(seller => [seller._id.toString(), seller]));
+
+  const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Invoice for order ${order.orderNumber}` } });
+
+  invoices
+    .filter(invoice => sellersById.has(invoice.seller.toString()))
+    .forEach((invoice, index) => {
+      if (index > 0) doc.addPage();
+      drawInvoice(doc, { invoice, order, seller: sellersById.get(invoice.seller.toString()) });
+    });
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  INVOICEABLE_STATUSES,
+  issueInvoices,
+  renderInvoicesPdf,
+  formatAmount,
+  formatDate,
+  formatAddress
+};
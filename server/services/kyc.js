@@ -0,0 +1,78 @@
+/**
+ * KYC Service
+ *
+ * Format checks for the identifiers sellers give us: GSTIN, PAN and IFSC.
+ * A GSTIN is its state code (2 digits), the holder's PAN (10 characters), an
+ * entity number, a 'Z' and a check character; the check character is
+ * verified here, as is that the PAN inside the GSTIN matches the PAN given.
+ *
+ * These catch typos and made-up numbers only; the documents themselves are
+ * reviewed by an admin (see services/sellerProfiles.js)
+ */
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+// Fourth character is the holder type (P = person, C = company, F = firm, ...)
+const PAN_PATTERN = /^[A-Z]{3}[ABCEFGHJLPT][A-Z][0-9]{4}[A-Z]$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const normalise = (value) => String(value || '').trim().toUpperCase();
+
+// Check character for the first 14 characters of a GSTIN
+const gstinCheckCharacter = (gstin) => {
+  let sum = 0;
+  for (let index = 0; index < 14; index++) {
+    const product = GSTIN_CHARSET.indexOf(gstin[index]) * (index % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+};
+
+const isValidGstin = (gstin) => {
+  const value = normalise(gstin);
+  return GSTIN_PATTERN.test(value) && gstinCheckCharacter(value) === value[14];
+};
+
+const isValidPan = (pan) => PAN_PATTERN.test(normalise(pan));
+
+const isValidIfsc = (ifsc) => IFSC_PATTERN.test(normalise(ifsc));
+
+// PAN embedded in a GSTIN (characters 3 to 12)
+const getPanFromGstin = (gstin) => normalise(gstin).slice(2, 12);
+
+/**
+ * Check a seller's GSTIN, PAN and IFSC
+ * Returns [{ path, msg }] (the shape express-validator reports), empty if all is well
+ */
+const validateKycDetails = ({ gstNumber, panNumber, ifscCode }) => {
+  const issues = [];
+
+  if (!isValidGstin(gstNumber)) {
+    issues.push({
+      path: 'gstNumber',
+      msg: GSTIN_PATTERN.test(normalise(gstNumber))
+        ? 'GST number check digit does not match; please re-check the number'
+        : 'Invalid GST number'
+    });
+  }
+  if (!isValidPan(panNumber)) {
+    issues.push({ path: 'panNumber', msg: 'Invalid PAN number' });
+  }
+  if (isValidGstin(gstNumber) && isValidPan(panNumber) && getPanFromGstin(gstNumber) !== normalise(panNumber)) {
+    issues.push({ path: 'panNumber', msg: 'PAN number does not match the PAN in the GST number' });
+  }
+  if (!isValidIfsc(ifscCode)) {
+    issues.push({ path: 'ifscCode', msg: 'Invalid IFSC code' });
+  }
+
+  return issues;
+};
+
+module.exports = {
+  isValidGstin,
+  isValidPan,
+  isValidIfsc,
+  getPanFromGstin,
+  validateKycDetails
+};
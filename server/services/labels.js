@@ -0,0 +1,175 @@
+/**
+ * Shipping Label Service
+ *
+ * Renders a seller's shipping label and packing slip for an order as PDF
+ * Each order gets one A4 page: the label (addresses, weight, order number
+ * barcode and the amount to collect on COD) on the top half, to be cut off
+ * and stuck on the parcel, and the packing slip listing the seller's items
+ * on the bottom half, to go inside it
+ */
+
+const PDFDocument = require('pdfkit');
+const User = require('../models/User');
+const { drawBarcode } = require('./barcode');
+const { getBillableWeight, getSellerPincode } = require('./shipping');
+const { formatAmount, formatDate, formatAddress } = require('./invoices');
+
+// Fulfilment statuses a label can be printed (or reprinted) for
+const LABEL_STATUSES = ['confirmed', 'processing', 'shipped'];
+
+// Items of an order that belong to a fulfilment
+const getFulfilmentItems = (order, fulfilment) => {
+  const itemIds = new Set(fulfilment.items.map(id => id.toString()));
+  return order.items.filter(item => itemIds.has(item._id.toString()));
+};
+
+// Parcel weight in grams: the quoted billable weight, else computed from populated products
+const getParcelWeight = (fulfilment, items) => {
+  if (fulfilment.shipping?.billableWeight) return fulfilment.shipping.billableWeight;
+  return items.reduce((sum, item) =>
+    sum + (item.product?._id ? getBillableWeight(item.product) : 0) * item.quantity, 0);
+};
+
+// Amount the courier collects for this parcel (0 unless cash on delivery)
+const getCollectAmount = (order, fulfilment, items) => {
+  if (order.payment.method !== 'cod' || order.payment.status === 'completed') return 0;
+
+  const goods = items.reduce((sum, item) =>
+    sum + (item.taxableValue ?? item.total) + (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0), 0);
+  return Math.round((goods + (fulfilment.shipping?.cost || 0)) * 100) / 100;
+};
+
+// Draw the shipping label into the box at (left, top)
+const drawLabel = (doc, { order, fulfilment, items, seller }, left, top, width, height) => {
+  const half = width / 2;
+  const shipTo = order.shippingAddress;
+  const sellerInfo = seller.sellerInfo || {};
+  const collect = getCollectAmount(order, fulfilment, items);
+  const weight = getParcelWeight(fulfilment, items);
+
+  doc.lineWidth(1.5).rect(left, top, width, height).stroke();
+
+  // Ship to
+  let y = top + 12;
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(9).text('SHIP TO', left + 12, y);
+  doc.font('Helvetica-Bold').fontSize(13)
+    .text(`${shipTo.firstName} ${shipTo.lastName}`, left + 12, y + 14, { width: half - 24 });
+  doc.font('Helvetica').fontSize(10)
+    .text(formatAddress({ ...shipTo, pincode: undefined }), { width: half - 24 })
+    .text(`Phone: ${shipTo.phone}`, { width: half - 24 });
+  doc.font('Helvetica-Bold').fontSize(22).text(shipTo.pincode, { width: half - 24 });
+  const shipToBottom = doc.y;
+
+  // Payment and weight
+  doc.font('Helvetica-Bold').fontSize(18)
+    .text(collect ? 'COD' : 'PREPAID', left + half, y, { width: half - 12, align: 'right' });
+  if (collect) {
+    doc.fontSize(12).text(`Collect ${formatAmount(collect)}`, { width: half - 12, align: 'right' });
+  }
+  doc.font('Helvetica').fontSize(10)
+    .text(`Weight: ${weight ? `${(weight / 1000).toFixed(2)} kg` : '-'}`, { width: half - 12, align: 'right' })
+    .text(`Service: ${order.shipping.method}${fulfilment.shipping?.zone ? ` (${fulfilment.shipping.zone})` : ''}`, { width: half - 12, align: 'right' });
+  if (fulfilment.shipping?.carrier) {
+    doc.text(`Carrier: ${fulfilment.shipping.carrier}`, { width: half - 12, align: 'right' });
+  }
+  if (fulfilment.shipping?.trackingNumber) {
+    doc.text(`AWB: ${fulfilment.shipping.trackingNumber}`, { width: half - 12, align: 'right' });
+  }
+
+  // Order number barcode
+  y = Math.max(shipToBottom, doc.y) + 12;
+  doc.moveTo(left, y).lineTo(left + width, y).stroke();
+  drawBarcode(doc, order.orderNumber, left + 12, y + 12, { width: width - 24, height: 60 });
+
+  // Return address
+  y += 100;
+  doc.moveTo(left, y).lineTo(left + width, y).stroke();
+  const from = {
+    street: seller.address?.street,
+    city: seller.address?.city,
+    state: seller.address?.state,
+    pincode: getSellerPincode(seller)
+  };
+  doc.font('Helvetica-Bold').fontSize(8).text('FROM (if undelivered, return to)', left + 12, y + 8);
+  doc.font('Helvetica').fontSize(9)
+    .text(sellerInfo.companyName || `${seller.firstName} ${seller.lastName}`, { width: width - 24 })
+    .text(formatAddress(from).replace('\n', ', '), { width: width - 24 });
+  if (seller.phone) doc.text(`Phone: ${seller.phone}`, { width: width - 24 });
+};
+
+// Draw the packing slip starting at (left, top)
+const drawPackingSlip = (doc, { order, items, seller }, left, top, width) => {
+  const sellerInfo = seller.sellerInfo || {};
+
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(14).text('PACKING SLIP', left, top, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(9)
+    .text(`Order No: ${order.orderNumber}`, left, top + 24)
+    .text(`Order Date: ${formatDate(order.createdAt)}`)
+    .text(`Sold by: ${sellerInfo.companyName || `${seller.firstName} ${seller.lastName}`}`);
+
+  let y = doc.y + 12;
+  const columns = [['#', 25, 'left'], ['Item', width - 65, 'left'], ['Qty', 40, 'right']];
+
+  const drawRow = (values, bold) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    let x = left;
+    const height = Math.max(...values.map((value, index) =>
+      doc.heightOfString(String(value), { width: columns[index][1] - 4 })
+    ));
+    values.forEach((value, index) => {
+      const [, columnWidth, align] = columns[index];
+      doc.text(String(value), x + 2, y, { width: columnWidth - 4, align });
+      x += columnWidth;
+    });
+    y += height + 6;
+  };
+
+  drawRow(columns.map(([heading]) => heading), true);
+  doc.moveTo(left, y - 3).lineTo(left + width, y - 3).lineWidth(0.5).stroke();
+  items.forEach((item, index) => drawRow([index + 1, item.name, item.quantity]));
+  doc.moveTo(left, y).lineTo(left + width, y).stroke();
+
+  const units = items.reduce((sum, item) => sum + item.quantity, 0);
+  doc.font('Helvetica-Bold').text(`Total units: ${units}`, left, y + 8, { width, align: 'right' });
+};
+
+/**
+ * Render labels and packing slips for a seller's part of one or more orders
+ * Populate `items.product` so weights can be computed for orders quoted
+ * without one
+ * Returns the pdfkit document; pipe it to a stream (it is already ended)
+ */
+const renderLabelsPdf = async (orders, sellerId) => {
+  const seller = await User.findById(sellerId)
+    .select('firstName lastName phone address sellerInfo.companyName sellerInfo.warehousePincode');
+
+  const doc = new PDFDocument({ size: 'A4', margin: 30, info: { Title: 'Shipping labels' } });
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const middle = doc.page.height / 2;
+
+  orders.forEach((order, index) => {
+    if (index > 0) doc.addPage();
+
+    const fulfilment = order.getFulfilmentForSeller(sellerId);
+    const entry = { order, fulfilment, items: getFulfilmentItems(order, fulfilment), seller };
+
+    drawLabel(doc, entry, left, doc.page.margins.top, width, middle - doc.page.margins.top - 20);
+
+    // Cut line
+    doc.save().dash(4, { space: 4 }).lineWidth(0.5)
+      .moveTo(0, middle).lineTo(doc.page.width, middle).stroke().restore();
+
+    drawPackingSlip(doc, entry, left, middle + 20, width);
+  });
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  LABEL_STATUSES,
+  getFulfilmentItems,
+  getCollectAmount,
+  renderLabelsPdf
+};
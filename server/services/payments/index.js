@@ -0,0 +1,116 @@
+/**
+ * Payment Service
+ *
+ * Pluggable payment providers and the order-side effects of a payment
+ *
+ * A provider is an object with:
+ * - name                                   Stored on the order as payment.paymentGateway
+ * - createIntent({ orderId, amount, currency })  -> { id, clientSecret, amount, currency, status }
+ * - confirmIntent(intentId, params)        -> { id, status: 'succeeded' | 'failed', transactionId }
+ * - refund({ transactionId, amount, reason }) -> { id, status: 'succeeded' | 'failed' }
+ * - verifyWebhook(rawBody, signature)      -> { type, data: { intentId, transactionId } }
+ *                                             (throws an error with statusCode 401 if the signature is bad)
+ *
+ * The active provider is chosen with PAYMENT_PROVIDER (default: mock). The
+ * mock provider is only registered outside production.
+ */
+
+const mockProvider = require('./mockProvider');
+const { commitReservations, reserveStock } = require('../stockReservation');
+const { restoreOrderCoupon } = require('../coupons');
+
+// Registered providers by name
+const providers = new Map(
+  process.env.NODE_ENV === 'production' ? [] : [[mockProvider.name, mockProvider]]
+);
+
+// Register an additional payment provider
+const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+// Get a provider by name (defaults to the configured provider)
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Payment provider "${name}" is not registered`);
+  }
+  return provider;
+};
+
+/**
+ * Record a successful payment on an order and confirm it
+ * Idempotent: the payment is claimed atomically, so when the confirm call
+ * and the webhook race, only one of them confirms the order
+ * If the order's stock holds expired before payment arrived, the stock
+ * and the coupon use are taken again; if the stock is no longer there the
+ * order stays unconfirmed and is flagged for a refund, as are orders that
+ * can no longer be confirmed (e.g. cancelled)
+ */
+const recordPaymentSuccess = async (order, { transactionId, gateway }) => {
+  const Order = order.constructor;
+  const paid = await Order.findOneAndUpdate(
+    { _id: order._id, 'payment.status': { $ne: 'completed' } },
+    {
+      $set: {
+        'payment.status': 'completed',
+        'payment.transactionId': transactionId,
+        'payment.paymentGateway': gateway,
+        'payment.paidAt': new Date()
+      }
+    },
+    { new: true }
+  );
+
+  // Already recorded (e.g. by the webhook)
+  if (!paid) return Order.findById(order._id);
+
+  // e.g. the customer cancelled while the payment was in flight
+  if (!Order.canTransition(paid.status, 'confirmed')) {
+    paid.adminNotes = [paid.adminNotes, `Payment received for a ${paid.status} order. Refund required.`]
+      .filter(Boolean)
+      .join('\n');
+    return paid.save();
+  }
+
+  let stockHeld = await commitReservations(paid._id);
+  if (!stockHeld) {
+    try {
+      // The order is paid, so the new holds are committed straight away
+      await reserveStock(paid, { commit: true });
+      stockHeld = true;
+    } catch (error) {
+      if (error.statusCode !== 409) throw error;
+    }
+  }
+
+  if (!stockHeld) {
+    paid.adminNotes = [paid.adminNotes, 'Payment received after stock was released and could not be re-reserved. Refund required.']
+      .filter(Boolean)
+      .join('\n');
+    return paid.save();
+  }
+
+  // An expired order gave its coupon use back; it is used after all
+  await restoreOrderCoupon(paid);
+
+  return paid.addTimelineEntry('confirmed', 'Payment received. Order confirmed.');
+};
+
+// Record a failed payment attempt (the order stays pending so the customer can retry)
+// A payment already recorded as completed is left alone
+const recordPaymentFailure = async (order, { gateway }) => {
+  const updated = await order.constructor.findOneAndUpdate(
+    { _id: order._id, 'payment.status': { $ne: 'completed' } },
+    { $set: { 'payment.status': 'failed', 'payment.paymentGateway': gateway } },
+    { new: true }
+  );
+  return updated || order.constructor.findById(order._id);
+};
+
+module.exports = {
+  registerPaymentProvider,
+  getPaymentProvider,
+  recordPaymentSuccess,
+  recordPaymentFailure
+};
@@ -0,0 +1,98 @@
+/**
+ * Mock Payment Provider
+ *
+ * A local, offline payment provider for development and testing
+ * Intents live in memory and webhooks are signed with HMAC-SHA256
+ * using PAYMENT_WEBHOOK_SECRET, like a real gateway would. Webhooks are
+ * refused while no secret is set. Never registered in production.
+ *
+ * Confirm an intent with { outcome: 'failed' } to simulate a declined payment
+ */
+
+const crypto = require('crypto');
+
+// Intents created by this process: { id: { id, orderId, amount, currency, status, transactionId } }
+const intents = new Map();
+
+const webhookSecret = () => {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET must be set to sign or verify payment webhooks');
+  }
+  return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+// Generate a gateway-style identifier, e.g. pi_mock_3f9a...
+const generateId = (prefix) => `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+
+const mockProvider = {
+  name: 'mock',
+
+  // Create a payment intent for an order amount
+  async createIntent({ orderId, amount, currency = 'INR' }) {
+    const intent = {
+      id: generateId('pi'),
+      clientSecret: generateId('secret'),
+      orderId: orderId.toString(),
+      amount,
+      currency,
+      status: 'requires_confirmation'
+    };
+    intents.set(intent.id, intent);
+    return { ...intent };
+  },
+
+  // Confirm a payment intent (the customer "pays")
+  async confirmIntent(intentId, { outcome = 'succeeded' } = {}) {
+    const intent = intents.get(intentId);
+    if (!intent) {
+      const error = new Error('Payment intent not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (intent.status === 'requires_confirmation') {
+      intent.status = outcome === 'failed' ? 'failed' : 'succeeded';
+      intent.transactionId = intent.status === 'succeeded' ? generateId('txn') : undefined;
+    }
+
+    return { ...intent };
+  },
+
+  // Refund (part of) a captured payment
+  async refund({ transactionId, amount }) {
+    const intent = [...intents.values()].find(candidate => candidate.transactionId === transactionId);
+
+    // Payments made before a restart are unknown to the mock; refund them anyway
+    if (intent) {
+      intent.refunded = (intent.refunded || 0) + amount;
+      if (intent.refunded > intent.amount) {
+        intent.refunded -= amount;
+        return { id: generateId('re'), status: 'failed', reason: 'Refund exceeds captured amount' };
+      }
+    }
+
+    return { id: generateId('re'), status: 'succeeded', amount };
+  },
+
+  // Sign a webhook payload (used by the mock to emit events, and by tests)
+  signWebhook(rawBody) {
+    return crypto.createHmac('sha256', webhookSecret()).update(rawBody).digest('hex');
+  },
+
+  // Verify a webhook signature and parse the event
+  verifyWebhook(rawBody, signature) {
+    const expected = Buffer.from(this.signWebhook(rawBody));
+    const received = Buffer.from(signature || '');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      const error = new Error('Invalid webhook signature');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    // Event format: { type: 'payment.succeeded' | 'payment.failed', data: { intentId, transactionId } }
+    return JSON.parse(rawBody.toString());
+  }
+};
+
+module.exports = mockProvider;
@@ -0,0 +1,438 @@
+/**
+ * Payout Service
+ *
+ * The seller settlement ledger and the payout batches that pay it out
+ *
+ * A seller's shipment is settled once it has been delivered, its own return
+ * window has closed and no return of its items is still open (see
+ * jobs/settlementSweeper.js), whatever the order's other shipments are doing. Settling
+ * posts to the seller's ledger:
+ * - a sale credit per line: the line's value after discount, with its GST
+ * - a commission debit per line: the commission frozen on the line at order
+ *   time (see services/commissions.js)
+ * - a payment fee debit per line on prepaid orders: PAYMENT_FEE_RATE % of the credit
+ * - a refund debit per refunded line, with the commission on those units credited back
+ * Refunds completed after settlement are posted as they happen.
+ * Shipping charges stay with the marketplace, which pays the carrier.
+ *
+ * Every entry has a unique key for the event it records, so posting is
+ * safe to repeat. A payout batch settles every unsettled entry of each
+ * seller whose balance is at least PAYOUT_MIN_AMOUNT; smaller and negative
+ * balances carry over to the next batch.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const { nextNumber } = require('./sequences');
+const { DEFAULT_COMMISSION_RATE } = require('./commissions');
+const { dateRangeFilter } = require('./sellerReports');
+
+// Payment gateway fee passed on to sellers, as a percentage of prepaid sales
+const PAYMENT_FEE_RATE = parseFloat(process.env.PAYMENT_FEE_RATE) || 2;
+
+// Smallest balance (in ₹) paid out in a batch
+const PAYOUT_MIN_AMOUNT = parseFloat(process.env.PAYOUT_MIN_AMOUNT) || 100;
+
+const roundPaise = (amount) => Math.round(amount * 100) / 100;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+const payoutError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Pre-GST value of a line (older orders without per-line GST use the line total)
+const lineTaxableValue = (item) => item.taxableValue ?? item.total;
+
+// What the customer paid for a line, GST included
+const lineValue = (item) => item.taxableValue !== undefined
+  ? roundPaise(item.taxableValue + item.cgst + item.sgst + item.igst)
+  : item.total;
+
+// Commission the marketplace keeps on a line (lines from before commission
+// rules were frozen on orders are charged the default rate)
+const lineCommission = (item) => item.commission?.amount ??
+  roundPaise(lineTaxableValue(item) * DEFAULT_COMMISSION_RATE / 100);
+
+// Order line items shipped in a fulfilment
+const fulfilmentItems = (order, fulfilment) => {
+  return order.items.filter(item => fulfilment.items.some(itemId => itemId.equals(item._id)));
+};
+
+// Ledger entry for one of the seller's order lines
+const lineEntry = (order, item, fields) => ({
+  seller: item.seller,
+  order: order._id,
+  orderNumber: order.orderNumber,
+  orderItem: item._id,
+  ...fields
+});
+
+// Refund debits (and commission credited back) for a refund's lines among `items`
+const refundEntries = (order, refund, items) => {
+  return refund.items.flatMap(line => {
+    const item = items.find(candidate => candidate._id.equals(line.item));
+    if (!item) return [];
+
+    return [
+      lineEntry(order, item, {
+        key: `refund:${refund._id}:${item._id}`,
+        type: 'debit',
+        category: 'refund',
+        amount: line.amount,
+        refund: refund._id,
+        description: `Refund for ${line.quantity} × ${item.name}`
+      }),
+      lineEntry(order, item, {
+        key: `commission_reversal:${refund._id}:${item._id}`,
+        type: 'credit',
+        category: 'commission_reversal',
+        amount: roundPaise(lineCommission(item) * line.quantity / item.quantity),
+        refund: refund._id,
+        description: `Commission returned on ${line.quantity} × ${item.name}`
+      })
+    ];
+  });
+};
+
+// Write entries, skipping any already posted and any for nothing
+const postEntries = async (entries) => {
+  const operations = entries
+    .filter(entry => entry.amount > 0)
+    .map(entry => ({
+      updateOne: {
+        filter: { key: entry.key },
+        update: { $setOnInsert: entry },
+        upsert: true
+      }
+    }));
+
+  if (operations.length === 0) return 0;
+
+  try {
+    await LedgerEntry.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    // A concurrent post of the same event got there first
+    const duplicates = error.writeErrors?.every(writeError => writeError.code === 11000);
+    if (!duplicates) throw error;
+  }
+  return operations.length;
+};
+
+/**
+ * Whether a fulfilment can be settled at `now`: delivered, not yet settled,
+ * RETURN_WINDOW_DAYS past its own delivery, and with no return of its items open
+ */
+const isSettlementDue = (order, fulfilment, now = new Date()) => {
+  // Required here: returns -> refunds -> payouts
+  const { RETURN_WINDOW_DAYS, hasOpenReturn } = require('./returns');
+
+  if (fulfilment.settledAt || fulfilment.status !== 'delivered') return false;
+
+  // Shipments delivered before fulfilments recorded it use the order's delivery
+  const deliveredAt = fulfilment.shipping?.deliveredAt || order.shipping?.deliveredAt;
+  if (!deliveredAt) return false;
+
+  const windowEnds = deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  return windowEnds <= now.getTime() && !hasOpenReturn(order, fulfilment.seller);
+};
+
+/**
+ * Settle a delivered fulfilment onto its seller's ledger
+ * Posts the sale, commission and payment fee of each line plus any refunds
+ * completed so far, then marks the fulfilment settled
+ * Resolves to the number of entries posted (0 if it is already settled or
+ * not yet due, see isSettlementDue)
+ */
+const settleFulfilment = async (order, fulfilment, now = new Date()) => {
+  if (!isSettlementDue(order, fulfilment, now)) return 0;
+
+  const items = fulfilmentItems(order, fulfilment);
+  const prepaid = order.payment.method !== 'cod';
+
+  const entries = items.flatMap(item => {
+    const value = lineValue(item);
+    return [
+      lineEntry(order, item, {
+        key: `sale:${item._id}`,
+        type: 'credit',
+        category: 'sale',
+        amount: value,
+        description: `Sale of ${item.quantity} × ${item.name}`
+      }),
+      lineEntry(order, item, {
+        key: `commission:${item._id}`,
+        type: 'debit',
+        category: 'commission',
+        amount: lineCommission(item),
+        description: `Commission on ${item.quantity} × ${item.name}`
+      }),
+      ...(prepaid ? [lineEntry(order, item, {
+        key: `payment_fee:${item._id}`,
+        type: 'debit',
+        category: 'payment_fee',
+        amount: roundPaise(value * PAYMENT_FEE_RATE / 100),
+        description: `Payment fee on ${item.quantity} × ${item.name}`
+      })] : [])
+    ];
+  });
+
+  for (const refund of order.refunds.filter(candidate => candidate.status === 'completed')) {
+    entries.push(...refundEntries(order, refund, items));
+  }
+
+  const posted = await postEntries(entries);
+
+  fulfilment.settledAt = now;
+  await order.save();
+  return posted;
+};
+
+/**
+ * Post a completed refund to the ledgers of sellers already settled for its items
+ * (refunds for unsettled items are picked up when those are settled)
+ */
+const postRefund = async (order, refund) => {
+  if (refund.status !== 'completed') return 0;
+
+  const items = order.fulfilments
+    .filter(fulfilment => fulfilment.settledAt)
+    .flatMap(fulfilment => fulfilmentItems(order, fulfilment));
+
+  return postEntries(refundEntries(order, refund, items));
+};
+
+// Signed sum of entries: credits less debits
+const netAmount = { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] } };
+
+/**
+ * A seller's balance
+ * Resolves to { available, credits, debits, unsettledEntries, totalPaidOut, lastPayout }
+ * where available is what the next payout would pay (may be negative)
+ */
+const getSellerBalance = async (sellerId) => {
+  const seller = toObjectId(sellerId);
+
+  const [[unsettled], [paid], lastPayout] = await Promise.all([
+    LedgerEntry.aggregate([
+      { $match: { seller, payout: null } },
+      {
+        $group: {
+          _id: null,
+          credits: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', 0] } },
+          debits: { $sum: { $cond: [{ $eq: ['$type', 'debit'] }, '$amount', 0] } },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    Payout.aggregate([
+      { $match: { seller } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ]),
+    Payout.findOne({ seller }).sort({ createdAt: -1 }).select('reference amount createdAt')
+  ]);
+
+  const credits = unsettled?.credits || 0;
+  const debits = unsettled?.debits || 0;
+
+  return {
+    available: roundPaise(credits - debits),
+    credits: roundPaise(credits),
+    debits: roundPaise(debits),
+    unsettledEntries: unsettled?.count || 0,
+    totalPaidOut: roundPaise(paid?.amount || 0),
+    lastPayout
+  };
+};
+
+/**
+ * A page of a seller's ledger, newest first
+ * Filters: { from, to, category, payout, settled }
+ * Resolves to { entries, total, totals: { credits, debits, net } } where the
+ * totals cover every entry matching the filters
+ */
+const getSellerStatement = async (sellerId, { from, to, category, payout, settled, page = 1, limit = 20 } = {}) => {
+  const filter = { seller: toObjectId(sellerId) };
+  if (from || to) filter.createdAt = dateRangeFilter(from, to);
+  if (category) filter.category = category;
+  if (payout) filter.payout = toObjectId(payout);
+  else if (settled !== undefined) filter.payout = settled ? { $ne: null } : null;
+
+  const [entries, total, [sums]] = await Promise.all([
+    LedgerEntry.find(filter)
+      .populate('payout', 'reference createdAt')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    LedgerEntry.countDocuments(filter),
+    LedgerEntry.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: null,
+          credits: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', 0] } },
+          debits: { $sum: { $cond: [{ $eq: ['$type', 'debit'] }, '$amount', 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const credits = sums?.credits || 0;
+  const debits = sums?.debits || 0;
+
+  return {
+    entries,
+    total,
+    totals: {
+      credits: roundPaise(credits),
+      debits: roundPaise(debits),
+      net: roundPaise(credits - debits)
+    }
+  };
+};
+
+// Batch id for a payout run, e.g. PB-20261019-1a2b3c
+const generateBatchId = (date) => {
+  return `PB-${date.toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(3).toString('hex')}`;
+};
+
+/**
+ * Pay out every seller whose balance has reached `minAmount`
+ * Each payout claims the seller's unsettled entries; sellers without bank
+ * details (or whose entries changed during the run) are skipped and keep
+ * their balance for the next batch
+ * Resolves to { batch, payouts, totalAmount, skipped: [{ seller, companyName, balance, reason }] }
+ */
+const runPayoutBatch = async ({ createdBy = null, minAmount = PAYOUT_MIN_AMOUNT } = {}) => {
+  const now = new Date();
+  const batch = generateBatchId(now);
+
+  const balances = await LedgerEntry.aggregate([
+    { $match: { payout: null } },
+    { $group: { _id: '$seller', balance: netAmount, entries: { $push: '$_id' } } },
+    { $match: { balance: { $gte: Math.max(minAmount, 0.01) } } }
+  ]);
+
+  const sellers = await User.find({ _id: { $in: balances.map(balance => balance._id) } })
+    .select('firstName lastName sellerInfo.companyName sellerInfo.bankDetails');
+  const sellersById = new Map(sellers.map(seller => [seller._id.toString(), seller]));
+
+  const payouts = [];
+  const skipped = [];
+
+  for (const { _id: sellerId, balance, entries } of balances) {
+    const seller = sellersById.get(sellerId.toString());
+    const bankDetails = seller?.sellerInfo?.bankDetails;
+    const amount = roundPaise(balance);
+    const skip = (reason) => skipped.push({
+      seller: sellerId,
+      companyName: seller?.sellerInfo?.companyName,
+      balance: amount,
+      reason
+    });
+
+    if (!bankDetails?.accountNumber || !bankDetails?.ifscCode) {
+      skip('No bank details on file');
+      continue;
+    }
+
+    // Claim the entries; a concurrent run may have claimed some already
+    const payoutId = new mongoose.Types.ObjectId();
+    const claimed = await LedgerEntry.updateMany(
+      { _id: { $in: entries }, payout: null },
+      { $set: { payout: payoutId, settledAt: now } }
+    );
+
+    const release = () => LedgerEntry.updateMany(
+      { payout: payoutId },
+      { $set: { payout: null }, $unset: { settledAt: 1 } }
+    );
+
+    if (claimed.modifiedCount !== entries.length) {
+      await release();
+      skip('Ledger changed during the run; try again');
+      continue;
+    }
+
+    try {
+      const { number: reference } = await nextNumber('payout', { date: now });
+      payouts.push(await Payout.create({
+        _id: payoutId,
+        reference,
+        batch,
+        seller: sellerId,
+        amount,
+        entryCount: entries.length,
+        bankDetails: {
+          accountHolderName: bankDetails.accountHolderName,
+          accountNumber: bankDetails.accountNumber,
+          bankName: bankDetails.bankName,
+          ifscCode: bankDetails.ifscCode
+        },
+        createdBy,
+        createdAt: now
+      }));
+    } catch (error) {
+      await release();
+      throw error;
+    }
+  }
+
+  return {
+    batch,
+    payouts,
+    totalAmount: roundPaise(payouts.reduce((sum, payout) => sum + payout.amount, 0)),
+    skipped
+  };
+};
+
+// Quote a CSV cell; cells that a spreadsheet would read as a formula are prefixed with '
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Bank upload file for a payout batch: one row per payout
+ * Throws an error with statusCode 404 if the batch does not exist
+ */
+const buildPayoutCsv = async (batch) => {
+  const payouts = await Payout.find({ batch })
+    .populate('seller', 'sellerInfo.companyName')
+    .sort({ reference: 1 });
+
+  if (payouts.length === 0) {
+    throw payoutError('Payout batch not found', 404);
+  }
+
+  const header = ['Beneficiary Name', 'Account Number', 'IFSC', 'Bank Name', 'Amount', 'Payment Reference', 'Remarks'];
+  const rows = payouts.map(payout => [
+    payout.bankDetails.accountHolderName || payout.seller?.sellerInfo?.companyName,
+    payout.bankDetails.accountNumber,
+    payout.bankDetails.ifscCode,
+    payout.bankDetails.bankName,
+    payout.amount.toFixed(2),
+    payout.reference,
+    `Clearance Connect payout ${payout.reference}`
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  PAYMENT_FEE_RATE,
+  PAYOUT_MIN_AMOUNT,
+  isSettlementDue,
+  settleFulfilment,
+  postRefund,
+  getSellerBalance,
+  getSellerStatement,
+  runPayoutBatch,
+  buildPayoutCsv
+};
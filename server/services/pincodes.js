@@ -0,0 +1,168 @@
+/**
+ * Pincode Directory Service
+ *
+ * Imports the pincode directory from CSV and answers serviceability
+ * questions for a delivery pincode
+ *
+ * CSV columns (header row required, any order):
+ * pincode, office, district, state, zone (metro|standard|special),
+ * serviceable (yes|no, default yes), cod_available (yes|no, default yes)
+ *
+ * Until a directory has been imported every valid pincode is treated as
+ * serviceable, so a fresh install keeps taking orders
+ */
+
+const Pincode = require('../models/Pincode');
+
+const YES = ['yes', 'y', 'true', '1'];
+const NO = ['no', 'n', 'false', '0'];
+
+// Split CSV text into rows of fields (supports quoted fields with commas and "")
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+const parseFlag = (value, defaultValue) => {
+  const normalised = String(value || '').trim().toLowerCase();
+  if (YES.includes(normalised)) return true;
+  if (NO.includes(normalised)) return false;
+  return defaultValue;
+};
+
+/**
+ * Parse a pincode directory CSV
+ * Returns { entries, errors: [{ line, message }] }; invalid rows are skipped
+ */
+const parsePincodeCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const columns = header.map(name => name.trim().toLowerCase());
+
+  const entries = [];
+  const errors = [];
+
+  rows.forEach((fields, index) => {
+    const line = index + 2;
+    const record = Object.fromEntries(columns.map((column, position) => [column, (fields[position] || '').trim()]));
+
+    if (!/^[1-9][0-9]{5}$/.test(record.pincode)) {
+      errors.push({ line, message: `Invalid pincode "${record.pincode}"` });
+      return;
+    }
+    if (!record.district || !record.state) {
+      errors.push({ line, message: 'District and state are required' });
+      return;
+    }
+
+    const zone = (record.zone || 'standard').toLowerCase();
+    if (!['metro', 'standard', 'special'].includes(zone)) {
+      errors.push({ line, message: `Invalid zone "${record.zone}"` });
+      return;
+    }
+
+    entries.push({
+      pincode: record.pincode,
+      office: record.office || undefined,
+      district: record.district,
+      state: record.state,
+      zone,
+      serviceable: parseFlag(record.serviceable, true),
+      codAvailable: parseFlag(record.cod_available ?? record.cod, true)
+    });
+  });
+
+  return { entries, errors };
+};
+
+// Upsert parsed entries into the directory; resolves to the number written
+const importPincodes = async (entries, batchSize = 1000) => {
+  let written = 0;
+
+  for (let start = 0; start < entries.length; start += batchSize) {
+    const batch = entries.slice(start, start + batchSize);
+    const result = await Pincode.bulkWrite(batch.map(entry => ({
+      updateOne: {
+        filter: { pincode: entry.pincode },
+        update: { $set: { ...entry, updatedAt: new Date() } },
+        upsert: true
+      }
+    })));
+    written += result.upsertedCount + result.modifiedCount;
+  }
+
+  return written;
+};
+
+/**
+ * Serviceability of a delivery pincode
+ * Resolves to { pincode, listed, serviceable, codAvailable, district, state, zone }
+ * `listed` is false for pincodes missing from the directory
+ */
+const getServiceability = async (pincode) => {
+  const entry = await Pincode.findOne({ pincode });
+
+  if (!entry) {
+    // No directory imported yet: deliver everywhere
+    const directoryLoaded = await Pincode.exists({});
+    return {
+      pincode,
+      listed: false,
+      serviceable: !directoryLoaded,
+      codAvailable: !directoryLoaded
+    };
+  }
+
+  return {
+    pincode,
+    listed: true,
+    serviceable: entry.serviceable,
+    codAvailable: entry.serviceable && entry.codAvailable,
+    office: entry.office,
+    district: entry.district,
+    state: entry.state,
+    zone: entry.zone
+  };
+};
+
+module.exports = {
+  parsePincodeCsv,
+  importPincodes,
+  getServiceability
+};
@@ -0,0 +1,240 @@
+/**
+ * Refund Service
+ *
+ * Works out full or partial refunds per order line item, records them in
+ * the order's refund history and issues them through the payment provider
+ *
+ * Refunds up to REFUND_AUTO_APPROVE_LIMIT are issued straight away;
+ * larger ones (and any refund for cash-on-delivery orders, which must be
+ * paid back by hand) wait for an admin to approve them
+ *
+ * Approving atomically claims the refund (pending_approval -> processing)
+ * before the payment provider is called, so concurrent approvals issue it
+ * once. A refund whose provider call errors stays `processing` for an admin
+ * to check with the gateway.
+ */
+
+const { getPaymentProvider } = require('./payments');
+const { postRefund } = require('./payouts');
+
+// Largest refund (in ₹) issued without admin approval
+const REFUND_AUTO_APPROVE_LIMIT = parseInt(process.env.REFUND_AUTO_APPROVE_LIMIT) || 10000;
+
+// Refund statuses whose amount is spoken for
+const COMMITTED_STATUSES = ['pending_approval', 'processing', 'completed'];
+
+// Sum of refunds that are completed, being issued or waiting for approval
+const committedRefundTotal = (order) => {
+  return order.refunds
+    .filter(refund => COMMITTED_STATUSES.includes(refund.status))
+    .reduce((sum, refund) => sum + refund.amount, 0);
+};
+
+// Quantity of a line item already covered by earlier refunds
+const refundedQuantity = (order, itemId) => {
+  return order.refunds
+    .filter(refund => COMMITTED_STATUSES.includes(refund.status))
+    .flatMap(refund => refund.items)
+    .filter(line => line.item.toString() === itemId.toString())
+    .reduce((sum, line) => sum + line.quantity, 0);
+};
+
+/**
+ * Work out a refund for an order
+ * `lines` is [{ item: <order item _id>, quantity }]; omit it for a full refund
+ * Each line gets its own GST and share of the order discount (older orders
+ * without per-line GST share the order tax pro rata); shipping is only
+ * refunded when every item is being refunded
+ * Resolves to { amount, items, includesShipping }
+ */
+const calculateRefund = (order, lines) => {
+  const requested = lines || order.items.map(item => ({
+    item: item._id,
+    quantity: item.quantity - refundedQuantity(order, item._id)
+  }));
+
+  const items = [];
+  for (const line of requested) {
+    const orderItem = order.items.id(line.item);
+    if (!orderItem) {
+      const error = new Error(`Item ${line.item} is not part of this order`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const refundable = orderItem.quantity - refundedQuantity(order, orderItem._id);
+    if (line.quantity > refundable) {
+      const error = new Error(`Only ${refundable} of "${orderItem.name}" can still be refunded`);
+      error.statusCode = 400;
+      throw error;
+    }
+    if (line.quantity <= 0) continue;
+
+    let unitAmount;
+    if (orderItem.taxableValue !== undefined) {
+      // The line's own discounted value and GST
+      unitAmount = (orderItem.taxableValue + orderItem.cgst + orderItem.sgst + orderItem.igst) / orderItem.quantity;
+    } else {
+      const lineTotal = orderItem.total;
+      const taxShare = order.subtotal ? (order.tax * lineTotal) / order.subtotal : 0;
+      const discountShare = order.subtotal ? (order.discount * lineTotal) / order.subtotal : 0;
+      unitAmount = (lineTotal + taxShare - discountShare) / orderItem.quantity;
+    }
+
+    items.push({
+      item: orderItem._id,
+      quantity: line.quantity,
+      amount: Math.round(unitAmount * line.quantity)
+    });
+  }
+
+  // Shipping goes back only once every unit of every item is refunded
+  const includesShipping = order.items.every(orderItem => {
+    const line = items.find(candidate => candidate.item.toString() === orderItem._id.toString());
+    return refundedQuantity(order, orderItem._id) + (line ? line.quantity : 0) >= orderItem.quantity;
+  });
+
+  let amount = items.reduce((sum, line) => sum + line.amount, 0);
+  if (includesShipping) amount += order.shippingCost;
+
+  // Never refund more than what was paid and not yet refunded
+  amount = Math.max(0, Math.min(amount, order.total - committedRefundTotal(order)));
+
+  return { amount, items, includesShipping };
+};
+
+/**
+ * Issue a recorded refund through the payment provider
+ * On success the payment totals are updated; once the whole order total has
+ * been refunded the payment is marked refunded and the order moves to `refunded`
+ * (when its current status allows it). Refunds for items whose seller has
+ * already been settled are debited from that seller's ledger.
+ */
+const processRefund = async (order, refund, approvedBy = null) => {
+  refund.approvedBy = approvedBy || refund.approvedBy;
+  refund.processedAt = new Date();
+
+  if (order.payment.method === 'cod') {
+    // Paid back by hand (bank transfer); approval means it was done
+    refund.status = 'completed';
+  } else {
+    const provider = getPaymentProvider(order.payment.paymentGateway);
+    const result = await provider.refund({
+      transactionId: order.payment.transactionId,
+      amount: refund.amount,
+      reason: refund.reason
+    });
+
+    refund.gatewayRefundId = result.id;
+    refund.status = result.status === 'succeeded' ? 'completed' : 'failed';
+    refund.failureReason = result.reason;
+  }
+
+  if (refund.status === 'completed') {
+    order.payment.refundAmount = (order.payment.refundAmount || 0) + refund.amount;
+    order.payment.refundedAt = refund.processedAt;
+
+    if (refund.source === 'cancellation') order.cancellation.refundAmount = order.payment.refundAmount;
+    if (refund.source === 'return') order.return.refundAmount = order.payment.refundAmount;
+
+    if (order.payment.refundAmount >= order.total) {
+      order.payment.status = 'refunded';
+
+      // e.g. a fully refunded order that is still in transit keeps its status
+      const status = order.constructor.canTransition(order.status, 'refunded') ? 'refunded' : order.status;
+      await order.addTimelineEntry(status, `Refund of ₹${refund.amount} issued. Order fully refunded.`, approvedBy);
+    } else {
+      await order.addTimelineEntry(order.status, `Partial refund of ₹${refund.amount} issued.`, approvedBy);
+    }
+
+    // Sellers already paid for these items are charged back
+    await postRefund(order, refund);
+    return order;
+  }
+
+  return order.save();
+};
+
+/**
+ * Record a refund on an order and issue it if it needs no approval
+ * Only captured payments are refunded; unpaid orders resolve to null
+ * Options: { lines, reason, source, requestedBy, requireApproval }
+ */
+const createRefund = async (order, { lines, reason, source, requestedBy = null, requireApproval = false }) => {
+  if (!['completed', 'refunded'].includes(order.payment.status)) return null;
+
+  const { amount, items, includesShipping } = calculateRefund(order, lines);
+  if (amount <= 0) return null;
+
+  order.refunds.push({
+    amount,
+    items,
+    includesShipping,
+    reason,
+    source,
+    requestedBy,
+    status: 'pending_approval'
+  });
+  const refund = order.refunds[order.refunds.length - 1];
+
+  const needsApproval = requireApproval ||
+    amount > REFUND_AUTO_APPROVE_LIMIT ||
+    order.payment.method === 'cod';
+
+  if (needsApproval) {
+    await order.save();
+  } else {
+    await processRefund(order, refund);
+  }
+
+  return refund;
+};
+
+/**
+ * Atomically move a refund that is waiting for approval to `status`
+ * Resolves to the freshly loaded order, or null if the refund is not (or no
+ * longer) waiting for approval
+ */
+const claimRefund = (order, refundId, status, fields = {}) => {
+  const update = { 'refunds.$.status': status };
+  Object.entries(fields).forEach(([field, value]) => { update[`refunds.$.${field}`] = value; });
+
+  return order.constructor.findOneAndUpdate(
+    { _id: order._id, refunds: { $elemMatch: { _id: refundId, status: 'pending_approval' } } },
+    { $set: update },
+    { new: true }
+  );
+};
+
+/**
+ * Approve and issue a refund that is waiting for approval
+ * Only the caller that claims the refund issues it
+ * Resolves to { order, refund } (the order as reloaded), or null if the
+ * refund is not waiting for approval
+ */
+const approveRefund = async (order, refundId, adminId) => {
+  const claimed = await claimRefund(order, refundId, 'processing', { approvedBy: adminId });
+  if (!claimed) return null;
+
+  const refund = claimed.refunds.id(refundId);
+  await processRefund(claimed, refund, adminId);
+  return { order: claimed, refund };
+};
+
+// Reject a refund that is waiting for approval
+const rejectRefund = async (order, refundId, adminId, reason) => {
+  const claimed = await claimRefund(order, refundId, 'rejected', {
+    approvedBy: adminId,
+    failureReason: reason,
+    processedAt: new Date()
+  });
+  return claimed ? claimed.refunds.id(refundId) : null;
+};
+
+module.exports = {
+  REFUND_AUTO_APPROVE_LIMIT,
+  calculateRefund,
+  createRefund,
+  approveRefund,
+  rejectRefund
+};
@@ -0,0 +1,240 @@
+/**
+ * Return (RMA) Service
+ *
+ * Customer return requests and the seller review that follows:
+ * requested -> approved (return tracking added) -> received, or requested -> rejected
+ *
+ * A return may cover items from several sellers. Each seller reviews,
+ * collects and receives only their own items (order.return.sellers), so one
+ * seller's decision never restocks or refunds another's. The return's status
+ * is rolled up from those parts, and the order moves to `returned` once every
+ * seller has received or rejected their part.
+ *
+ * Returns are accepted for delivered orders within RETURN_WINDOW_DAYS of
+ * delivery, for products that are not flagged as non-returnable.
+ * Receiving a return puts the stock back and refunds the returned items.
+ *
+ * Errors carry a statusCode (400, 403 or 409) for the route to send back
+ */
+
+const Product = require('../models/Product');
+const { restockItems } = require('./stockReservation');
+const { createRefund } = require('./refunds');
+const { nextNumber } = require('./sequences');
+
+// Days after delivery during which a return can be requested
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
+
+const returnError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Roll the sellers' parts up into the return's status: still requested while
+// any seller has not decided, approved while goods are on their way back,
+// then received (or rejected if every seller rejected)
+const rollUpReturnStatus = (orderReturn) => {
+  const statuses = orderReturn.sellers.map(part => part.status);
+  return ['requested', 'approved', 'received'].find(status => statuses.includes(status)) || 'rejected';
+};
+
+// The order's status once a seller has closed their part: `returned` when
+// that was the last open part and some goods came back
+const statusAfterReturnClosed = (order) => (
+  order.return.status === 'received' && order.constructor.canTransition(order.status, 'returned')
+    ? 'returned'
+    : order.status
+);
+
+// The returned lines a seller sold
+const sellerLines = (orderReturn, sellerId) => (
+  orderReturn.items.filter(line => line.seller.toString() === sellerId.toString())
+);
+
+// True while a return covering the seller's items is still open (requested or
+// approved but not yet received)
+const hasOpenReturn = (order, sellerId) => {
+  const orderReturn = order.return;
+  if (!orderReturn?.status || sellerLines(orderReturn, sellerId).length === 0) return false;
+
+  // Returns requested before per-seller review have one status for everyone
+  const part = orderReturn.sellers?.find(candidate => candidate.seller.toString() === sellerId.toString());
+  return ['requested', 'approved'].includes(part ? part.status : orderReturn.status);
+};
+
+/**
+ * Request a return for a delivered order
+ * `lines` is [{ item: <order item _id>, quantity }]; omit it to return everything
+ */
+const requestReturn = async (order, { lines, reason, customerId }) => {
+  if (order.status !== 'delivered') {
+    throw returnError('Only delivered orders can be returned');
+  }
+
+  if (order.return?.status) {
+    throw returnError('A return has already been requested for this order', 409);
+  }
+
+  const deliveredAt = order.shipping.deliveredAt || order.updatedAt;
+  const windowEnds = new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (new Date() > windowEnds) {
+    throw returnError(`The ${RETURN_WINDOW_DAYS}-day return window for this order has closed`);
+  }
+
+  const requested = lines || order.items.map(item => ({ item: item._id, quantity: item.quantity }));
+
+  // Check every line against the order and the product's returnable flag
+  const products = await Product.find({ _id: { $in: order.items.map(item => item.product) } })
+    .select('isReturnable');
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const items = requested.map(line => {
+    const orderItem = order.items.id(line.item);
+    if (!orderItem) {
+      throw returnError(`Item ${line.item} is not part of this order`);
+    }
+    if (line.quantity < 1 || line.quantity > orderItem.quantity) {
+      throw returnError(`Return quantity for "${orderItem.name}" must be between 1 and ${orderItem.quantity}`);
+    }
+    if (productsById.get(orderItem.product.toString())?.isReturnable === false) {
+      throw returnError(`"${orderItem.name}" is not returnable`);
+    }
+
+    return {
+      item: orderItem._id,
+      product: orderItem.product,
+      seller: orderItem.seller,
+      quantity: line.quantity
+    };
+  });
+
+  const { number: returnNumber } = await nextNumber('return');
+
+  const sellers = [...new Set(items.map(line => line.seller.toString()))]
+    .map(seller => ({ seller, status: 'requested' }));
+
+  order.return = {
+    returnNumber,
+    status: 'requested',
+    items,
+    sellers,
+    reason,
+    requestedAt: new Date()
+  };
+
+  return order.addTimelineEntry(order.status, `Return ${returnNumber} requested by customer. Reason: ${reason}`, customerId);
+};
+
+// Load a seller's part of the order's return for a seller action, checking state
+const sellerReturn = (order, sellerId, expectedStatus) => {
+  const orderReturn = order.return;
+  if (!orderReturn?.status) {
+    throw returnError('No return has been requested for this order');
+  }
+
+  // Returns requested before per-seller review had one review for everyone
+  if (!orderReturn.sellers?.length) {
+    const { status, approvedAt, rejectedAt, rejectionReason, returnCarrier, returnTrackingNumber, receivedAt } = orderReturn;
+    orderReturn.sellers = [...new Set(orderReturn.items.map(line => line.seller.toString()))]
+      .map(seller => ({ seller, status, approvedAt, rejectedAt, rejectionReason, returnCarrier, returnTrackingNumber, receivedAt }));
+  }
+
+  const part = orderReturn.sellers.find(candidate => candidate.seller.toString() === sellerId.toString());
+  if (!part) {
+    throw returnError('You do not have permission to manage this return', 403);
+  }
+  if (part.status !== expectedStatus) {
+    throw returnError(`Return is ${part.status}, expected ${expectedStatus}`, 409);
+  }
+  return part;
+};
+
+// Seller approves the return of their items
+const approveReturn = async (order, sellerId) => {
+  const part = sellerReturn(order, sellerId, 'requested');
+
+  part.status = 'approved';
+  part.approvedAt = new Date();
+  order.return.status = rollUpReturnStatus(order.return);
+
+  return order.addTimelineEntry(order.status, 'Return approved by seller', sellerId);
+};
+
+// Seller rejects the return of their items
+const rejectReturn = async (order, sellerId, reason) => {
+  const part = sellerReturn(order, sellerId, 'requested');
+
+  part.status = 'rejected';
+  part.rejectedAt = new Date();
+  part.rejectionReason = reason;
+  order.return.status = rollUpReturnStatus(order.return);
+
+  // Other sellers may already have received their items back
+  return order.addTimelineEntry(statusAfterReturnClosed(order), `Return rejected by seller. Reason: ${reason}`, sellerId);
+};
+
+// Seller records the carrier and tracking number of their items' return shipment
+const addReturnTracking = async (order, sellerId, { carrier, trackingNumber }) => {
+  const part = sellerReturn(order, sellerId, 'approved');
+
+  part.returnCarrier = carrier;
+  part.returnTrackingNumber = trackingNumber;
+
+  return order.addTimelineEntry(order.status, `Return pickup scheduled${carrier ? ` with ${carrier}` : ''}. Tracking: ${trackingNumber}`, sellerId);
+};
+
+/**
+ * Seller marks their returned goods as received
+ * Their stock goes back into inventory and their items are refunded; the
+ * order moves to `returned` once no other seller's part is still open.
+ * The part is claimed (approved -> received) atomically first, so a repeated
+ * or concurrent call never restocks or refunds the items twice.
+ * Resolves to { order, refund } with the order as reloaded
+ */
+const receiveReturn = async (order, sellerId) => {
+  const Order = order.constructor;
+  const part = sellerReturn(order, sellerId, 'approved');
+
+  // Parts seeded for an older return have to be stored before they can be claimed
+  if (order.isModified('return.sellers')) {
+    await Order.updateOne(
+      { _id: order._id, 'return.sellers.0': { $exists: false } },
+      { $set: { 'return.sellers': order.return.sellers.map(seeded => seeded.toObject()) } }
+    );
+  }
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, 'return.sellers': { $elemMatch: { seller: part.seller, status: 'approved' } } },
+    { $set: { 'return.sellers.$.status': 'received', 'return.sellers.$.receivedAt': new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw returnError('Return has already been received', 409);
+  }
+
+  const lines = sellerLines(claimed.return, sellerId);
+  claimed.return.status = rollUpReturnStatus(claimed.return);
+
+  await restockItems(lines);
+  await claimed.addTimelineEntry(statusAfterReturnClosed(claimed), 'Returned items received by seller', sellerId);
+
+  const refund = await createRefund(claimed, {
+    lines: lines.map(line => ({ item: line.item, quantity: line.quantity })),
+    reason: `Return: ${claimed.return.reason}`,
+    source: 'return',
+    requestedBy: sellerId
+  });
+
+  return { order: claimed, refund };
+};
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  hasOpenReturn,
+  requestReturn,
+  approveReturn,
+  rejectReturn,
+  addReturnTracking,
+  receiveReturn
+};
@@ -0,0 +1,305 @@
+/**
+ * Seller Profile Service
+ *
+ * A seller's profile lives on their user account (User.sellerInfo); this is
+ * the one place that writes it. Applying fills in the profile and marks it
+ * pending; an admin then approves it (which unlocks the seller routes, see
+ * middleware/sellerAuth.js) or rejects it. A rejected seller may apply again.
+ *
+ * Each uploaded document is reviewed on its own: an admin marks it verified
+ * or asks for a re-upload (with a comment saying why), and the seller then
+ * replaces it, which sends it back for review. An application can only be
+ * approved once every required document is verified.
+ *
+ * Applications arrive in the flat shape of the registration form (also the
+ * shape of the old separate Seller records, see scripts/migrateSellerProfiles.js)
+ *
+ * Errors carry a statusCode (400, 403, 404 or 409) for the route to send back
+ */
+
+const { validateKycDetails } = require('./kyc');
+
+// Documents a seller can upload with their application
+const SELLER_DOCUMENT_TYPES = ['gstCertificate', 'panCard', 'companyRegistration', 'bankStatement', 'productCatalog'];
+
+// Documents every application must include
+const REQUIRED_SELLER_DOCUMENTS = ['gstCertificate', 'panCard', 'companyRegistration', 'bankStatement'];
+
+// Review states of a document
+const SELLER_DOCUMENT_STATUSES = ['pending', 'verified', 'reupload_requested'];
+
+// Application fields copied onto the profile as they are
+const PROFILE_FIELDS = [
+  'companyName', 'companyType', 'registrationNumber', 'gstNumber', 'panNumber', 'establishedYear',
+  'contactPerson', 'designation', 'phone', 'alternatePhone', 'businessCategory', 'productCategories',
+  'manufacturingCapacity', 'warehouseLocation'
+];
+
+const profileError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Profile fields (for User.sellerInfo) from a flat application
+ * `documents` is { [type]: path }; fields missing from the application are left out
+ */
+const buildSellerProfile = (application, documents = {}) => {
+  const profile = {};
+  PROFILE_FIELDS
+    .filter(field => application[field] !== undefined && application[field] !== '')
+    .forEach(field => { profile[field] = application[field]; });
+
+  if (application.email) profile.contactEmail = application.email;
+
+  const address = {
+    street: application.address,
+    city: application.city,
+    state: application.state,
+    pincode: application.pincode,
+    country: application.country
+  };
+  if (Object.values(address).some(Boolean)) profile.businessAddress = address;
+
+  const bankDetails = {
+    bankName: application.bankName,
+    accountNumber: application.accountNumber,
+    ifscCode: application.ifscCode,
+    accountHolderName: application.accountHolderName
+  };
+  if (Object.values(bankDetails).some(Boolean)) profile.bankDetails = bankDetails;
+
+  profile.documents = Object.entries(documents)
+    .filter(([, path]) => path)
+    .map(([type, path]) => ({ type: SELLER_DOCUMENT_TYPES.includes(type) ? type : 'other', path }));
+
+  return profile;
+};
+
+// Copy the business address onto the account if it has none, so tax and
+// shipping (which read the account address) have a seller location
+const fillAccountAddress = (user) => {
+  const address = user.sellerInfo.businessAddress;
+  if (user.address?.state || !address?.state) return;
+
+  user.address = {
+    street: address.street,
+    city: address.city,
+    state: address.state,
+    pincode: address.pincode,
+    country: address.country || 'India'
+  };
+};
+
+/**
+ * Submit a seller application for a user
+ * Replaces any earlier rejected application; a pending or approved one is a 409
+ * Resolves to the paths of the earlier application's documents, for the
+ * caller to remove
+ */
+const submitSellerApplication = async (user, application, documents) => {
+  if (user.userType === 'admin') {
+    throw profileError('Admin accounts cannot apply to become sellers', 403);
+  }
+
+  const status = user.sellerInfo?.applicationStatus;
+  if (user.sellerInfo?.appliedAt && status !== 'rejected') {
+    throw profileError(status === 'approved'
+      ? 'You are already a verified seller'
+      : 'You have already applied for seller registration', 409);
+  }
+
+  const previousPaths = (user.sellerInfo?.documents || [])
+    .map(document => document.path)
+    .filter(path => path && !Object.values(documents).includes(path));
+
+  // Keep what the account already knows (e.g. rating, shipping settings)
+  user.sellerInfo = {
+    ...(user.sellerInfo?.toObject() || {}),
+    ...buildSellerProfile(application, documents),
+    isVerified: false,
+    applicationStatus: 'pending',
+    appliedAt: new Date(),
+    rejectedAt: undefined,
+    rejectedBy: undefined,
+    rejectionReason: undefined
+  };
+  user.userType = 'seller';
+  fillAccountAddress(user);
+
+  await user.save();
+  return previousPaths;
+};
+
+const findDocument = (user, type) => {
+  const document = user.sellerInfo?.documents?.find(entry => entry.type === type);
+  if (!document) {
+    throw profileError('Document not found', 404);
+  }
+  return document;
+};
+
+// Required documents not yet verified
+const getUnverifiedDocuments = (user) => REQUIRED_SELLER_DOCUMENTS.filter(type => (
+  !user.sellerInfo?.documents?.some(document => document.type === type && document.status === 'verified')
+));
+
+/**
+ * Record an admin's review of one document of a pending application
+ * `status` is 'verified' or 'reupload_requested'; asking for a re-upload needs a comment
+ */
+const reviewSellerDocument = async (user, type, { status, comment }, adminId) => {
+  if (user.sellerInfo?.applicationStatus !== 'pending') {
+    throw profileError('Application is not in pending status');
+  }
+  if (!['verified', 'reupload_requested'].includes(status)) {
+    throw profileError('Review status must be verified or reupload_requested');
+  }
+  if (status === 'reupload_requested' && !comment) {
+    throw profileError('A comment is required when asking for a re-upload');
+  }
+
+  const document = findDocument(user, type);
+  document.status = status;
+  document.reviewedBy = adminId;
+  document.reviewedAt = new Date();
+  if (status === 'reupload_requested') document.reuploadRequestedAt = new Date();
+  if (comment) document.comments.push({ author: adminId, text: comment });
+
+  return user.save();
+};
+
+/**
+ * Replace a document the seller was asked to re-upload; it goes back for review
+ * Resolves to the path of the file it replaced, for the caller to remove
+ */
+const replaceSellerDocument = async (user, type, path, comment) => {
+  if (user.sellerInfo?.applicationStatus !== 'pending') {
+    throw profileError('Application is not in pending status');
+  }
+
+  const document = findDocument(user, type);
+  if (document.status !== 'reupload_requested') {
+    throw profileError('This document has not been sent back for re-upload', 409);
+  }
+
+  const previousPath = document.path;
+  document.path = path;
+  document.uploadedAt = new Date();
+  document.status = 'pending';
+  document.reviewedBy = undefined;
+  document.reviewedAt = undefined;
+  if (comment) document.comments.push({ author: user._id, text: comment });
+
+  await user.save();
+  return previousPath;
+};
+
+// Approve a pending application whose required documents are all verified;
+// the seller can use the seller routes from now on
+const approveSellerApplication = async (user, adminId) => {
+  if (user.sellerInfo?.applicationStatus !== 'pending') {
+    throw profileError('Application is not in pending status');
+  }
+
+  const unverified = getUnverifiedDocuments(user);
+  if (unverified.length > 0) {
+    throw profileError(`Documents not yet verified: ${unverified.join(', ')}`);
+  }
+
+  user.userType = 'seller';
+  user.sellerInfo.applicationStatus = 'approved';
+  user.sellerInfo.isVerified = true;
+  user.sellerInfo.approvedAt = new Date();
+  user.sellerInfo.approvedBy = adminId;
+
+  return user.save();
+};
+
+// Reject a pending application
+const rejectSellerApplication = async (user, adminId, reason) => {
+  if (user.sellerInfo?.applicationStatus !== 'pending') {
+    throw profileError('Application is not in pending status');
+  }
+
+  user.sellerInfo.applicationStatus = 'rejected';
+  user.sellerInfo.isVerified = false;
+  user.sellerInfo.rejectedAt = new Date();
+  user.sellerInfo.rejectedBy = adminId;
+  user.sellerInfo.rejectionReason = reason;
+
+  return user.save();
+};
+
+// Flat view of a user's seller profile, as shown to admins reviewing applications
+const toSellerApplication = (user) => {
+  const info = user.sellerInfo || {};
+  const address = info.businessAddress || {};
+  const bank = info.bankDetails || {};
+
+  return {
+    _id: user._id,
+    companyName: info.companyName,
+    companyType: info.companyType,
+    registrationNumber: info.registrationNumber,
+    gstNumber: info.gstNumber,
+    panNumber: info.panNumber,
+    establishedYear: info.establishedYear,
+    contactPerson: info.contactPerson || `${user.firstName} ${user.lastName}`,
+    designation: info.designation,
+    email: info.contactEmail || user.email,
+    accountEmail: user.email,
+    phone: info.phone || user.phone,
+    alternatePhone: info.alternatePhone,
+    address: address.street,
+    city: address.city,
+    state: address.state,
+    pincode: address.pincode,
+    country: address.country,
+    businessCategory: info.businessCategory,
+    productCategories: info.productCategories,
+    manufacturingCapacity: info.manufacturingCapacity,
+    warehouseLocation: info.warehouseLocation,
+    bankName: bank.bankName,
+    accountHolderName: bank.accountHolderName,
+    accountNumber: bank.accountNumber,
+    ifscCode: bank.ifscCode,
+    documents: (info.documents || []).map(document => ({
+      type: document.type,
+      name: document.type,
+      // Authenticated endpoint that issues a signed download link (see routes/documents.js)
+      url: `/api/documents/sellers/${user._id}/${document.type}`,
+      uploadedAt: document.uploadedAt,
+      status: document.status,
+      reviewedBy: document.reviewedBy,
+      reviewedAt: document.reviewedAt,
+      reuploadRequestedAt: document.reuploadRequestedAt,
+      comments: document.comments
+    })),
+    unverifiedDocuments: getUnverifiedDocuments(user),
+    // Problems with the GSTIN, PAN or IFSC on file (profiles from before these checks may have some)
+    kycIssues: validateKycDetails({ gstNumber: info.gstNumber, panNumber: info.panNumber, ifscCode: bank.ifscCode }),
+    status: info.applicationStatus,
+    isVerified: Boolean(info.isVerified),
+    appliedAt: info.appliedAt,
+    approvedAt: info.approvedAt,
+    rejectedAt: info.rejectedAt,
+    rejectionReason: info.rejectionReason,
+    createdAt: user.createdAt
+  };
+};
+
+module.exports = {
+  SELLER_DOCUMENT_TYPES,
+  REQUIRED_SELLER_DOCUMENTS,
+  SELLER_DOCUMENT_STATUSES,
+  buildSellerProfile,
+  submitSellerApplication,
+  getUnverifiedDocuments,
+  reviewSellerDocument,
+  replaceSellerDocument,
+  approveSellerApplication,
+  rejectSellerApplication,
+  toSellerApplication
+};
@@ -0,0 +1,237 @@
+/**
+ * Seller Report Service
+ *
+ * Sales figures and the transaction ledger behind the seller dashboard,
+ * computed with aggregation pipelines over the seller's order lines
+ *
+ * Revenue is the value of the seller's items in live (confirmed onwards)
+ * shipments, less refunds for returned items. Cancelled shipments and orders
+ * still awaiting payment do not count.
+ */
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+// Fulfilment statuses whose items count as sold
+const SOLD_STATUSES = ['confirmed', 'processing', 'shipped', 'out_for_delivery', 'delivered'];
+
+// Fulfilment statuses waiting on the seller to ship
+const TO_SHIP_STATUSES = ['confirmed', 'processing'];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+/**
+ * Query filter for dates from `from` to `to`, both inclusive
+ * A date-only `to` (e.g. 2026-06-30) covers that whole day
+ * Returns e.g. { $gte, $lt }, or null if neither is given
+ */
+const dateRangeFilter = (from, to) => {
+  if (!from && !to) return null;
+
+  const filter = {};
+  if (from) filter.$gte = new Date(from);
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    const nextDay = new Date(to);
+    nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+    filter.$lt = nextDay;
+  } else if (to) {
+    filter.$lte = new Date(to);
+  }
+  return filter;
+};
+
+// Pipeline stages keeping only the seller's fulfilment and line items of each order
+const sellerLineStages = (sellerId) => [
+  { $match: { 'items.seller': sellerId } },
+  {
+    $project: {
+      orderNumber: 1,
+      createdAt: 1,
+      refunds: 1,
+      fulfilment: {
+        $first: { $filter: { input: '$fulfilments', cond: { $eq: ['$$this.seller', sellerId] } } }
+      },
+      items: { $filter: { input: '$items', cond: { $eq: ['$$this.seller', sellerId] } } }
+    }
+  }
+];
+
+/**
+ * Dashboard figures for a seller
+ * Resolves to { totalProducts, totalSold, grossRevenue, refunded, totalRevenue,
+ * pendingOrders, ordersByStatus, productsByStatus }
+ */
+const getSellerStats = async (sellerId) => {
+  const Order = mongoose.model('Order');
+  const id = toObjectId(sellerId);
+
+  const [byStatus, [refunds], productsByStatus] = await Promise.all([
+    // Orders, units and value per shipment status
+    Order.aggregate([
+      ...sellerLineStages(id),
+      {
+        $group: {
+          _id: { $ifNull: ['$fulfilment.status', 'pending'] },
+          orders: { $sum: 1 },
+          units: { $sum: { $sum: '$items.quantity' } },
+          value: { $sum: { $sum: '$items.total' } }
+        }
+      }
+    ]),
+
+    // Completed refunds for the seller's returned items
+    Order.aggregate([
+      ...sellerLineStages(id),
+      { $unwind: '$refunds' },
+      { $match: { 'refunds.status': 'completed', 'refunds.source': 'return' } },
+      { $unwind: '$refunds.items' },
+      { $match: { $expr: { $in: ['$refunds.items.item', '$items._id'] } } },
+      { $group: { _id: null, amount: { $sum: '$refunds.items.amount' } } }
+    ]),
+
+    Product.aggregate([
+      { $match: { seller: id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const sold = byStatus.filter(group => SOLD_STATUSES.includes(group._id));
+  const grossRevenue = sold.reduce((sum, group) => sum + group.value, 0);
+  const refunded = refunds?.amount || 0;
+
+  return {
+    totalProducts: productsByStatus.reduce((sum, group) => sum + group.count, 0),
+    totalSold: sold.reduce((sum, group) => sum + group.units, 0),
+    grossRevenue: Math.round(grossRevenue * 100) / 100,
+    refunded: Math.round(refunded * 100) / 100,
+    totalRevenue: Math.round((grossRevenue - refunded) * 100) / 100,
+    pendingOrders: byStatus
+      .filter(group => TO_SHIP_STATUSES.includes(group._id))
+      .reduce((sum, group) => sum + group.orders, 0),
+    ordersByStatus: Object.fromEntries(byStatus.map(group => [group._id, group.orders])),
+    productsByStatus: Object.fromEntries(productsByStatus.map(group => [group._id, group.count]))
+  };
+};
+
+/**
+ * A page of the seller's transaction ledger, newest first
+ * One sale entry per order line (once the order is confirmed) and one
+ * refund entry (negative amount) per refunded line
+ * Resolves to { transactions, total }
+ */
+const getSellerTransactions = async (sellerId, { type, from, to, page = 1, limit = 20 } = {}) => {
+  const Order = mongoose.model('Order');
+  const id = toObjectId(sellerId);
+
+  const dateFilter = dateRangeFilter(from, to);
+
+  const [result] = await Order.aggregate([
+    ...sellerLineStages(id),
+    { $match: { 'fulfilment.status': { $ne: 'pending' } } },
+    {
+      $project: {
+        entries: {
+          $concatArrays: [
+            {
+              $map: {
+                input: '$items',
+                as: 'item',
+                in: {
+                  type: 'sale',
+                  orderId: '$_id',
+                  orderNumber: '$orderNumber',
+                  product: '$$item.product',
+                  productName: '$$item.name',
+                  quantity: '$$item.quantity',
+                  amount: '$$item.total',
+                  date: '$createdAt',
+                  status: {
+                    $switch: {
+                      branches: [
+                        { case: { $eq: ['$fulfilment.status', 'delivered'] }, then: 'completed' },
+                        { case: { $eq: ['$fulfilment.status', 'cancelled'] }, then: 'cancelled' }
+                      ],
+                      default: 'pending'
+                    }
+                  }
+                }
+              }
+            },
+            {
+              $reduce: {
+                input: { $ifNull: ['$refunds', []] },
+                initialValue: [],
+                in: {
+                  $let: {
+                    vars: { refund: '$$this' },
+                    in: {
+                      $concatArrays: ['$$value', {
+                        $map: {
+                          input: {
+                            $filter: {
+                              input: { $ifNull: ['$$refund.items', []] },
+                              as: 'line',
+                              cond: { $in: ['$$line.item', '$items._id'] }
+                            }
+                          },
+                          as: 'line',
+                          in: {
+                            $let: {
+                              vars: {
+                                item: { $first: { $filter: { input: '$items', cond: { $eq: ['$$this._id', '$$line.item'] } } } }
+                              },
+                              in: {
+                                type: 'refund',
+                                orderId: '$_id',
+                                orderNumber: '$orderNumber',
+                                product: '$$item.product',
+                                productName: '$$item.name',
+                                quantity: '$$line.quantity',
+                                amount: { $multiply: ['$$line.amount', -1] },
+                                date: { $ifNull: ['$$refund.processedAt', '$$refund.requestedAt'] },
+                                status: {
+                                  $cond: [{ $eq: ['$$refund.status', 'pending_approval'] }, 'pending', '$$refund.status']
+                                }
+                              }
+                            }
+                          }
+                        }
+                      }]
+                    }
+                  }
+                }
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$entries' },
+    { $replaceRoot: { newRoot: '$entries' } },
+    {
+      $match: {
+        ...(type && { type }),
+        ...(dateFilter && { date: dateFilter })
+      }
+    },
+    { $sort: { date: -1 } },
+    {
+      $facet: {
+        transactions: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    transactions: result.transactions,
+    total: result.total[0]?.count || 0
+  };
+};
+
+module.exports = {
+  SOLD_STATUSES,
+  dateRangeFilter,
+  getSellerStats,
+  getSellerTransactions
+};
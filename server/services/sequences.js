@@ -0,0 +1,122 @@
+/**
+ * Sequence Service
+ *
+ * Human-friendly reference numbers backed by atomic counters (models/Counter),
+ * so concurrent requests never receive the same number
+ *
+ * Each kind of number has its own format and counter:
+ * - order    CC26-0000427    per calendar year, with a check digit
+ * - return   RT26-0000138    per calendar year, with a check digit
+ * - payout   PO26-0000039    per calendar year, with a check digit
+ * - invoice  INV2627-000042  per seller per financial year (GST allows 16 characters)
+ *
+ * Years are in Indian time. The check digit (Luhn, over the year and sequence)
+ * catches single mistyped digits and most swapped pairs; see isValidNumber.
+ * A number taken by a save that then fails is not reused, so gaps can occur.
+ */
+
+const Counter = require('../models/Counter');
+
+// Formats by kind: prefix, numbering period, sequence width, check digit,
+// and whether each scope (e.g. seller) numbers separately
+const NUMBER_FORMATS = {
+  order: { prefix: 'CC', period: 'year', width: 6, checkDigit: true },
+  return: { prefix: 'RT', period: 'year', width: 6, checkDigit: true },
+  payout: { prefix: 'PO', period: 'year', width: 6, checkDigit: true },
+  invoice: { prefix: 'INV', period: 'financialYear', width: 6, checkDigit: false, scoped: true }
+};
+
+// Indian Standard Time offset from UTC, in minutes
+const IST_OFFSET_MINUTES = 330;
+
+const toIst = (date) => new Date(date.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+
+// Financial year (April to March, Indian time) of a date, e.g. "2025-26"
+const getFinancialYear = (date = new Date()) => {
+  const ist = toIst(date);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Numbering period of a date: its name (used in the counter) and code (used in the number)
+const getPeriod = (period, date) => {
+  if (period === 'financialYear') {
+    const financialYear = getFinancialYear(date);
+    const [start, end] = financialYear.split('-');
+    return { name: financialYear, code: `${start.slice(2)}${end}` };
+  }
+
+  const year = String(toIst(date).getUTCFullYear());
+  return { name: year, code: year.slice(2) };
+};
+
+// Luhn check digit for a string of digits
+const luhnDigit = (digits) => {
+  const sum = [...digits].reverse().reduce((total, char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    return total + digit;
+  }, 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+const getFormat = (kind) => {
+  const format = NUMBER_FORMATS[kind];
+  if (!format) {
+    throw new Error(`Unknown number kind "${kind}"`);
+  }
+  return format;
+};
+
+// Format a sequence as a reference number, e.g. formatNumber('order', '26', 42) -> CC26-0000427
+const formatNumber = (kind, periodCode, sequence) => {
+  const format = getFormat(kind);
+  const padded = String(sequence).padStart(format.width, '0');
+  const check = format.checkDigit ? luhnDigit(`${periodCode}${padded}`) : '';
+  return `${format.prefix}${periodCode}-${padded}${check}`;
+};
+
+/**
+ * Take the next reference number of a kind
+ * `scope` is required for scoped kinds (the seller, for invoices)
+ * Resolves to { number, sequence, period } where period is e.g. "2026" or "2026-27"
+ */
+const nextNumber = async (kind, { scope, date = new Date() } = {}) => {
+  const format = getFormat(kind);
+  if (format.scoped && !scope) {
+    throw new Error(`A scope is required for ${kind} numbers`);
+  }
+
+  const period = getPeriod(format.period, date);
+  const counterName = [kind, format.scoped ? scope : null, period.name].filter(Boolean).join(':');
+  const sequence = await Counter.next(counterName);
+
+  return {
+    number: formatNumber(kind, period.code, sequence),
+    sequence,
+    period: period.name
+  };
+};
+
+// Whether a value is well formed for a kind (and its check digit matches)
+const isValidNumber = (kind, value) => {
+  const format = getFormat(kind);
+  const match = new RegExp(`^${format.prefix}(\\d+)-(\\d+)$`).exec(String(value).trim().toUpperCase());
+  if (!match) return false;
+  if (!format.checkDigit) return true;
+
+  const [, periodCode, digits] = match;
+  return digits.length > format.width &&
+    luhnDigit(`${periodCode}${digits.slice(0, -1)}`) === digits.slice(-1);
+};
+
+module.exports = {
+  NUMBER_FORMATS,
+  getFinancialYear,
+  formatNumber,
+  nextNumber,
+  isValidNumber
+};
@@ -0,0 +1,192 @@
+/**
+ * Shipping Rate Service
+ *
+ * Quotes shipping per seller shipment (each seller ships their own items):
+ * - zone from the seller's warehouse pincode to the delivery pincode, using
+ *   the pincode directory where both are listed
+ * - billable weight: the greater of actual and volumetric weight
+ * - the rate card in config/shippingRates for the zone and method
+ * - products marked freeShipping are not charged; `shipping.shippingCost`
+ *   on a product is a per-unit surcharge (e.g. bulky items)
+ * - standard shipping is free once a seller's share of the order reaches
+ *   their free-shipping threshold; faster methods still pay the difference
+ * - an estimated delivery date: the longest processing time of the shipment's
+ *   products plus the zone's transit days for the method
+ *
+ * Errors carry a statusCode (400) for the route to send back
+ */
+
+const {
+  WEIGHT_SLAB_GRAMS,
+  VOLUMETRIC_DIVISOR,
+  DEFAULT_ITEM_WEIGHT_GRAMS,
+  SHIPPING_ZONES,
+  SHIPPING_METHODS
+} = require('../config/shippingRates');
+const Pincode = require('../models/Pincode');
+
+// Seller order value (₹) above which standard shipping is free, unless the seller sets their own
+const FREE_SHIPPING_THRESHOLD = process.env.FREE_SHIPPING_THRESHOLD !== undefined
+  ? parseFloat(process.env.FREE_SHIPPING_THRESHOLD)
+  : 500;
+
+// Pincode prefixes of remote areas: J&K and Ladakh, Assam and the North East, the islands
+const SPECIAL_ZONE_PREFIXES = ['18', '19', '78', '79', '744', '68255'];
+
+const isValidPincode = (pincode) => /^[1-9][0-9]{5}$/.test(String(pincode || ''));
+
+/**
+ * Delivery zone between two pincodes
+ * With directory entries for both (a Map of pincode to entry): special-zone
+ * destinations are special, the same district is local and the same state
+ * regional. Otherwise by prefix: same sorting district (first 3 digits) is
+ * local, same postal circle (first 2 digits) regional.
+ * Unknown pincodes are treated as national
+ */
+const getZone = (fromPincode, toPincode, directory = new Map()) => {
+  if (!isValidPincode(toPincode)) return 'national';
+
+  const origin = directory.get(String(fromPincode));
+  const destination = directory.get(String(toPincode));
+  if (destination && destination.zone === 'special') return 'special';
+  if (origin && destination) {
+    if (origin.state !== destination.state) return 'national';
+    return origin.district === destination.district ? 'local' : 'regional';
+  }
+
+  const to = String(toPincode);
+  if (SPECIAL_ZONE_PREFIXES.some(prefix => to.startsWith(prefix))) return 'special';
+  if (!isValidPincode(fromPincode)) return 'national';
+
+  const from = String(fromPincode);
+  if (from.slice(0, 3) === to.slice(0, 3)) return 'local';
+  if (from.slice(0, 2) === to.slice(0, 2)) return 'regional';
+  return 'national';
+};
+
+// Billable weight of one unit of a product, in grams
+const getBillableWeight = (product) => {
+  const shipping = product.shipping || {};
+  const dimensions = shipping.dimensions?.length ? shipping.dimensions : (product.dimensions || {});
+
+  const actual = shipping.weight || product.dimensions?.weight || DEFAULT_ITEM_WEIGHT_GRAMS;
+  const volumetric = dimensions.length && dimensions.width && dimensions.height
+    ? (dimensions.length * dimensions.width * dimensions.height) / VOLUMETRIC_DIVISOR
+    : 0;
+
+  return Math.max(actual, volumetric);
+};
+
+// Pincode a seller ships from (null if unknown)
+const getSellerPincode = (seller) => {
+  return seller.sellerInfo?.warehousePincode || seller.address?.pincode || null;
+};
+
+// Standard rate for a weight in a zone
+const rateFor = (zone, weightGrams) => {
+  const rates = SHIPPING_ZONES[zone];
+  const slabs = Math.max(1, Math.ceil(weightGrams / WEIGHT_SLAB_GRAMS));
+  return rates.base + (slabs - 1) * rates.perSlab;
+};
+
+// Transit days for a zone and method (overnight is next day)
+const getTransitDays = (zone, method) => {
+  const days = SHIPPING_ZONES[zone].transitDays * SHIPPING_METHODS[method].transitFactor;
+  return Math.max(1, Math.ceil(days));
+};
+
+// Estimated delivery date: processing days, then transit days, from `now`
+const estimateDelivery = (processingDays, transitDays, now = new Date()) => {
+  const estimate = new Date(now);
+  estimate.setDate(estimate.getDate() + processingDays + transitDays);
+  return estimate;
+};
+
+/**
+ * Quote shipping for a set of lines to a pincode
+ * Lines are [{ product, quantity, total }] with product.seller populated
+ * Resolves to { method, cost, estimatedDelivery, shipments: [{ seller, zone,
+ * billableWeight, cost, freeShipping, processingDays, transitDays,
+ * estimatedDelivery }] } with one shipment per seller; the order's
+ * estimatedDelivery is that of its slowest shipment
+ * Throws (statusCode 400) if the method is not offered for a shipment's zone
+ */
+const quoteShipping = async (lines, { pincode, method = 'standard', now = new Date() }) => {
+  const methodRates = SHIPPING_METHODS[method];
+  if (!methodRates) {
+    const error = new Error(`Unknown shipping method "${method}"`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Group lines into one shipment per seller
+  const bySeller = new Map();
+  for (const line of lines) {
+    const seller = line.product.seller;
+    const sellerId = (seller._id || seller).toString();
+    if (!bySeller.has(sellerId)) bySeller.set(sellerId, { seller, lines: [] });
+    bySeller.get(sellerId).lines.push(line);
+  }
+
+  const groups = [...bySeller.values()];
+  const directory = await Pincode.findMany([pincode, ...groups.map(group => getSellerPincode(group.seller))]);
+
+  const shipments = groups.map(({ seller, lines: sellerLines }) => {
+    const zone = getZone(getSellerPincode(seller), pincode, directory);
+    if (methodRates.zones && !methodRates.zones.includes(zone)) {
+      const error = new Error(`${method[0].toUpperCase()}${method.slice(1)} delivery is not available to pincode ${pincode}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const processingDays = Math.max(...sellerLines.map(line => line.product.shipping?.processingTime ?? 1));
+    const transitDays = getTransitDays(zone, method);
+    const timing = {
+      processingDays,
+      transitDays,
+      estimatedDelivery: estimateDelivery(processingDays, transitDays, now)
+    };
+
+    const charged = sellerLines.filter(line => !line.product.shipping?.freeShipping);
+    const billableWeight = charged.reduce((sum, line) => sum + getBillableWeight(line.product) * line.quantity, 0);
+    const surcharge = charged.reduce((sum, line) => sum + (line.product.shipping?.shippingCost || 0) * line.quantity, 0);
+
+    if (charged.length === 0) {
+      return { seller: seller._id || seller, zone, billableWeight: 0, cost: 0, freeShipping: true, ...timing };
+    }
+
+    const standardCost = rateFor(zone, billableWeight) + surcharge;
+    const methodCost = Math.round(standardCost * methodRates.multiplier);
+
+    const threshold = seller.sellerInfo?.freeShippingThreshold ?? FREE_SHIPPING_THRESHOLD;
+    const sellerSubtotal = sellerLines.reduce((sum, line) => sum + line.total, 0);
+    const freeShipping = sellerSubtotal >= threshold;
+
+    return {
+      seller: seller._id || seller,
+      zone,
+      billableWeight,
+      cost: freeShipping ? methodCost - standardCost : methodCost,
+      freeShipping: freeShipping && method === 'standard',
+      ...timing
+    };
+  });
+
+  const latest = Math.max(...shipments.map(shipment => shipment.estimatedDelivery.getTime()));
+  return {
+    method,
+    cost: shipments.reduce((sum, shipment) => sum + shipment.cost, 0),
+    estimatedDelivery: shipments.length > 0 ? new Date(latest) : null,
+    shipments
+  };
+};
+
+module.exports = {
+  FREE_SHIPPING_THRESHOLD,
+  getZone,
+  getBillableWeight,
+  getSellerPincode,
+  getTransitDays,
+  estimateDelivery,
+  quoteShipping
+};
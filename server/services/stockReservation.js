@@ -0,0 +1,195 @@
+/**
+ * Stock Reservation Service
+ *
+ * Places, commits and releases the stock holds behind an order
+ * Every hold moves the product's stock.reserved/stock.available counters
+ * and is recorded as a Reservation document so it can expire on its own
+ */
+
+const Product = require('../models/Product');
+const Reservation = require('../models/Reservation');
+
+// How long an unpaid order may hold stock before the sweeper releases it
+const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES) || 15;
+
+// Move reserved stock for a product (positive quantity reserves, negative releases)
+const adjustReservedStock = (productId, quantity) => {
+  return Product.updateOne(
+    { _id: productId },
+    { $inc: { 'stock.reserved': quantity, 'stock.available': -quantity } }
+  );
+};
+
+/**
+ * Atomically reserve stock for one product
+ * The update only matches while enough unreserved stock is left,
+ * so concurrent checkouts can never oversell the last units
+ * Resolves to true if the stock was reserved
+ */
+const reserveProductStock = async (productId, quantity) => {
+  const result = await Product.updateOne(
+    {
+      _id: productId,
+      status: 'active',
+      $expr: { $gte: [{ $subtract: ['$stock.quantity', '$stock.reserved'] }, quantity] }
+    },
+    { $inc: { 'stock.reserved': quantity, 'stock.available': -quantity } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Give back stock reserved for items whose holds were never recorded
+const rollBackReservedStock = async (items) => {
+  for (const item of items) {
+    await adjustReservedStock(item.product, -item.quantity);
+  }
+};
+
+/**
+ * Reserve stock for every item of an order - all items or none
+ * If any product cannot be reserved, the products already reserved are rolled
+ * back and an error with statusCode 409 and the failing productId is thrown.
+ * If the holds cannot be recorded, the stock is rolled back as well.
+ *
+ * Holds are committed immediately with `commit` (default: for
+ * cash-on-delivery orders, which need no payment, and e.g. for orders that
+ * are already paid); otherwise they expire unless the order is paid
+ */
+const reserveStock = async (order, { commit = order.payment.method === 'cod' } = {}) => {
+  const expiresAt = commit
+    ? undefined
+    : new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+
+  // Lines for the same product are reserved in one update, so an order never
+  // briefly holds part of a product's stock that it then has to give back
+  const demand = new Map();
+  for (const item of order.items) {
+    const key = item.product.toString();
+    const line = demand.get(key) || { product: item.product, name: item.name, quantity: 0 };
+    line.quantity += item.quantity;
+    demand.set(key, line);
+  }
+
+  const reserved = [];
+  for (const item of demand.values()) {
+    if (!(await reserveProductStock(item.product, item.quantity))) {
+      // Roll back what this order already holds
+      await rollBackReservedStock(reserved);
+
+      const error = new Error(`Insufficient stock for product "${item.name}"`);
+      error.statusCode = 409;
+      error.productId = item.product;
+      throw error;
+    }
+    reserved.push(item);
+  }
+
+  const holds = order.items.map(item => new Reservation({
+    order: order._id,
+    product: item.product,
+    quantity: item.quantity,
+    status: commit ? 'committed' : 'active',
+    expiresAt,
+    committedAt: commit ? new Date() : undefined
+  }));
+
+  try {
+    return await Reservation.insertMany(holds);
+  } catch (error) {
+    // Drop any holds that did get written, then give the stock back
+    await Reservation.deleteMany({ _id: { $in: holds.map(hold => hold._id) } });
+    await rollBackReservedStock(reserved);
+    throw error;
+  }
+};
+
+/**
+ * Release a single hold and give its stock back
+ * The status change is claimed atomically, so a hold is never released twice
+ * Resolves to true if this call released the hold
+ */
+const releaseHold = async (reservation, status, reason) => {
+  const claimed = await Reservation.findOneAndUpdate(
+    { _id: reservation._id, status: { $in: ['active', 'committed'] } },
+    { $set: { status, releasedAt: new Date(), releaseReason: reason } },
+    { new: true }
+  );
+
+  if (!claimed) return false;
+
+  await adjustReservedStock(claimed.product, -claimed.quantity);
+  return true;
+};
+
+// Release every outstanding hold of an order (e.g. on cancellation),
+// optionally only those for the given products
+const releaseReservations = async (orderId, reason, productIds = null) => {
+  const query = { order: orderId, status: { $in: ['active', 'committed'] } };
+  if (productIds) query.product = { $in: productIds };
+
+  const holds = await Reservation.find(query);
+
+  let released = 0;
+  for (const hold of holds) {
+    if (await releaseHold(hold, 'released', reason)) released += 1;
+  }
+  return released;
+};
+
+/**
+ * Commit an order's active holds so they no longer expire (e.g. once paid)
+ * Resolves to false if any hold had already expired or been released
+ */
+const commitReservations = async (orderId) => {
+  const result = await Reservation.updateMany(
+    { order: orderId, status: 'active' },
+    { $set: { status: 'committed', committedAt: new Date() }, $unset: { expiresAt: 1 } }
+  );
+
+  const lost = await Reservation.countDocuments({ order: orderId, status: { $in: ['released', 'expired'] } });
+  return result.acknowledged && lost === 0;
+};
+
+/**
+ * Fulfil an order's holds once it is delivered
+ * The units leave stock for good: both stock.quantity and stock.reserved drop
+ */
+const fulfilReservations = async (orderId) => {
+  const holds = await Reservation.find({ order: orderId, status: { $in: ['active', 'committed'] } });
+
+  let fulfilled = 0;
+  for (const hold of holds) {
+    const claimed = await Reservation.findOneAndUpdate(
+      { _id: hold._id, status: { $in: ['active', 'committed'] } },
+      { $set: { status: 'fulfilled', fulfilledAt: new Date() }, $unset: { expiresAt: 1 } }
+    );
+    if (!claimed) continue;
+
+    await Product.updateOne(
+      { _id: hold.product },
+      { $inc: { 'stock.quantity': -hold.quantity, 'stock.reserved': -hold.quantity } }
+    );
+    fulfilled += 1;
+  }
+  return fulfilled;
+};
+
+// Put returned units back into sellable inventory
+const restockItems = async (items) => {
+  for (const item of items) {
+    await Product.updateOne(
+      { _id: item.product },
+      { $inc: { 'stock.quantity': item.quantity, 'stock.available': item.quantity } }
+    );
+  }
+};
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  reserveStock,
+  releaseHold,
+  releaseReservations,
+  commitReservations,
+  fulfilReservations,
+  restockItems
+};
@@ -0,0 +1,109 @@
+/**
+ * Storage Service
+ *
+ * Pluggable file storage for everything users upload. Uploads are kept in
+ * one of two stores:
+ * - public     Avatars and product images/videos, linked to directly
+ * - documents  Seller KYC documents; private, served only through signed
+ *              links (see services/documents.js)
+ *
+ * A store is an object with:
+ * - name                                   The driver it uses
+ * - put(key, body, { contentType })        Save a Buffer or readable stream under key
+ *                                          -> its size in bytes
+ * - get(key)                               -> { stream, size } or null if there is no such file
+ * - exists(key)                            -> boolean
+ * - delete(key)                            Remove the file (no error if it is already gone)
+ * - url(key)                               -> public URL, or null for private stores
+ *
+ * Keys are slash-separated paths within the store, e.g. products/shoe_123.jpg
+ *
+ * The driver is chosen with STORAGE_DRIVER (default: local):
+ * - local  Files on this server: public uploads in uploads/ (served at
+ *          /uploads), documents in DOCUMENT_STORAGE_DIR
+ * - s3     An S3-compatible bucket (S3_* settings): public uploads under
+ *          uploads/, documents under documents/. Only uploads/ should be
+ *          publicly readable.
+ */
+
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+
+const STORAGE_AREAS = ['public', 'documents'];
+
+const SERVER_DIR = path.join(__dirname, '..', '..');
+
+const localStores = {
+  public: () => createLocalStorage({
+    root: path.join(SERVER_DIR, 'uploads'),
+    publicUrl: '/uploads'
+  }),
+  documents: () => createLocalStorage({
+    root: process.env.DOCUMENT_STORAGE_DIR || path.join(SERVER_DIR, 'storage', 'documents')
+  })
+};
+
+const s3Settings = () => ({
+  endpoint: process.env.S3_ENDPOINT,
+  region: process.env.S3_REGION || 'us-east-1',
+  bucket: process.env.S3_BUCKET,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+});
+
+// Where public files are linked from: S3_PUBLIC_URL (e.g. a CDN), else the bucket itself
+const s3PublicUrl = () => {
+  if (process.env.S3_PUBLIC_URL) return process.env.S3_PUBLIC_URL.replace(/\/+$/, '');
+
+  const { endpoint, region, bucket, forcePathStyle } = s3Settings();
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  return forcePathStyle
+    ? `${base.origin}/${bucket}`
+    : `${base.protocol}//${bucket}.${base.host}`;
+};
+
+const s3Stores = {
+  public: () => createS3Storage({ ...s3Settings(), prefix: 'uploads/', publicUrl: s3PublicUrl() }),
+  documents: () => createS3Storage({ ...s3Settings(), prefix: 'documents/' })
+};
+
+// Registered drivers by name: area -> store factory
+const drivers = new Map([
+  ['local', (area) => localStores[area]()],
+  ['s3', (area) => s3Stores[area]()]
+]);
+
+// Stores created so far, by driver and area
+const stores = new Map();
+
+// Register an additional driver; `createStore(area)` returns the store for an area
+const registerStorageDriver = (name, createStore) => {
+  drivers.set(name, createStore);
+  [...stores.keys()]
+    .filter(id => id.startsWith(`${name}:`))
+    .forEach(id => stores.delete(id));
+};
+
+// Get the store for an area (defaults to the configured driver)
+const getStorage = (area, driver = process.env.STORAGE_DRIVER || 'local') => {
+  if (!STORAGE_AREAS.includes(area)) {
+    throw new Error(`Unknown storage area "${area}"`);
+  }
+
+  const createStore = drivers.get(driver);
+  if (!createStore) {
+    throw new Error(`Storage driver "${driver}" is not registered`);
+  }
+
+  const id = `${driver}:${area}`;
+  if (!stores.has(id)) stores.set(id, createStore(area));
+  return stores.get(id);
+};
+
+module.exports = {
+  STORAGE_AREAS,
+  registerStorageDriver,
+  getStorage
+};
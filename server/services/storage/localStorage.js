@@ -0,0 +1,74 @@
+/**
+ * Local Filesystem Storage
+ *
+ * Keeps files in a directory on this server. Keys are paths relative to that
+ * directory; keys that would lead outside it are refused.
+ * Public stores are served by express.static (see server.js) under `publicUrl`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const createLocalStorage = ({ root, publicUrl = null }) => {
+  const base = path.resolve(root);
+
+  // Absolute file for a key, or null if the key leads outside the store
+  const resolve = (key) => {
+    if (!key) return null;
+    const file = path.resolve(base, key);
+    return file.startsWith(base + path.sep) ? file : null;
+  };
+
+  const resolveOrThrow = (key) => {
+    const file = resolve(key);
+    if (!file) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const file = resolveOrThrow(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+      // Streams are written as they arrive; a failed write leaves no partial file
+      try {
+        await fs.promises.writeFile(file, body);
+      } catch (error) {
+        await fs.promises.unlink(file).catch(() => {});
+        throw error;
+      }
+      return (await fs.promises.stat(file)).size;
+    },
+
+    async get(key) {
+      const file = resolve(key);
+      const stat = file && await fs.promises.stat(file).catch(() => null);
+      if (!stat?.isFile()) return null;
+      return { stream: fs.createReadStream(file), size: stat.size };
+    },
+
+    async exists(key) {
+      const file = resolve(key);
+      const stat = file && await fs.promises.stat(file).catch(() => null);
+      return Boolean(stat?.isFile());
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolveOrThrow(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    url(key) {
+      return publicUrl ? `${publicUrl}/${key}` : null;
+    }
+  };
+};
+
+module.exports = createLocalStorage;
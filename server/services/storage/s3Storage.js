@@ -0,0 +1,284 @@
+/**
+ * S3-Compatible Storage
+ *
+ * Keeps files in an S3 bucket, or with any service that speaks the S3 API
+ * (MinIO, Cloudflare R2, DigitalOcean Spaces, ...). Requests are signed with
+ * AWS Signature Version 4. Set `forcePathStyle` for services that address
+ * buckets as http://host/bucket/key rather than http://bucket.host/key,
+ * e.g. a local MinIO at http://localhost:9000.
+ *
+ * Keys are stored under `prefix` in the bucket. Public stores link to
+ * `publicUrl` (a CDN or the bucket's own URL); private stores have no URL.
+ *
+ * Streams are uploaded without holding the whole file: anything up to
+ * PART_SIZE goes up in one PUT, anything larger as a multipart upload sent
+ * one part at a time.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+// Give up on a storage request after this long
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+// Size of each part of a multipart upload (S3's minimum, except for the last part)
+const PART_SIZE = 5 * 1024 * 1024;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// URI-encode as SigV4 requires (RFC 3986: also !'()*)
+const uriEncode = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(uriEncode).join('/');
+
+const isValidKey = (key) => Boolean(key) && !key.startsWith('/') && !key.split('/').includes('..');
+
+// Canonical (sorted, URI-encoded) query string for { name: value }
+const canonicalQuery = (query = {}) => Object.keys(query).sort()
+  .map(name => `${uriEncode(name)}=${uriEncode(query[name])}`)
+  .join('&');
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * `path` must already be URI-encoded; `query` is { name: value } (use '' for
+ * a bare flag such as ?uploads)
+ * Returns the headers to send, including Authorization
+ */
+const signRequest = ({ method, host, path, query, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, now = new Date() }) => {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const names = Object.keys(signed).sort();
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [
+    method,
+    path,
+    canonicalQuery(query),
+    names.map(name => `${name}:${signed[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
+
+// Read a whole response body as text (for error messages)
+const readBody = (response) => new Promise((resolve) => {
+  const chunks = [];
+  response.on('data', chunk => chunks.push(chunk));
+  response.on('end', () => resolve(Buffer.concat(chunks).toString()));
+  response.on('error', () => resolve(''));
+});
+
+const createS3Storage = ({
+  endpoint,
+  region = 'us-east-1',
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false,
+  prefix = '',
+  publicUrl = null
+}) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const transport = base.protocol === 'https:' ? https : http;
+  const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+  const bucketPath = forcePathStyle ? `/${bucket}` : '';
+
+  const objectPath = (key) => {
+    if (!isValidKey(key)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return `${bucketPath}/${encodeKey(prefix + key)}`;
+  };
+
+  // Send a signed request for an object; resolves to the response
+  const send = (method, key, { query, body, headers = {} } = {}) => new Promise((resolve, reject) => {
+    const path = objectPath(key);
+    const queryString = canonicalQuery(query);
+    const payload = body || Buffer.alloc(0);
+    const request = transport.request({
+      protocol: base.protocol,
+      hostname: forcePathStyle ? base.hostname : `${bucket}.${base.hostname}`,
+      port: base.port || undefined,
+      method,
+      path: queryString ? `${path}?${queryString}` : path,
+      headers: signRequest({
+        method,
+        host,
+        path,
+        query,
+        headers: { ...headers, ...(body && { 'content-length': payload.length }) },
+        payloadHash: sha256(payload),
+        region,
+        accessKeyId,
+        secretAccessKey
+      })
+    }, resolve);
+
+    request.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      request.destroy(new Error(`S3 ${method} ${key} timed out`));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+
+  const failed = async (method, key, response) => {
+    const detail = await readBody(response);
+    return new Error(`S3 ${method} ${key} failed with ${response.statusCode}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+  };
+
+  const putObject = async (key, body, contentType) => {
+    const response = await send('PUT', key, {
+      body,
+      headers: contentType ? { 'content-type': contentType } : {}
+    });
+    if (response.statusCode >= 300) throw await failed('PUT', key, response);
+    response.resume();
+  };
+
+  // Start a multipart upload; resolves to its upload id
+  const createUpload = async (key, contentType) => {
+    const response = await send('POST', key, {
+      query: { uploads: '' },
+      headers: contentType ? { 'content-type': contentType } : {}
+    });
+    if (response.statusCode >= 300) throw await failed('POST', key, response);
+
+    const uploadId = (await readBody(response)).match(/<UploadId>([^<]+)<\/UploadId>/)?.[1];
+    if (!uploadId) throw new Error(`S3 POST ${key} returned no upload id`);
+    return uploadId;
+  };
+
+  // Upload one part; resolves to { partNumber, etag }
+  const uploadPart = async (key, uploadId, partNumber, body) => {
+    const response = await send('PUT', key, { query: { partNumber, uploadId }, body });
+    if (response.statusCode >= 300) throw await failed('PUT', key, response);
+    response.resume();
+    return { partNumber, etag: response.headers.etag };
+  };
+
+  const completeUpload = async (key, uploadId, parts) => {
+    const body = Buffer.from('<CompleteMultipartUpload>' + parts
+      .map(({ partNumber, etag }) => `<Part><PartNumber>${partNumber}</PartNumber><ETag>${etag}</ETag></Part>`)
+      .join('') + '</CompleteMultipartUpload>');
+
+    const response = await send('POST', key, { query: { uploadId }, body });
+    if (response.statusCode >= 300) throw await failed('POST', key, response);
+
+    // S3 may report a failed completion with a 200 and an error body
+    const detail = await readBody(response);
+    if (detail.includes('<Error>')) {
+      throw new Error(`S3 POST ${key} failed: ${detail.slice(0, 200)}`);
+    }
+  };
+
+  const abortUpload = async (key, uploadId) => {
+    const response = await send('DELETE', key, { query: { uploadId } });
+    response.resume();
+  };
+
+  // Upload a stream part by part, or in one PUT if it fits in one part;
+  // resolves to its size in bytes
+  const putStream = async (key, stream, contentType) => {
+    let uploadId = null;
+    const parts = [];
+    let chunks = [];
+    let buffered = 0;
+    let size = 0;
+
+    try {
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+        buffered += chunk.length;
+        size += chunk.length;
+
+        if (buffered >= PART_SIZE) {
+          uploadId = uploadId || await createUpload(key, contentType);
+          parts.push(await uploadPart(key, uploadId, parts.length + 1, Buffer.concat(chunks)));
+          chunks = [];
+          buffered = 0;
+        }
+      }
+
+      if (!uploadId) {
+        await putObject(key, Buffer.concat(chunks), contentType);
+        return size;
+      }
+
+      if (buffered) parts.push(await uploadPart(key, uploadId, parts.length + 1, Buffer.concat(chunks)));
+      await completeUpload(key, uploadId, parts);
+      return size;
+    } catch (error) {
+      if (uploadId) await abortUpload(key, uploadId).catch(() => {});
+      throw error;
+    }
+  };
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType } = {}) {
+      if (!Buffer.isBuffer(body)) return putStream(key, body, contentType);
+
+      await putObject(key, body, contentType);
+      return body.length;
+    },
+
+    async get(key) {
+      if (!isValidKey(key)) return null;
+      const response = await send('GET', key);
+      if (response.statusCode === 404) {
+        response.resume();
+        return null;
+      }
+      if (response.statusCode >= 300) throw await failed('GET', key, response);
+      return { stream: response, size: parseInt(response.headers['content-length']) || undefined };
+    },
+
+    async exists(key) {
+      if (!isValidKey(key)) return false;
+      const response = await send('HEAD', key);
+      response.resume();
+      if (response.statusCode === 404) return false;
+      if (response.statusCode >= 300) throw new Error(`S3 HEAD ${key} failed with ${response.statusCode}`);
+      return true;
+    },
+
+    async delete(key) {
+      const response = await send('DELETE', key);
+      if (response.statusCode >= 300 && response.statusCode !== 404) throw await failed('DELETE', key, response);
+      response.resume();
+    },
+
+    url(key) {
+      return publicUrl ? `${publicUrl}/${encodeKey(prefix + key)}` : null;
+    }
+  };
+};
+
+module.exports = createS3Storage;
+module.exports.PART_SIZE = PART_SIZE;
+module.exports.signRequest = signRequest;
@@ -0,0 +1,103 @@
+/**
+ * Tax Service
+ *
+ * GST per line item: the rate and HSN code come from the product, or its
+ * category when the product has none, or DEFAULT_GST_RATE.
+ * Supplies within one state are taxed as CGST + SGST (half the rate each);
+ * supplies across states as IGST. The seller's state is their warehouse
+ * state, else the state in their GSTIN, else their address.
+ *
+ * Prices are tax-exclusive; amounts are rounded to the paisa
+ */
+
+const { getStateCode, getStateCodeFromGstin } = require('../config/gst');
+
+// Rate (%) used when neither the product nor its category sets one
+const DEFAULT_GST_RATE = process.env.DEFAULT_GST_RATE !== undefined
+  ? parseFloat(process.env.DEFAULT_GST_RATE)
+  : 18;
+
+const roundPaise = (amount) => Math.round(amount * 100) / 100;
+
+// HSN code and GST rate for a product (with its category populated, if available)
+const resolveTaxClass = (product) => {
+  const productTax = product.tax || {};
+  const categoryTax = (product.category && product.category.tax) || {};
+
+  return {
+    hsnCode: productTax.hsnCode || categoryTax.hsnCode,
+    gstRate: productTax.gstRate ?? categoryTax.gstRate ?? DEFAULT_GST_RATE
+  };
+};
+
+// GST state code a seller ships from (null if unknown)
+const getSellerStateCode = (seller) => {
+  const sellerInfo = seller.sellerInfo || {};
+  return getStateCode(sellerInfo.warehouseState) ||
+    getStateCodeFromGstin(sellerInfo.gstNumber) ||
+    getStateCode(seller.address && seller.address.state);
+};
+
+/**
+ * Work out GST for a set of lines
+ * Lines are [{ product, total }] with product.seller (and ideally
+ * product.category) populated. `discount` is an order-level discount shared
+ * out, before tax is applied, over `discountedLines` (the lines the coupon
+ * applies to; default: all lines) in proportion to their totals.
+ * When either state is unknown the supply is treated as inter-state (IGST);
+ * the total is the same either way.
+ * Returns { tax, breakdown: { cgst, sgst, igst }, lines: [{ hsnCode, gstRate,
+ * taxableValue, supplyType, cgst, sgst, igst }] } with lines in input order
+ */
+const calculateTax = (lines, { shippingState, discount = 0, discountedLines = lines } = {}) => {
+  const discountedSubtotal = discountedLines.reduce((sum, line) => sum + line.total, 0);
+  const lastDiscounted = discountedLines[discountedLines.length - 1];
+  const destination = getStateCode(shippingState);
+
+  let discountLeft = discount;
+  const taxLines = lines.map((line) => {
+    let discountShare = 0;
+    if (line === lastDiscounted) {
+      // The last discounted line takes the rounding remainder of the discount
+      discountShare = discountLeft;
+    } else if (discountedLines.includes(line)) {
+      discountShare = roundPaise(discountedSubtotal ? (discount * line.total) / discountedSubtotal : 0);
+    }
+    discountLeft = roundPaise(discountLeft - discountShare);
+
+    const { hsnCode, gstRate } = resolveTaxClass(line.product);
+    const taxableValue = roundPaise(line.total - discountShare);
+    const origin = line.product.seller ? getSellerStateCode(line.product.seller) : null;
+    const intraState = Boolean(origin && destination && origin === destination);
+
+    const halfTax = roundPaise((taxableValue * gstRate) / 200);
+    return {
+      hsnCode,
+      gstRate,
+      taxableValue,
+      supplyType: intraState ? 'intra_state' : 'inter_state',
+      cgst: intraState ? halfTax : 0,
+      sgst: intraState ? halfTax : 0,
+      igst: intraState ? 0 : roundPaise((taxableValue * gstRate) / 100)
+    };
+  });
+
+  const breakdown = ['cgst', 'sgst', 'igst'].reduce((totals, component) => {
+    totals[component] = roundPaise(taxLines.reduce((sum, line) => sum + line[component], 0));
+    return totals;
+  }, {});
+
+  return {
+    tax: roundPaise(breakdown.cgst + breakdown.sgst + breakdown.igst),
+    breakdown,
+    lines: taxLines
+  };
+};
+
+module.exports = {
+  DEFAULT_GST_RATE,
+  roundPaise,
+  resolveTaxClass,
+  getSellerStateCode,
+  calculateTax
+};